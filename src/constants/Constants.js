@@ -774,16 +774,6 @@ export const InterpolationMode = {
   Linear: InterpolateLinear,
   Smooth: InterpolateSmooth
 };
-export const DSRT_ENUM = {
-  ClampMode,
-  InterpolationMode,
-  CompareMode,
-  TimestampQuery,
-  InterpolationSamplingType,
-  InterpolationSamplingMode
-
-};
-
 export const CompareMode = {
   Never: NeverCompare,
   Less: LessCompare,
@@ -794,6 +784,18 @@ export const CompareMode = {
   GreaterEqual: GreaterEqualCompare
 };
 
+// Aggregate of the enum groups above. It must come after every group it lists:
+// a const read before its declaration throws, and the module would fail to load.
+export const DSRT_ENUM = {
+  ClampMode,
+  InterpolationMode,
+  CompareMode,
+  TimestampQuery,
+  InterpolationSamplingType,
+  InterpolationSamplingMode
+
+};
+
 export const DSRT_CONSTANTS_META = {
   __dsrt_origin: 'dsrt.constants.full',
   __dsrt_id: 'DSRTConstants.v1.0.0'
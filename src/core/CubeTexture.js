@@ -0,0 +1,128 @@
+// ==============================
+// CubeTexture.js — DSRT Engine Core v1.1
+// ==============================
+
+import { Texture } from './Texture.js';
+import { CubeReflectionMapping } from '../constants/Constants.js';
+
+/**
+ * @fileoverview
+ * CubeTexture
+ * @module DSRT/core/CubeTexture
+ * @description
+ * Six square images forming the faces of a cube map, used as an environment
+ * (`Scene.environment`) or skybox (`Scene.background`). Faces are given in
+ * +X, -X, +Y, -Y, +Z, -Z order.
+ *
+ * @version 1.1
+ * @since DSRT Engine 1.1
+ * @extends Texture
+ * @author
+ * DSRT Engine System
+ */
+
+class CubeTexture extends Texture {
+
+  /**
+   * Constructs a new CubeTexture.
+   * @param {Array<HTMLImageElement|HTMLCanvasElement>} [images=[]] - The six face images.
+   * @param {object} [options={}] - Texture configuration parameters.
+   */
+  constructor( images = [], options = {} ) {
+    super( images, { mapping: CubeReflectionMapping, ...options } );
+
+    /** @type {string} Type identifier used for serialization. */
+    this.type = 'CubeTexture';
+
+    /** @type {boolean} Type flag for fast checks. */
+    this.isCubeTexture = true;
+
+    /** @type {number} Cube maps sample edges seamlessly, never repeat. */
+    this.wrapS = this.wrapT = Texture.CLAMP_TO_EDGE;
+  }
+
+  /**
+   * The six face images (alias of `image`).
+   * @type {Array<HTMLImageElement|HTMLCanvasElement>}
+   */
+  get images() {
+    return this.image;
+  }
+
+  set images( value ) {
+    this.image = value;
+  }
+
+  // ============================================================
+  // LIFECYCLE METHODS
+  // ============================================================
+
+  /**
+   * Waits until every face image has loaded.
+   * @returns {Promise<void>}
+   */
+  async init() {
+    if ( this.loaded ) return;
+
+    await Promise.all( this.image.map( ( face ) => {
+      if ( typeof HTMLImageElement === 'undefined' || !( face instanceof HTMLImageElement ) || face.complete ) return null;
+      return new Promise( ( resolve, reject ) => {
+        face.onload = resolve;
+        face.onerror = reject;
+      } );
+    } ) );
+
+    this.loaded = true;
+    this.dispatchEvent( { type: 'load', texture: this } );
+  }
+
+  /**
+   * Uploads the six faces to a TEXTURE_CUBE_MAP.
+   * @param {WebGLRenderingContext} gl
+   */
+  upload( gl ) {
+    if ( this.uploaded || this.disposed || this.image.length !== 6 ) return;
+
+    const tex = this._glTexture || gl.createTexture();
+    gl.bindTexture( gl.TEXTURE_CUBE_MAP, tex );
+
+    for ( let face = 0; face < 6; face++ ) {
+      gl.texImage2D( gl.TEXTURE_CUBE_MAP_POSITIVE_X + face, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, this.image[ face ] );
+    }
+
+    gl.texParameteri( gl.TEXTURE_CUBE_MAP, gl.TEXTURE_MIN_FILTER, this.minFilter );
+    gl.texParameteri( gl.TEXTURE_CUBE_MAP, gl.TEXTURE_MAG_FILTER, this.magFilter );
+    gl.texParameteri( gl.TEXTURE_CUBE_MAP, gl.TEXTURE_WRAP_S, this.wrapS );
+    gl.texParameteri( gl.TEXTURE_CUBE_MAP, gl.TEXTURE_WRAP_T, this.wrapT );
+
+    if ( this.generateMipmaps ) gl.generateMipmap( gl.TEXTURE_CUBE_MAP );
+
+    gl.bindTexture( gl.TEXTURE_CUBE_MAP, null );
+
+    this._glTexture = tex;
+    this.uploaded = true;
+  }
+
+  /**
+   * Binds the cube map at a given texture unit.
+   * @param {WebGLRenderingContext} gl
+   * @param {number} unit
+   */
+  bind( gl, unit = 0 ) {
+    if ( !this._glTexture ) return;
+    gl.activeTexture( gl.TEXTURE0 + unit );
+    gl.bindTexture( gl.TEXTURE_CUBE_MAP, this._glTexture );
+  }
+
+  /**
+   * Unbinds the cube map from the given texture unit.
+   * @param {WebGLRenderingContext} gl
+   * @param {number} unit
+   */
+  unbind( gl, unit = 0 ) {
+    gl.activeTexture( gl.TEXTURE0 + unit );
+    gl.bindTexture( gl.TEXTURE_CUBE_MAP, null );
+  }
+}
+
+export { CubeTexture };
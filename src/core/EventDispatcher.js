@@ -0,0 +1,73 @@
+// ==============================
+// EventDispatcher.js — DSRT Engine Core v1.1
+// ==============================
+
+/**
+ * @fileoverview
+ * EventDispatcher
+ * @module DSRT/core/EventDispatcher
+ * @description
+ * Minimal typed event emitter mixed into engine objects by inheritance
+ * (textures, render targets, the renderer). Listeners are called in
+ * registration order with the event object; `event.target` is set to the
+ * dispatcher when the event does not carry one.
+ *
+ * @version 1.1
+ * @since DSRT Engine 1.1
+ * @author
+ * DSRT Engine System
+ *
+ * @example
+ * texture.addEventListener( 'dispose', onDispose );
+ * texture.dispatchEvent( { type: 'dispose' } );
+ */
+
+class EventDispatcher {
+
+  /**
+   * Registers a listener. Adding the same listener twice has no effect.
+   * @param {string} type - Event type.
+   * @param {Function} listener - Called with the event object.
+   */
+  addEventListener( type, listener ) {
+    if ( this._listeners === undefined ) this._listeners = {};
+    const listeners = this._listeners[ type ] ??= [];
+    if ( !listeners.includes( listener ) ) listeners.push( listener );
+  }
+
+  /**
+   * Checks whether a listener is registered.
+   * @param {string} type - Event type.
+   * @param {Function} listener
+   * @returns {boolean}
+   */
+  hasEventListener( type, listener ) {
+    return this._listeners?.[ type ]?.includes( listener ) ?? false;
+  }
+
+  /**
+   * Unregisters a listener.
+   * @param {string} type - Event type.
+   * @param {Function} listener
+   */
+  removeEventListener( type, listener ) {
+    const listeners = this._listeners?.[ type ];
+    if ( !listeners ) return;
+    const index = listeners.indexOf( listener );
+    if ( index !== -1 ) listeners.splice( index, 1 );
+  }
+
+  /**
+   * Calls every listener of `event.type`. Listeners may remove themselves
+   * while the event is dispatched.
+   * @param {{type: string}} event - Event object.
+   */
+  dispatchEvent( event ) {
+    const listeners = this._listeners?.[ event.type ];
+    if ( !listeners || listeners.length === 0 ) return;
+    if ( event.target === undefined ) event.target = this;
+    for ( const listener of listeners.slice() ) listener.call( this, event );
+  }
+}
+
+export { EventDispatcher };
@@ -0,0 +1,90 @@
+// ==============================
+// Fog.js — DSRT Engine Core v1.1
+// ==============================
+
+import { Color } from '../math/Color.js';
+
+/**
+ * @fileoverview
+ * Fog
+ * @module DSRT/core/Fog
+ * @description
+ * Linear fog: objects fade into `color` between `near` (no fog) and `far`
+ * (fully fogged), measured as distance from the camera. Assign to
+ * `Scene.fog`; built-in materials apply it unless their `fog` flag is false.
+ *
+ * @version 1.1
+ * @since DSRT Engine 1.1
+ * @author
+ * DSRT Engine System
+ *
+ * @example
+ * scene.fog = new Fog( 0xcccccc, 10, 200 );
+ */
+
+class Fog {
+
+  /**
+   * Constructs a linear fog.
+   * @param {Color|number|string} [color=0xffffff] - Fog color.
+   * @param {number} [near=1] - Distance where fog starts.
+   * @param {number} [far=1000] - Distance where fog is opaque.
+   */
+  constructor( color = 0xffffff, near = 1, far = 1000 ) {
+
+    /** @type {string} Human-readable name. */
+    this.name = '';
+
+    /** @type {string} Type identifier used for serialization. */
+    this.type = 'Fog';
+
+    /** @type {boolean} Type flag for fast checks. */
+    this.isFog = true;
+
+    /** @type {Color} Color objects fade to. */
+    this.color = color instanceof Color ? color : new Color( color );
+
+    /** @type {number} Distance from the camera where fog starts. */
+    this.near = near;
+
+    /** @type {number} Distance from the camera where fog is opaque. */
+    this.far = far;
+  }
+
+  /**
+   * Creates a copy of this fog.
+   * @returns {Fog}
+   */
+  clone() {
+    const fog = new Fog( this.color.clone(), this.near, this.far );
+    fog.name = this.name;
+    return fog;
+  }
+
+  /**
+   * Converts the fog into a JSON-serializable object.
+   * @returns {object}
+   */
+  toJSON() {
+    return {
+      type: this.type,
+      name: this.name,
+      color: this.color.toHex(),
+      near: this.near,
+      far: this.far
+    };
+  }
+
+  /**
+   * Restores a fog written by toJSON().
+   * @param {object} json
+   * @returns {Fog}
+   */
+  static fromJSON( json ) {
+    const fog = new Fog( json.color, json.near, json.far );
+    fog.name = json.name ?? '';
+    return fog;
+  }
+}
+
+export { Fog };
@@ -0,0 +1,85 @@
+// ==============================
+// FogExp2.js — DSRT Engine Core v1.1
+// ==============================
+
+import { Color } from '../math/Color.js';
+
+/**
+ * @fileoverview
+ * FogExp2
+ * @module DSRT/core/FogExp2
+ * @description
+ * Exponential squared fog: the fogged fraction at distance d from the camera
+ * is 1 - exp(-(density · d)²), thin close to the camera and thickening
+ * quickly past it. Assign to `Scene.fog`.
+ *
+ * @version 1.1
+ * @since DSRT Engine 1.1
+ * @author
+ * DSRT Engine System
+ *
+ * @example
+ * scene.fog = new FogExp2( 0xcccccc, 0.02 );
+ */
+
+class FogExp2 {
+
+  /**
+   * Constructs an exponential squared fog.
+   * @param {Color|number|string} [color=0xffffff] - Fog color.
+   * @param {number} [density=0.00025] - How fast the fog thickens with distance.
+   */
+  constructor( color = 0xffffff, density = 0.00025 ) {
+
+    /** @type {string} Human-readable name. */
+    this.name = '';
+
+    /** @type {string} Type identifier used for serialization. */
+    this.type = 'FogExp2';
+
+    /** @type {boolean} Type flag for fast checks. */
+    this.isFogExp2 = true;
+
+    /** @type {Color} Color objects fade to. */
+    this.color = color instanceof Color ? color : new Color( color );
+
+    /** @type {number} Fog density. */
+    this.density = density;
+  }
+
+  /**
+   * Creates a copy of this fog.
+   * @returns {FogExp2}
+   */
+  clone() {
+    const fog = new FogExp2( this.color.clone(), this.density );
+    fog.name = this.name;
+    return fog;
+  }
+
+  /**
+   * Converts the fog into a JSON-serializable object.
+   * @returns {object}
+   */
+  toJSON() {
+    return {
+      type: this.type,
+      name: this.name,
+      color: this.color.toHex(),
+      density: this.density
+    };
+  }
+
+  /**
+   * Restores a fog written by toJSON().
+   * @param {object} json
+   * @returns {FogExp2}
+   */
+  static fromJSON( json ) {
+    const fog = new FogExp2( json.color, json.density );
+    fog.name = json.name ?? '';
+    return fog;
+  }
+}
+
+export { FogExp2 };
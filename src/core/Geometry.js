@@ -18,6 +18,10 @@
  *   DSRT Engine System — Core Geometry Layer
  */
 
+import { StaticDrawUsage } from '../constants/Constants.js';
+import { GeometryAttribute } from './GeometryAttribute.js';
+import { InterleavedBuffer } from './InterleavedBuffer.js';
+
 /**
  * ==============================================================
  * CLASS: Geometry
@@ -26,9 +30,13 @@
  * @class Geometry
  * @description
  * Geometry defines the **structural (spatial) aspect** of a 3D object.
- * It stores and manages vertex-related data: positions, normals, UVs, and indices.
+ * It stores and manages vertex-related data as named attributes plus optional indices.
  * This class is **renderer-agnostic** and can be serialized or cloned easily.
  *
+ * Any attribute whose name matches a shader input is bound by the renderer.
+ * The classic arrays map onto attributes: `vertices` → "position",
+ * `normals` → "normal", `uvs` → "uv", `colors` → "color".
+ *
  * Flow relationship:
  *
  * Engine
@@ -42,6 +50,7 @@
  *   vertices: [0, 0, 0, 1, 0, 0, 0, 1, 0],
  *   indices: [0, 1, 2]
  * });
+ * geom.setAttribute('tangent', new Float32Array(tangents), 4);
  */
 class Geometry {
 
@@ -64,9 +73,29 @@ class Geometry {
     this.name = parameters.name || '';
 
     /**
-     * Vertex positions stored as a flat array [x, y, z, x, y, z, ...].
-     * @type {Float32Array|number[]}
+     * Named vertex attributes (position, normal, uv, color, tangent, ...).
+     * @type {Object.<string, GeometryAttribute>}
+     */
+    this.attributes = {};
+
+    /**
+     * Pending partial updates, keyed by attribute name ('position', 'normal', ...)
+     * or 'indices'. A null entry means the whole array is dirty, otherwise an
+     * array of { start, count } ranges in array elements.
+     * @type {Map<string, Array<{start: number, count: number}>|null>}
+     * @private
      */
+    this._dirtyAttributes = new Map();
+
+    /**
+     * Incremented whenever attributes are added, replaced or removed,
+     * so the renderer can rebuild cached vertex layouts.
+     * @type {number}
+     * @private
+     */
+    this._layoutVersion = 0;
+
+    // Classic arrays are stored as attributes through their accessors
     this.vertices = parameters.vertices
       ? new Float32Array(parameters.vertices)
       : new Float32Array();
@@ -82,26 +111,14 @@ class Geometry {
           : new Uint16Array(parameters.indices))
       : null;
 
-    /**
-     * Vertex normals used for lighting calculations.
-     * @type {Float32Array|number[]|null}
-     */
     this.normals = parameters.normals
       ? new Float32Array(parameters.normals)
       : null;
 
-    /**
-     * UV coordinates (texture mapping).
-     * @type {Float32Array|number[]|null}
-     */
     this.uvs = parameters.uvs
       ? new Float32Array(parameters.uvs)
       : null;
 
-    /**
-     * Optional vertex colors.
-     * @type {Float32Array|number[]|null}
-     */
     this.colors = parameters.colors
       ? new Float32Array(parameters.colors)
       : null;
@@ -132,6 +149,13 @@ class Geometry {
      */
     this.isGeometry = true;
 
+    /**
+     * GPU buffer usage hint: StaticDrawUsage, DynamicDrawUsage or StreamDrawUsage.
+     * Use Dynamic/Stream for data rewritten every frame (cloth, water, particles).
+     * @type {number}
+     */
+    this.usage = parameters.usage ?? StaticDrawUsage;
+
     /**
      * Whether this geometry needs GPU re-upload.
      * @type {boolean}
@@ -152,6 +176,137 @@ class Geometry {
     this.disposed = false;
   }
 
+  // ============================================================
+  // ATTRIBUTE API
+  // ============================================================
+
+  /**
+   * Adds or replaces a named vertex attribute.
+   *
+   * @param {string} name - Attribute name; bound to the shader input of the same name.
+   * @param {TypedArray|number[]|GeometryAttribute} array - Vertex data (number[] becomes Float32Array),
+   *   or a prepared GeometryAttribute.
+   * @param {number} [itemSize=3] - Components per vertex.
+   * @param {boolean} [normalized=false] - Normalize integer data in the shader.
+   * @returns {Geometry}
+   */
+  setAttribute(name, array, itemSize = 3, normalized = false) {
+    const attribute = array instanceof GeometryAttribute
+      ? array
+      : new GeometryAttribute(ArrayBuffer.isView(array) ? array : new Float32Array(array), itemSize, normalized);
+
+    this.attributes[name] = attribute;
+    this._layoutVersion++;
+    this.markNeedsUpdate(name);
+    return this;
+  }
+
+  /**
+   * Adds an attribute that reads from a shared interleaved buffer.
+   *
+   * @param {string} name - Attribute name.
+   * @param {InterleavedBuffer} buffer - Shared packed storage.
+   * @param {number} itemSize - Components per vertex.
+   * @param {number} offset - Element offset inside each vertex.
+   * @param {boolean} [normalized=false]
+   * @returns {Geometry}
+   */
+  setInterleavedAttribute(name, buffer, itemSize, offset, normalized = false) {
+    return this.setAttribute(name, new GeometryAttribute(null, itemSize, normalized, buffer, offset));
+  }
+
+  /**
+   * @param {string} name
+   * @returns {GeometryAttribute|undefined}
+   */
+  getAttribute(name) {
+    return this.attributes[name];
+  }
+
+  /**
+   * @param {string} name
+   * @returns {boolean}
+   */
+  hasAttribute(name) {
+    return this.attributes[name] !== undefined;
+  }
+
+  /**
+   * Removes a named attribute.
+   * @param {string} name
+   * @returns {Geometry}
+   */
+  deleteAttribute(name) {
+    if (this.attributes[name]) {
+      delete this.attributes[name];
+      this._dirtyAttributes.delete(name);
+      this._layoutVersion++;
+      this._needsUpdate = true;
+    }
+    return this;
+  }
+
+  /**
+   * Vertex positions stored as a flat array [x, y, z, x, y, z, ...].
+   * Alias of the "position" attribute. When that attribute is interleaved
+   * this is the whole shared buffer; use `getPackedArray()` on the
+   * attribute for xyz triples.
+   * @type {Float32Array|null}
+   */
+  get vertices() {
+    return this.attributes.position?.array ?? null;
+  }
+
+  set vertices(value) {
+    this._setLegacyAttribute('position', value, 3);
+  }
+
+  /**
+   * Vertex normals used for lighting calculations. Alias of "normal".
+   * @type {Float32Array|null}
+   */
+  get normals() {
+    return this.attributes.normal?.array ?? null;
+  }
+
+  set normals(value) {
+    this._setLegacyAttribute('normal', value, 3);
+  }
+
+  /**
+   * UV coordinates (texture mapping). Alias of "uv".
+   * @type {Float32Array|null}
+   */
+  get uvs() {
+    return this.attributes.uv?.array ?? null;
+  }
+
+  set uvs(value) {
+    this._setLegacyAttribute('uv', value, 2);
+  }
+
+  /**
+   * Optional vertex colors (RGB, or RGBA when 4 values per vertex). Alias of "color".
+   * @type {Float32Array|null}
+   */
+  get colors() {
+    return this.attributes.color?.array ?? null;
+  }
+
+  set colors(value) {
+    const count = this.attributes.position?.count ?? 0;
+    this._setLegacyAttribute('color', value, value && count && value.length === count * 4 ? 4 : 3);
+  }
+
+  /**
+   * Assigns or clears an attribute through one of the classic array properties.
+   * @private
+   */
+  _setLegacyAttribute(name, value, itemSize) {
+    if (value === null || value === undefined) this.deleteAttribute(name);
+    else this.setAttribute(name, value, itemSize);
+  }
+
   // ============================================================
   // COMPUTATIONAL METHODS
   // ============================================================
@@ -160,15 +315,16 @@ class Geometry {
    * Computes a simple bounding box from vertices.
    */
   computeBoundingBox() {
-    if (!this.vertices || this.vertices.length === 0) return;
+    const position = this.attributes.position;
+    if (!position || position.count === 0) return;
 
     const min = [Infinity, Infinity, Infinity];
     const max = [-Infinity, -Infinity, -Infinity];
 
-    for (let i = 0; i < this.vertices.length; i += 3) {
-      const x = this.vertices[i];
-      const y = this.vertices[i + 1];
-      const z = this.vertices[i + 2];
+    for (let i = 0; i < position.count; i++) {
+      const x = position.getComponent(i, 0);
+      const y = position.getComponent(i, 1);
+      const z = position.getComponent(i, 2);
 
       if (x < min[0]) min[0] = x;
       if (y < min[1]) min[1] = y;
@@ -187,7 +343,9 @@ class Geometry {
    */
   computeBoundingSphere() {
     if (!this.boundingBox) this.computeBoundingBox();
+    if (!this.boundingBox) return;
     const { min, max } = this.boundingBox;
+    const position = this.attributes.position;
 
     const center = [
       (min[0] + max[0]) / 2,
@@ -196,10 +354,10 @@ class Geometry {
     ];
 
     let radius = 0;
-    for (let i = 0; i < this.vertices.length; i += 3) {
-      const dx = this.vertices[i] - center[0];
-      const dy = this.vertices[i + 1] - center[1];
-      const dz = this.vertices[i + 2] - center[2];
+    for (let i = 0; i < position.count; i++) {
+      const dx = position.getComponent(i, 0) - center[0];
+      const dy = position.getComponent(i, 1) - center[1];
+      const dz = position.getComponent(i, 2) - center[2];
       radius = Math.max(radius, Math.sqrt(dx * dx + dy * dy + dz * dz));
     }
 
@@ -207,10 +365,71 @@ class Geometry {
   }
 
   /**
-   * Marks geometry for GPU buffer re-upload.
+   * Marks geometry data for GPU re-upload.
+   *
+   * Without arguments every attribute is re-uploaded. With an attribute name
+   * only that buffer is refreshed; an optional element range limits the upload
+   * to that slice (several calls accumulate ranges until the next frame).
+   *
+   * @param {string} [attribute] - Attribute name ('position', 'tangent', ...), 'indices',
+   *   or a classic array name ('vertices', 'normals', 'uvs', 'colors').
+   * @param {number} [start] - First array element that changed.
+   * @param {number} [count] - Number of array elements that changed.
+   *
+   * @example
+   * geometry.vertices.set(newPositions, 300);
+   * geometry.markNeedsUpdate('position', 300, newPositions.length);
    */
-  markNeedsUpdate() {
+  markNeedsUpdate(attribute, start, count) {
     this._needsUpdate = true;
+    attribute = Geometry.LEGACY_NAMES[attribute] ?? attribute;
+
+    const names = attribute ? [attribute] : [...Object.keys(this.attributes), 'indices'];
+    for (const name of names) {
+      if (start === undefined || count === undefined) {
+        this._dirtyAttributes.set(name, null);
+        continue;
+      }
+      const ranges = this._dirtyAttributes.get(name);
+      if (ranges === null) continue; // whole array already pending
+      if (ranges) ranges.push({ start, count });
+      else this._dirtyAttributes.set(name, [{ start, count }]);
+    }
+
+    // Bounds depend on positions; recompute lazily on next use
+    if (!attribute || attribute === 'position') {
+      this.boundingBox = null;
+      this.boundingSphere = null;
+    }
+  }
+
+  /**
+   * Sets the GPU usage hint and schedules a re-upload with it.
+   * @param {number} usage - StaticDrawUsage, DynamicDrawUsage or StreamDrawUsage.
+   * @returns {Geometry}
+   */
+  setUsage(usage) {
+    this.usage = usage;
+    this.markNeedsUpdate();
+    return this;
+  }
+
+  /**
+   * Returns pending update ranges for an attribute.
+   * @param {string} attribute
+   * @returns {Array<{start: number, count: number}>|null|undefined}
+   *   undefined if clean, null if the whole array is dirty.
+   */
+  getUpdateRanges(attribute) {
+    return this._dirtyAttributes.get(Geometry.LEGACY_NAMES[attribute] ?? attribute);
+  }
+
+  /**
+   * Clears all pending updates. Called by the renderer after uploading.
+   */
+  clearUpdateRanges() {
+    this._dirtyAttributes.clear();
+    this._needsUpdate = false;
   }
 
   // ============================================================
@@ -225,16 +444,26 @@ class Geometry {
   copy(source) {
     this.name = source.name;
 
-    this.vertices = new Float32Array(source.vertices);
+    // Attributes sharing an interleaved buffer keep sharing one copy of it
+    const buffers = new Map();
+    this.attributes = {};
+    for (const [name, attribute] of Object.entries(source.attributes)) {
+      let buffer = null;
+      if (attribute.buffer) {
+        if (!buffers.has(attribute.buffer)) buffers.set(attribute.buffer, attribute.buffer.clone());
+        buffer = buffers.get(attribute.buffer);
+      }
+      this.attributes[name] = attribute.clone(buffer);
+    }
+    this._layoutVersion++;
+    this.markNeedsUpdate();
+
     this.indices = source.indices
       ? (source.indices.length > 65535
           ? new Uint32Array(source.indices)
           : new Uint16Array(source.indices))
       : null;
-
-    this.normals = source.normals ? new Float32Array(source.normals) : null;
-    this.uvs = source.uvs ? new Float32Array(source.uvs) : null;
-    this.colors = source.colors ? new Float32Array(source.colors) : null;
+    this.usage = source.usage;
 
     this.boundingBox = source.boundingBox ? { ...source.boundingBox } : null;
     this.boundingSphere = source.boundingSphere ? { ...source.boundingSphere } : null;
@@ -252,18 +481,40 @@ class Geometry {
 
   /**
    * Converts this geometry into a JSON representation.
+   *
+   * The classic arrays are always tightly packed. Interleaved attributes
+   * (classic or custom) are also listed under `attributes`, referencing
+   * their buffer in `interleavedBuffers` by uuid, so the layout survives
+   * fromJSON().
    * @returns {object}
    */
   toJSON() {
+    const legacyNames = Object.values(Geometry.LEGACY_NAMES);
+    const packed = (name) => {
+      const array = this.attributes[name]?.getPackedArray();
+      return array ? Array.from(array) : null;
+    };
+
+    const attributes = {};
+    const interleavedBuffers = {};
+    for (const [name, attribute] of Object.entries(this.attributes)) {
+      if (legacyNames.includes(name) && !attribute.buffer) continue;
+      attributes[name] = attribute.toJSON();
+      if (attribute.buffer) interleavedBuffers[attribute.buffer.uuid] ??= attribute.buffer.toJSON();
+    }
+
     return {
       uuid: this.uuid,
       name: this.name,
       type: this.type,
-      vertices: Array.from(this.vertices),
+      vertices: packed('position') ?? [],
       indices: this.indices ? Array.from(this.indices) : null,
-      normals: this.normals ? Array.from(this.normals) : null,
-      uvs: this.uvs ? Array.from(this.uvs) : null,
-      colors: this.colors ? Array.from(this.colors) : null,
+      normals: packed('normal'),
+      uvs: packed('uv'),
+      colors: packed('color'),
+      attributes,
+      interleavedBuffers,
+      usage: this.usage,
       boundingBox: this.boundingBox,
       boundingSphere: this.boundingSphere,
       dsrt: {
@@ -279,6 +530,36 @@ class Geometry {
     };
   }
 
+  /**
+   * Restores a geometry written by toJSON().
+   * @param {object} json
+   * @returns {Geometry}
+   */
+  static fromJSON(json) {
+    const geometry = new Geometry({
+      name: json.name,
+      vertices: json.vertices,
+      indices: json.indices,
+      normals: json.normals,
+      uvs: json.uvs,
+      colors: json.colors,
+      usage: json.usage
+    });
+    if (json.uuid) geometry.uuid = json.uuid;
+
+    const buffers = {};
+    for (const [uuid, buffer] of Object.entries(json.interleavedBuffers ?? {})) {
+      buffers[uuid] = InterleavedBuffer.fromJSON(buffer);
+    }
+    for (const [name, attribute] of Object.entries(json.attributes ?? {})) {
+      geometry.setAttribute(name, GeometryAttribute.fromJSON(attribute, buffers));
+    }
+
+    geometry.boundingBox = json.boundingBox ?? null;
+    geometry.boundingSphere = json.boundingSphere ?? null;
+    return geometry;
+  }
+
   // ============================================================
   // RESOURCE MANAGEMENT
   // ============================================================
@@ -291,11 +572,8 @@ class Geometry {
       this._gpuRef.dispose();
     }
     this._gpuRef = null;
-    this.vertices = null;
+    this.attributes = {};
     this.indices = null;
-    this.normals = null;
-    this.uvs = null;
-    this.colors = null;
     this.disposed = true;
   }
 
@@ -313,6 +591,18 @@ class Geometry {
   }
 }
 
+/**
+ * Classic array property names and the attributes they alias.
+ * @type {Object.<string, string>}
+ * @readonly
+ */
+Geometry.LEGACY_NAMES = {
+  vertices: 'position',
+  normals: 'normal',
+  uvs: 'uv',
+  colors: 'color'
+};
+
 export { Geometry };
 
 /**
@@ -0,0 +1,232 @@
+// ===============================================
+// GeometryAttribute.js — DSRT Engine v1.1
+// ===============================================
+
+/**
+ * @fileoverview
+ * GeometryAttribute describes one named per-vertex input of a Geometry:
+ * its data, how many components make up one vertex (itemSize), and
+ * whether integer data is normalized to [0, 1] / [-1, 1] in the shader.
+ *
+ * The component type follows the typed array (Float32Array → FLOAT,
+ * Uint8Array → UNSIGNED_BYTE, Int16Array → SHORT, ...). Int32Array and
+ * Uint32Array data is WebGL2-only: WebGL1 renderers skip such attributes
+ * with a warning. An attribute can own its array or point into a shared
+ * {@link InterleavedBuffer}.
+ *
+ * @module DSRT/core/GeometryAttribute
+ * @since DSRT Engine 1.1
+ * @author
+ *   DSRT Engine System — Core Geometry Layer
+ */
+
+/**
+ * ==============================================================
+ * CLASS: GeometryAttribute
+ * ==============================================================
+ *
+ * @class GeometryAttribute
+ *
+ * @example
+ * geometry.setAttribute('tangent', new Float32Array(tangents), 4);
+ * geometry.setAttribute('color', new Uint8Array(rgba), 4, true);
+ */
+class GeometryAttribute {
+
+  /**
+   * @constructor
+   * @param {TypedArray|null} array - Owned vertex data (null when interleaved).
+   * @param {number} itemSize - Components per vertex (1–4).
+   * @param {boolean} [normalized=false] - Normalize integer data when read by the shader.
+   * @param {InterleavedBuffer|null} [buffer=null] - Shared interleaved storage.
+   * @param {number} [offset=0] - Element offset of this attribute inside each interleaved vertex.
+   */
+  constructor(array, itemSize, normalized = false, buffer = null, offset = 0) {
+
+    /**
+     * Owned vertex data; for interleaved attributes this is the shared array.
+     * @type {TypedArray}
+     */
+    this._array = array;
+
+    /**
+     * Number of components per vertex.
+     * @type {number}
+     */
+    this.itemSize = itemSize;
+
+    /**
+     * Whether integer components are normalized when read by the shader.
+     * @type {boolean}
+     */
+    this.normalized = normalized;
+
+    /**
+     * Shared interleaved storage, or null for a tightly packed attribute.
+     * @type {InterleavedBuffer|null}
+     */
+    this.buffer = buffer;
+
+    /**
+     * Element offset inside each interleaved vertex.
+     * @type {number}
+     */
+    this.offset = offset;
+
+    /**
+     * Optional GPU usage hint overriding the geometry's (null = inherit).
+     * @type {number|null}
+     */
+    this.usage = null;
+
+    /**
+     * Type string for runtime identification.
+     * @type {string}
+     * @readonly
+     */
+    this.type = 'GeometryAttribute';
+
+    /**
+     * Internal audit flag.
+     * @type {boolean}
+     * @readonly
+     */
+    this.isGeometryAttribute = true;
+  }
+
+  // ============================================================
+  // ACCESSORS
+  // ============================================================
+
+  /**
+   * The array uploaded to the GPU (shared array when interleaved).
+   * @type {TypedArray}
+   */
+  get array() {
+    return this.buffer ? this.buffer.array : this._array;
+  }
+
+  /**
+   * Array elements between consecutive vertices.
+   * @type {number}
+   */
+  get stride() {
+    return this.buffer ? this.buffer.stride : this.itemSize;
+  }
+
+  /**
+   * Number of vertices described by this attribute.
+   * @type {number}
+   */
+  get count() {
+    const array = this.array;
+    return array ? Math.floor(array.length / this.stride) : 0;
+  }
+
+  /**
+   * Reads one component of one vertex, honoring stride and offset.
+   * @param {number} index - Vertex index.
+   * @param {number} component - Component index (0 = x, 1 = y, ...).
+   * @returns {number}
+   */
+  getComponent(index, component) {
+    return this.array[index * this.stride + this.offset + component];
+  }
+
+  /**
+   * Writes one component of one vertex, honoring stride and offset.
+   * @param {number} index - Vertex index.
+   * @param {number} component - Component index.
+   * @param {number} value
+   * @returns {GeometryAttribute}
+   */
+  setComponent(index, component, value) {
+    this.array[index * this.stride + this.offset + component] = value;
+    return this;
+  }
+
+  /**
+   * Returns the tightly packed data of this attribute: the owned array, or
+   * a de-interleaved copy ([x, y, z, x, y, z, ...]) when interleaved.
+   * @returns {TypedArray|null}
+   */
+  getPackedArray() {
+    if (!this.buffer) return this._array;
+
+    const count = this.count;
+    const itemSize = this.itemSize;
+    const packed = new this.array.constructor(count * itemSize);
+    for (let i = 0; i < count; i++) {
+      for (let c = 0; c < itemSize; c++) packed[i * itemSize + c] = this.getComponent(i, c);
+    }
+    return packed;
+  }
+
+  // ============================================================
+  // DATA OPERATIONS
+  // ============================================================
+
+  /**
+   * Creates a deep copy. Interleaved attributes get a copy of their buffer,
+   * unless `buffer` is given (attributes sharing one buffer should share
+   * one copy, see Geometry.copy).
+   * @param {InterleavedBuffer|null} [buffer] - Storage for the copy when interleaved.
+   * @returns {GeometryAttribute}
+   */
+  clone(buffer = this.buffer ? this.buffer.clone() : null) {
+    const attribute = new GeometryAttribute(
+      this._array ? this._array.slice() : null,
+      this.itemSize,
+      this.normalized,
+      buffer,
+      this.offset
+    );
+    attribute.usage = this.usage;
+    return attribute;
+  }
+
+  /**
+   * Converts this attribute into a JSON representation. Interleaved
+   * attributes reference their buffer by `buffer` (its uuid); the buffer
+   * itself is written once by Geometry.toJSON().
+   * @returns {object}
+   */
+  toJSON() {
+    return {
+      type: this.type,
+      itemSize: this.itemSize,
+      normalized: this.normalized,
+      offset: this.offset,
+      usage: this.usage,
+      interleaved: !!this.buffer,
+      buffer: this.buffer ? this.buffer.uuid : null,
+      arrayType: this.array ? this.array.constructor.name : null,
+      array: this._array ? Array.from(this._array) : null
+    };
+  }
+
+  /**
+   * Restores an attribute written by toJSON().
+   * @param {object} json
+   * @param {Object.<string, InterleavedBuffer>} [buffers={}] - Interleaved buffers by uuid.
+   * @returns {GeometryAttribute}
+   */
+  static fromJSON(json, buffers = {}) {
+    const buffer = json.interleaved ? buffers[json.buffer] : null;
+    if (json.interleaved && !buffer) {
+      throw new Error(`GeometryAttribute.fromJSON: missing interleaved buffer "${json.buffer}".`);
+    }
+    const ArrayType = globalThis[json.arrayType] ?? Float32Array;
+    const attribute = new GeometryAttribute(
+      buffer ? null : new ArrayType(json.array),
+      json.itemSize,
+      json.normalized,
+      buffer,
+      json.offset ?? 0
+    );
+    attribute.usage = json.usage ?? null;
+    return attribute;
+  }
+}
+
+export { GeometryAttribute };
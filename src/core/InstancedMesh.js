@@ -0,0 +1,416 @@
+// ===============================================
+// InstancedMesh.js — DSRT Engine v1.1
+// ===============================================
+
+import { Mesh } from '../core/Mesh.js';
+import { GeometryAttribute } from '../core/GeometryAttribute.js';
+
+/**
+ * @fileoverview
+ * InstancedMesh draws many copies of one geometry/material pair in a single
+ * draw call. Every instance has its own transform (and optionally its own
+ * color), stored in flat per-instance arrays that the renderer uploads as
+ * instanced vertex attributes.
+ *
+ * Shaders read them as:
+ *   attribute mat4 instanceMatrix;   // always present
+ *   attribute vec3 instanceColor;    // only after setColorAt()
+ *
+ * The final vertex position is
+ *   projectionMatrix * modelViewMatrix * instanceMatrix * position.
+ *
+ * @module DSRT/core/InstancedMesh
+ * @since DSRT Engine 1.1
+ * @author
+ *   DSRT Engine System — Core Rendering Layer
+ */
+
+/**
+ * ==============================================================
+ * CLASS: InstancedMesh
+ * ==============================================================
+ *
+ * @class InstancedMesh
+ * @extends Mesh
+ *
+ * @example
+ * const rocks = new InstancedMesh( rockGeometry, rockMaterial, 5000 );
+ * for ( let i = 0; i < rocks.count; i++ ) {
+ *   rocks.setMatrixAt( i, placement[ i ] );
+ *   rocks.setColorAt( i, 0x887766 );
+ * }
+ * scene.add( rocks );
+ */
+class InstancedMesh extends Mesh {
+
+  /**
+   * @constructor
+   * @param {Geometry} geometry - Geometry shared by every instance.
+   * @param {Material} material - Material shared by every instance.
+   * @param {number} count - Maximum number of instances.
+   */
+  constructor( geometry = null, material = null, count = 1 ) {
+    super( geometry, material );
+
+    /** @private */
+    this._count = count;
+
+    /**
+     * Per-instance 4×4 transforms, 16 column-major floats per instance.
+     * @type {GeometryAttribute}
+     */
+    this.instanceMatrix = new GeometryAttribute( new Float32Array( count * 16 ), 16 );
+
+    /**
+     * Per-instance RGB colors, created on the first setColorAt() call.
+     * @type {GeometryAttribute|null}
+     */
+    this.instanceColor = null;
+
+    /** @private Sphere behind the boundingSphere accessor. */
+    this._boundingSphere = null;
+
+    /** @private Geometry sphere `_boundingSphere` was computed from. */
+    this._geometrySphere = null;
+
+    /**
+     * Pending instance updates, keyed by attribute name
+     * (null = whole array, array = { start, count } element ranges).
+     * @type {Map<string, Array<{start: number, count: number}>|null>}
+     * @private
+     */
+    this._dirtyAttributes = new Map();
+
+    /**
+     * Internal type identifier for serialization and debugging.
+     * @type {string}
+     * @readonly
+     */
+    this.type = 'InstancedMesh';
+
+    /**
+     * Engine audit flag to confirm this is an InstancedMesh object.
+     * @type {boolean}
+     * @readonly
+     */
+    this.isInstancedMesh = true;
+
+    const array = this.instanceMatrix.array;
+    for ( let i = 0; i < count; i++ ) {
+      array[ i * 16 ] = array[ i * 16 + 5 ] = array[ i * 16 + 10 ] = array[ i * 16 + 15 ] = 1;
+    }
+    this.markNeedsUpdate( 'instanceMatrix' );
+  }
+
+  // ============================================================
+  // ACCESSORS
+  // ============================================================
+
+  /**
+   * Number of instances drawn. May be lowered at runtime to draw fewer
+   * instances; values above the count passed to the constructor are
+   * clamped to it. Changing it invalidates `boundingSphere`.
+   * @type {number}
+   */
+  get count() {
+    return this._count;
+  }
+
+  set count( value ) {
+    value = Math.min( value, this.instanceMatrix.array.length / 16 );
+    if ( value !== this._count ) this.boundingSphere = null;
+    this._count = value;
+  }
+
+  /**
+   * Geometry shared by every instance. Assigning one invalidates
+   * `boundingSphere`.
+   * @type {Geometry}
+   */
+  get geometry() {
+    return this._geometry;
+  }
+
+  set geometry( value ) {
+    if ( value !== this._geometry ) this.boundingSphere = null;
+    this._geometry = value;
+  }
+
+  /**
+   * Sphere enclosing every instance, in the mesh's local space.
+   * Recomputed lazily when null. Reads null again once the geometry's own
+   * sphere is invalidated, e.g. by `geometry.markNeedsUpdate( 'position' )`.
+   * @type {{center: number[], radius: number}|null}
+   */
+  get boundingSphere() {
+    if ( this._boundingSphere && ( this._geometry?.boundingSphere ?? null ) !== this._geometrySphere ) {
+      this._boundingSphere = null;
+    }
+    return this._boundingSphere;
+  }
+
+  set boundingSphere( value ) {
+    this._boundingSphere = value;
+    this._geometrySphere = value ? this._geometry?.boundingSphere ?? null : null;
+  }
+
+  // ============================================================
+  // INSTANCE DATA
+  // ============================================================
+
+  /**
+   * Sets the transform of one instance.
+   * @param {number} index - Instance index.
+   * @param {Matrix4|ArrayLike<number>} matrix - Matrix4 or 16 column-major numbers.
+   * @returns {InstancedMesh}
+   */
+  setMatrixAt( index, matrix ) {
+    const elements = matrix.elements ?? matrix;
+    const array = this.instanceMatrix.array;
+    for ( let i = 0; i < 16; i++ ) array[ index * 16 + i ] = elements[ i ];
+
+    this.markNeedsUpdate( 'instanceMatrix', index * 16, 16 );
+    this.boundingSphere = null;
+    return this;
+  }
+
+  /**
+   * Reads the transform of one instance.
+   * @param {number} index - Instance index.
+   * @param {Matrix4|number[]} target - Receives the 16 column-major numbers.
+   * @returns {Matrix4|number[]} The target.
+   */
+  getMatrixAt( index, target ) {
+    const elements = target.elements ?? target;
+    const array = this.instanceMatrix.array;
+    for ( let i = 0; i < 16; i++ ) elements[ i ] = array[ index * 16 + i ];
+    return target;
+  }
+
+  /**
+   * Sets the color of one instance. The first call allocates the color
+   * array, with every other instance defaulting to white.
+   * @param {number} index - Instance index.
+   * @param {number|{r: number, g: number, b: number}|number[]} color - Hex integer, {r,g,b} or [r,g,b] in 0–1.
+   * @returns {InstancedMesh}
+   */
+  setColorAt( index, color ) {
+    if ( !this.instanceColor ) {
+      const capacity = this.instanceMatrix.array.length / 16;
+      this.instanceColor = new GeometryAttribute( new Float32Array( capacity * 3 ).fill( 1 ), 3 );
+      this.markNeedsUpdate( 'instanceColor' );
+    }
+
+    const array = this.instanceColor.array;
+    if ( typeof color === 'number' ) {
+      array[ index * 3 ] = ( ( color >> 16 ) & 255 ) / 255;
+      array[ index * 3 + 1 ] = ( ( color >> 8 ) & 255 ) / 255;
+      array[ index * 3 + 2 ] = ( color & 255 ) / 255;
+    } else {
+      array[ index * 3 ] = color.r ?? color[ 0 ];
+      array[ index * 3 + 1 ] = color.g ?? color[ 1 ];
+      array[ index * 3 + 2 ] = color.b ?? color[ 2 ];
+    }
+
+    this.markNeedsUpdate( 'instanceColor', index * 3, 3 );
+    return this;
+  }
+
+  /**
+   * Reads the color of one instance (white when no colors were set).
+   * @param {number} index - Instance index.
+   * @param {number[]} [target=[]] - Receives [r, g, b].
+   * @returns {number[]} The target.
+   */
+  getColorAt( index, target = [] ) {
+    const array = this.instanceColor?.array;
+    target[ 0 ] = array ? array[ index * 3 ] : 1;
+    target[ 1 ] = array ? array[ index * 3 + 1 ] : 1;
+    target[ 2 ] = array ? array[ index * 3 + 2 ] : 1;
+    return target;
+  }
+
+  // ============================================================
+  // PARTIAL UPDATES
+  // ============================================================
+
+  /**
+   * Flags instance data for re-upload. With start/count only that element
+   * range is sent to the GPU; adjacent ranges are merged so a loop of
+   * setMatrixAt() calls becomes a single upload.
+   *
+   * @param {string} [attribute] - 'instanceMatrix' or 'instanceColor'; all when omitted.
+   * @param {number} [start] - First array element that changed.
+   * @param {number} [count] - Number of array elements that changed.
+   * @returns {InstancedMesh}
+   */
+  markNeedsUpdate( attribute, start, count ) {
+    const names = attribute ? [ attribute ] : [ 'instanceMatrix', 'instanceColor' ];
+    for ( const name of names ) {
+      if ( start === undefined || count === undefined ) {
+        this._dirtyAttributes.set( name, null );
+        continue;
+      }
+      const ranges = this._dirtyAttributes.get( name );
+      if ( ranges === null ) continue; // whole array already pending
+      if ( !ranges ) {
+        this._dirtyAttributes.set( name, [ { start, count } ] );
+        continue;
+      }
+      const last = ranges[ ranges.length - 1 ];
+      if ( last.start + last.count === start ) last.count += count;
+      else ranges.push( { start, count } );
+    }
+    return this;
+  }
+
+  /**
+   * Returns pending ranges for one attribute: undefined when clean,
+   * null when the whole array must be uploaded.
+   * @param {string} attribute
+   * @returns {Array<{start: number, count: number}>|null|undefined}
+   */
+  getUpdateRanges( attribute ) {
+    return this._dirtyAttributes.get( attribute );
+  }
+
+  /**
+   * Called by the renderer once pending instance data has been uploaded.
+   */
+  clearUpdateRanges() {
+    this._dirtyAttributes.clear();
+  }
+
+  // ============================================================
+  // BOUNDS
+  // ============================================================
+
+  /**
+   * Computes a local-space sphere enclosing all `count` instances, used by
+   * frustum culling instead of the geometry's own bounds.
+   * @returns {InstancedMesh}
+   */
+  computeBoundingSphere() {
+    const geometry = this.geometry;
+    if ( geometry && !geometry.boundingSphere ) geometry.computeBoundingSphere?.();
+    const sphere = geometry?.boundingSphere;
+    if ( !sphere || this.count === 0 ) {
+      this.boundingSphere = null;
+      return this;
+    }
+
+    const array = this.instanceMatrix.array;
+    const centers = new Float32Array( this.count * 3 );
+    const radii = new Float32Array( this.count );
+    const min = [ Infinity, Infinity, Infinity ];
+    const max = [ -Infinity, -Infinity, -Infinity ];
+    const [ cx, cy, cz ] = sphere.center;
+
+    // Pass 1 — instance spheres and the box around them
+    for ( let i = 0; i < this.count; i++ ) {
+      const e = array.subarray( i * 16, i * 16 + 16 );
+      const sx = e[ 0 ] * e[ 0 ] + e[ 1 ] * e[ 1 ] + e[ 2 ] * e[ 2 ];
+      const sy = e[ 4 ] * e[ 4 ] + e[ 5 ] * e[ 5 ] + e[ 6 ] * e[ 6 ];
+      const sz = e[ 8 ] * e[ 8 ] + e[ 9 ] * e[ 9 ] + e[ 10 ] * e[ 10 ];
+      radii[ i ] = sphere.radius * Math.sqrt( Math.max( sx, sy, sz ) );
+
+      for ( let k = 0; k < 3; k++ ) {
+        const c = e[ k ] * cx + e[ 4 + k ] * cy + e[ 8 + k ] * cz + e[ 12 + k ];
+        centers[ i * 3 + k ] = c;
+        min[ k ] = Math.min( min[ k ], c - radii[ i ] );
+        max[ k ] = Math.max( max[ k ], c + radii[ i ] );
+      }
+    }
+
+    // Pass 2 — radius around the box center that reaches every instance sphere
+    const center = [ ( min[ 0 ] + max[ 0 ] ) / 2, ( min[ 1 ] + max[ 1 ] ) / 2, ( min[ 2 ] + max[ 2 ] ) / 2 ];
+    let radius = 0;
+    for ( let i = 0; i < this.count; i++ ) {
+      const dx = centers[ i * 3 ] - center[ 0 ];
+      const dy = centers[ i * 3 + 1 ] - center[ 1 ];
+      const dz = centers[ i * 3 + 2 ] - center[ 2 ];
+      radius = Math.max( radius, Math.sqrt( dx * dx + dy * dy + dz * dz ) + radii[ i ] );
+    }
+
+    this.boundingSphere = { center, radius };
+    return this;
+  }
+
+  // ============================================================
+  // SERIALIZATION & CLONING
+  // ============================================================
+
+  /**
+   * Clone this instanced mesh, sharing geometry and material.
+   * @param {boolean} [recursive=true]
+   * @returns {InstancedMesh}
+   */
+  clone( recursive = true ) {
+    return new InstancedMesh( this.geometry, this.material, this.count ).copy( this, recursive );
+  }
+
+  /**
+   * Copy properties and instance data from another InstancedMesh.
+   * @param {InstancedMesh} source
+   * @param {boolean} [recursive=true]
+   * @returns {InstancedMesh}
+   */
+  copy( source, recursive = true ) {
+    super.copy( source, recursive );
+    this.instanceMatrix = source.instanceMatrix.clone();
+    this.count = source.count;
+    this.instanceColor = source.instanceColor ? source.instanceColor.clone() : null;
+    this.boundingSphere = null;
+    this.markNeedsUpdate();
+    return this;
+  }
+
+  /**
+   * Convert this instanced mesh into a DSRT-compatible JSON structure.
+   * @param {object} [meta]
+   * @returns {object}
+   */
+  toJSON( meta ) {
+    const base = super.toJSON( meta );
+    base.count = this.count;
+    base.instanceMatrix = Array.from( this.instanceMatrix.array );
+    base.instanceColor = this.instanceColor ? Array.from( this.instanceColor.array ) : null;
+    base.dsrt.object3D.audit.isInstancedMesh = true;
+    base.dsrt.object3D.metadata.type = 'InstancedMesh';
+    return base;
+  }
+}
+
+export { InstancedMesh };
+
+/**
+ * ==============================================================
+ * InstancedMesh Internal Test
+ * ==============================================================
+ * @function dsrtTestInstancedMesh
+ * @description
+ * Verifies identity initialization, per-instance writes and range merging.
+ *
+ * @returns {boolean}
+ */
+export function dsrtTestInstancedMesh() {
+  const mesh = new InstancedMesh( { id: 'geo' }, { id: 'mat' }, 3 );
+  mesh.clearUpdateRanges();
+
+  const m = new Array( 16 ).fill( 0 );
+  m[ 0 ] = m[ 5 ] = m[ 10 ] = m[ 15 ] = 2;
+  mesh.setMatrixAt( 1, m );
+  mesh.setMatrixAt( 2, m );
+  mesh.setColorAt( 0, 0xff0000 );
+
+  const ranges = mesh.getUpdateRanges( 'instanceMatrix' );
+  const out = mesh.getMatrixAt( 0, [] );
+
+  return (
+    out[ 0 ] === 1 && out[ 15 ] === 1 &&
+    mesh.getMatrixAt( 2, [] )[ 5 ] === 2 &&
+    ranges.length === 1 && ranges[ 0 ].start === 16 && ranges[ 0 ].count === 32 &&
+    mesh.getColorAt( 0 )[ 0 ] === 1 && mesh.getColorAt( 0 )[ 1 ] === 0 &&
+    mesh.getColorAt( 1 )[ 1 ] === 1
+  );
+}
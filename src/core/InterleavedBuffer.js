@@ -0,0 +1,127 @@
+// ===============================================
+// InterleavedBuffer.js — DSRT Engine v1.1
+// ===============================================
+
+/**
+ * @fileoverview
+ * InterleavedBuffer stores several vertex attributes packed into one
+ * typed array, e.g. [x, y, z, nx, ny, nz, u, v, x, y, z, ...].
+ *
+ * Attributes reference it through {@link GeometryAttribute} with an
+ * element offset, and the renderer uploads it as a single GPU buffer.
+ *
+ * @module DSRT/core/InterleavedBuffer
+ * @since DSRT Engine 1.1
+ * @author
+ *   DSRT Engine System — Core Geometry Layer
+ */
+
+/**
+ * ==============================================================
+ * CLASS: InterleavedBuffer
+ * ==============================================================
+ *
+ * @class InterleavedBuffer
+ *
+ * @example
+ * const buffer = new InterleavedBuffer(new Float32Array(data), 8);
+ * geometry.setInterleavedAttribute('position', buffer, 3, 0);
+ * geometry.setInterleavedAttribute('normal', buffer, 3, 3);
+ * geometry.setInterleavedAttribute('uv', buffer, 2, 6);
+ */
+class InterleavedBuffer {
+
+  /**
+   * @constructor
+   * @param {TypedArray} array - Packed vertex data (all components share one type).
+   * @param {number} stride - Number of array elements per vertex.
+   */
+  constructor(array, stride) {
+
+    /**
+     * Identifier referenced by serialized attributes sharing this buffer.
+     * @type {string}
+     */
+    this.uuid = 'ibuf-' + Math.random().toString(36).substr(2, 9);
+
+    /**
+     * Packed vertex data.
+     * @type {TypedArray}
+     */
+    this.array = array;
+
+    /**
+     * Number of array elements between consecutive vertices.
+     * @type {number}
+     */
+    this.stride = stride;
+
+    /**
+     * Optional GPU usage hint overriding the geometry's (null = inherit).
+     * @type {number|null}
+     */
+    this.usage = null;
+
+    /**
+     * Type string for runtime identification.
+     * @type {string}
+     * @readonly
+     */
+    this.type = 'InterleavedBuffer';
+
+    /**
+     * Internal audit flag.
+     * @type {boolean}
+     * @readonly
+     */
+    this.isInterleavedBuffer = true;
+  }
+
+  /**
+   * Number of vertices stored in the buffer.
+   * @type {number}
+   */
+  get count() {
+    return this.array.length / this.stride;
+  }
+
+  /**
+   * Creates a deep copy of this buffer.
+   * @returns {InterleavedBuffer}
+   */
+  clone() {
+    const buffer = new InterleavedBuffer(this.array.slice(), this.stride);
+    buffer.usage = this.usage;
+    return buffer;
+  }
+
+  /**
+   * Converts this buffer into a JSON representation.
+   * @returns {object}
+   */
+  toJSON() {
+    return {
+      uuid: this.uuid,
+      type: this.type,
+      arrayType: this.array.constructor.name,
+      array: Array.from(this.array),
+      stride: this.stride,
+      usage: this.usage
+    };
+  }
+
+  /**
+   * Restores a buffer written by toJSON().
+   * @param {object} json
+   * @returns {InterleavedBuffer}
+   */
+  static fromJSON(json) {
+    const ArrayType = globalThis[json.arrayType] ?? Float32Array;
+    const buffer = new InterleavedBuffer(new ArrayType(json.array), json.stride);
+    if (json.uuid) buffer.uuid = json.uuid;
+    buffer.usage = json.usage ?? null;
+    return buffer;
+  }
+}
+
+export { InterleavedBuffer };
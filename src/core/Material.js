@@ -18,6 +18,8 @@
  *   DSRT Engine System — Core Rendering Layer
  */
 
+import { LessEqualDepth } from '../constants/Constants.js';
+
 /**
  * ==============================================================
  * CLASS: Material
@@ -102,10 +104,48 @@ class Material {
     this.doubleSided = parameters.doubleSided || false;
 
     /**
-     * Rendering blending mode (e.g. "Normal", "Additive", "Multiply").
-     * @type {string}
+     * Whether the scene's fog (`Scene.fog`) is applied to this material.
+     * @type {boolean}
+     */
+    this.fog = parameters.fog !== false;
+
+    /**
+     * Rendering blending mode: a `*Blending` constant, or its legacy name
+     * ("None", "Normal", "Additive", "Subtractive", "Multiply", "Custom").
+     * Normal blending only takes effect when the material is transparent.
+     * @type {number|string}
+     */
+    this.blending = parameters.blending ?? 'Normal';
+
+    /**
+     * Blend equations and factors used when `blending` is CustomBlending.
+     * `*Equation` / `*Factor` constants; alpha variants default to the RGB ones when null.
+     * @type {number|null}
+     */
+    this.blendEquation = parameters.blendEquation ?? null;
+    this.blendSrc = parameters.blendSrc ?? null;
+    this.blendDst = parameters.blendDst ?? null;
+    this.blendEquationAlpha = parameters.blendEquationAlpha ?? null;
+    this.blendSrcAlpha = parameters.blendSrcAlpha ?? null;
+    this.blendDstAlpha = parameters.blendDstAlpha ?? null;
+
+    /**
+     * Whether fragments are tested against the depth buffer.
+     * @type {boolean}
+     */
+    this.depthTest = parameters.depthTest !== false;
+
+    /**
+     * Whether fragments write to the depth buffer.
+     * @type {boolean}
+     */
+    this.depthWrite = parameters.depthWrite !== false;
+
+    /**
+     * Depth comparison function (`*Depth` constant).
+     * @type {number}
      */
-    this.blending = parameters.blending || 'Normal';
+    this.depthFunc = parameters.depthFunc ?? LessEqualDepth;
 
     /**
      * Indicates if the material needs GPU re-upload (after property changes).
@@ -180,7 +220,17 @@ class Material {
     this.lit = source.lit;
     this.receiveShadow = source.receiveShadow;
     this.doubleSided = source.doubleSided;
+    this.fog = source.fog;
     this.blending = source.blending;
+    this.blendEquation = source.blendEquation;
+    this.blendSrc = source.blendSrc;
+    this.blendDst = source.blendDst;
+    this.blendEquationAlpha = source.blendEquationAlpha;
+    this.blendSrcAlpha = source.blendSrcAlpha;
+    this.blendDstAlpha = source.blendDstAlpha;
+    this.depthTest = source.depthTest;
+    this.depthWrite = source.depthWrite;
+    this.depthFunc = source.depthFunc;
     return this;
   }
 
@@ -206,7 +256,17 @@ class Material {
       lit: this.lit,
       receiveShadow: this.receiveShadow,
       doubleSided: this.doubleSided,
+      fog: this.fog,
       blending: this.blending,
+      blendEquation: this.blendEquation,
+      blendSrc: this.blendSrc,
+      blendDst: this.blendDst,
+      blendEquationAlpha: this.blendEquationAlpha,
+      blendSrcAlpha: this.blendSrcAlpha,
+      blendDstAlpha: this.blendDstAlpha,
+      depthTest: this.depthTest,
+      depthWrite: this.depthWrite,
+      depthFunc: this.depthFunc,
       dsrt: {
         material: {
           audit: { isMaterial: true },
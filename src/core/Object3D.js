@@ -110,6 +110,35 @@ class Object3D {
     this.active = false;
     this.destroyed = false;
 
+    /**
+     * When true, the renderer skips this object if its bounds lie
+     * outside the camera frustum. Disable for objects whose vertices
+     * are displaced in the shader beyond their geometry bounds.
+     * @type {boolean}
+     */
+    this.frustumCulled = true;
+
+    /**
+     * Explicit draw order override. Objects with a lower value are drawn
+     * first within their render queue (opaque or transparent), before any
+     * program or depth sorting is applied.
+     * @type {number}
+     */
+    this.renderOrder = 0;
+
+    /**
+     * When true, this object is drawn into the depth maps of
+     * shadow-casting lights.
+     * @type {boolean}
+     */
+    this.castShadow = false;
+
+    /**
+     * When true, this object is darkened by other objects' shadows.
+     * @type {boolean}
+     */
+    this.receiveShadow = false;
+
     /**
      * Optional debug flag for verbose logs.
      * @type {boolean}
@@ -260,6 +289,10 @@ class Object3D {
     this.visible = source.visible;
     this.enabled = source.enabled;
     this.active = source.active;
+    this.frustumCulled = source.frustumCulled;
+    this.renderOrder = source.renderOrder;
+    this.castShadow = source.castShadow;
+    this.receiveShadow = source.receiveShadow;
 
     if ( recursive ) {
       for ( const child of source.children ) {
@@ -290,6 +323,10 @@ class Object3D {
       scale: this.scale.toArray(),
       visible: this.visible,
       enabled: this.enabled,
+      frustumCulled: this.frustumCulled,
+      renderOrder: this.renderOrder,
+      castShadow: this.castShadow,
+      receiveShadow: this.receiveShadow,
       children: [],
       dsrt: {
         object3D: {
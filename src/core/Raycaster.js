@@ -0,0 +1,328 @@
+// ==============================
+// Raycaster.js — DSRT Engine Core v1.1
+// ==============================
+
+import { Vec2 } from '../math/Vec2.js';
+import { Vec3 } from '../math/Vec3.js';
+import { Ray } from '../math/Ray.js';
+import { Bounds3D } from '../math/box/Bounds3D.js';
+import { multiplyMatrices } from '../math/Frustum.js';
+
+/**
+ * @fileoverview
+ * Raycaster
+ * @module DSRT/core/Raycaster
+ * @description
+ * CPU ray casting against the scene graph, for mouse picking, line of
+ * sight and placement. The ray is built from an origin and direction, or
+ * from a camera and a point in normalized device coordinates (-1..1,
+ * y up). Meshes are first rejected by their world bounding sphere and
+ * box, then their triangles (`Geometry.vertices` / `indices`) are tested
+ * one by one. Instanced meshes are tested per instance.
+ *
+ * Single-sided materials only report triangles facing the ray; set
+ * `doubleSided` on the material to hit both sides.
+ *
+ * Each hit is `{ distance, point, normal, uv, faceIndex, object, instanceId }`:
+ * `point` and the unit face `normal` are in world space, `uv` is null when
+ * the geometry has no uvs and `instanceId` is null outside InstancedMesh.
+ * Hits are sorted nearest first.
+ *
+ * @version 1.1
+ * @since DSRT Engine 1.1
+ * @author
+ * DSRT Engine System
+ *
+ * @example
+ * const raycaster = Raycaster.fromCamera( { x: ndcX, y: ndcY }, camera );
+ * const [ hit ] = raycaster.intersectObject( scene );
+ * if ( hit ) console.log( hit.object.name, hit.point );
+ */
+
+class Raycaster {
+
+  /**
+   * Constructs a raycaster.
+   * @param {Vec3} [origin=(0, 0, 0)] - Ray origin in world space.
+   * @param {Vec3} [direction=(0, 0, -1)] - Ray direction (normalized).
+   * @param {number} [near=0] - Hits closer than this are ignored.
+   * @param {number} [far=Infinity] - Hits farther than this are ignored.
+   */
+  constructor( origin = new Vec3(), direction = new Vec3( 0, 0, -1 ), near = 0, far = Infinity ) {
+
+    /** @type {Ray} World-space ray. */
+    this.ray = new Ray( origin.clone(), direction.clone() );
+
+    /** @type {number} Minimum hit distance. */
+    this.near = near;
+
+    /** @type {number} Maximum hit distance. */
+    this.far = far;
+
+    /** @type {boolean} Type flag for fast checks. */
+    this.isRaycaster = true;
+  }
+
+  /**
+   * Creates a raycaster through a point of a camera's view.
+   * @param {{x: number, y: number}} coords - Normalized device coordinates (-1..1, y up).
+   * @param {Camera} camera - Perspective or orthographic camera.
+   * @returns {Raycaster}
+   */
+  static fromCamera( coords, camera ) {
+    return new Raycaster().setFromCamera( coords, camera );
+  }
+
+  /**
+   * Sets the ray origin and direction.
+   * @param {Vec3} origin - Ray origin in world space.
+   * @param {Vec3} direction - Ray direction (normalized).
+   * @returns {Raycaster}
+   */
+  set( origin, direction ) {
+    this.ray.set( origin, direction );
+    return this;
+  }
+
+  /**
+   * Aims the ray through a point of a camera's view. Perspective rays
+   * start at the camera; orthographic rays start on the near plane and
+   * run parallel to the view axis. The camera's matrices must be current.
+   * @param {{x: number, y: number}} coords - Normalized device coordinates (-1..1, y up).
+   * @param {Camera} camera - Perspective or orthographic camera.
+   * @returns {Raycaster}
+   */
+  setFromCamera( coords, camera ) {
+    const projection = camera.projectionMatrix.elements;
+    multiplyMatrices( _matrix, projection, camera.viewMatrix.elements );
+    if ( !invertMatrix( _inverse, _matrix ) ) {
+      console.warn( '[Raycaster] setFromCamera: camera matrices are not invertible.' );
+      return this;
+    }
+
+    const ray = this.ray;
+    if ( projection[ 11 ] !== 0 ) {
+      const eye = camera.matrixWorld.elements;
+      ray.origin.set( eye[ 12 ], eye[ 13 ], eye[ 14 ] );
+      _target.set( coords.x, coords.y, 0.5 ).applyMatrix4( _inverse );
+    } else {
+      ray.origin.set( coords.x, coords.y, -1 ).applyMatrix4( _inverse );
+      _target.set( coords.x, coords.y, 1 ).applyMatrix4( _inverse );
+    }
+    ray.direction.subVectors( _target, ray.origin ).normalize();
+    return this;
+  }
+
+  /**
+   * Intersects an object and, when recursive, its visible descendants.
+   * Invisible objects are skipped with their whole subtree.
+   * @param {Object3D} object - Object (or Scene) to test.
+   * @param {boolean} [recursive=true] - Also test children.
+   * @param {Array<Object>} [intersects=[]] - Receives the hits.
+   * @returns {Array<Object>} Hits sorted by distance.
+   */
+  intersectObject( object, recursive = true, intersects = [] ) {
+    this._intersect( object, recursive, intersects );
+    intersects.sort( byDistance );
+    return intersects;
+  }
+
+  /**
+   * Intersects several objects.
+   * @param {Object3D[]} objects - Objects to test.
+   * @param {boolean} [recursive=true] - Also test children.
+   * @param {Array<Object>} [intersects=[]] - Receives the hits.
+   * @returns {Array<Object>} Hits sorted by distance.
+   */
+  intersectObjects( objects, recursive = true, intersects = [] ) {
+    for ( const object of objects ) this._intersect( object, recursive, intersects );
+    intersects.sort( byDistance );
+    return intersects;
+  }
+
+  // ------------------------------
+  // Internals
+  // ------------------------------
+
+  /** @private */
+  _intersect( object, recursive, intersects ) {
+    if ( !object.visible ) return;
+
+    if ( ( object.isMesh || object.type === 'Mesh' ) && object.geometry?.attributes.position ) {
+      const world = object.matrixWorld.elements;
+      if ( object.isInstancedMesh ) {
+        const count = Math.min( object.count, object.instanceMatrix.array.length / 16 );
+        for ( let i = 0; i < count; i++ ) {
+          multiplyMatrices( _instanceWorld, world, object.getMatrixAt( i, _instance ) );
+          this._intersectMesh( object, _instanceWorld, i, intersects );
+        }
+      } else {
+        this._intersectMesh( object, world, null, intersects );
+      }
+    }
+
+    if ( recursive ) {
+      for ( const child of object.children ) this._intersect( child, true, intersects );
+    }
+  }
+
+  /** @private */
+  _intersectMesh( mesh, matrix, instanceId, intersects ) {
+    const geometry = mesh.geometry;
+    if ( !geometry.boundingBox ) geometry.computeBoundingBox();
+    if ( !geometry.boundingSphere ) geometry.computeBoundingSphere();
+    const sphere = geometry.boundingSphere;
+    if ( !sphere ) return;
+
+    // Bounding sphere, then bounding box, both in world space
+    _center.fromArray( sphere.center ).applyMatrix4( matrix );
+    const entry = this.ray.intersectSphere( _center, sphere.radius * getMaxScale( matrix ) );
+    if ( entry === null || entry > this.far ) return;
+
+    transformBox( _bounds, geometry.boundingBox, matrix );
+    if ( this.ray.intersectBox( _bounds ) === null ) return;
+
+    const position = geometry.attributes.position;
+    const uv = geometry.attributes.uv;
+    const indices = geometry.indices;
+    const count = indices ? indices.length : position.count;
+    const cullBackFaces = !mesh.material?.doubleSided;
+
+    for ( let i = 0; i + 2 < count; i += 3 ) {
+      const a = indices ? indices[ i ] : i;
+      const b = indices ? indices[ i + 1 ] : i + 1;
+      const c = indices ? indices[ i + 2 ] : i + 2;
+
+      readVertex( _a, position, a ).applyMatrix4( matrix );
+      readVertex( _b, position, b ).applyMatrix4( matrix );
+      readVertex( _c, position, c ).applyMatrix4( matrix );
+
+      const distance = this.ray.intersectTriangle( _a, _b, _c, cullBackFaces, _barycoord );
+      if ( distance === null || distance < this.near || distance > this.far ) continue;
+
+      const normal = new Vec3().crossVectors( _edge1.subVectors( _b, _a ), _edge2.subVectors( _c, _a ) ).normalize();
+      intersects.push( {
+        distance,
+        point: this.ray.at( distance ),
+        normal,
+        uv: uv ? interpolateUv( uv, a, b, c, _barycoord ) : null,
+        faceIndex: i / 3,
+        object: mesh,
+        instanceId
+      } );
+    }
+  }
+}
+
+// ------------------------------
+// Helpers
+// ------------------------------
+
+function byDistance( a, b ) {
+  return a.distance - b.distance;
+}
+
+function readVertex( target, attribute, index ) {
+  return target.set(
+    attribute.getComponent( index, 0 ),
+    attribute.getComponent( index, 1 ),
+    attribute.getComponent( index, 2 )
+  );
+}
+
+function interpolateUv( attribute, a, b, c, weights ) {
+  return new Vec2(
+    attribute.getComponent( a, 0 ) * weights.x + attribute.getComponent( b, 0 ) * weights.y + attribute.getComponent( c, 0 ) * weights.z,
+    attribute.getComponent( a, 1 ) * weights.x + attribute.getComponent( b, 1 ) * weights.y + attribute.getComponent( c, 1 ) * weights.z
+  );
+}
+
+/** Largest axis scale of a column-major matrix. */
+function getMaxScale( m ) {
+  return Math.sqrt( Math.max(
+    m[ 0 ] * m[ 0 ] + m[ 1 ] * m[ 1 ] + m[ 2 ] * m[ 2 ],
+    m[ 4 ] * m[ 4 ] + m[ 5 ] * m[ 5 ] + m[ 6 ] * m[ 6 ],
+    m[ 8 ] * m[ 8 ] + m[ 9 ] * m[ 9 ] + m[ 10 ] * m[ 10 ]
+  ) );
+}
+
+/** World AABB of a transformed local box (Arvo's method). */
+function transformBox( target, box, m ) {
+  const { min, max } = box;
+  _min.set( m[ 12 ], m[ 13 ], m[ 14 ] );
+  _max.copy( _min );
+  for ( let col = 0; col < 3; col++ ) {
+    for ( let row = 0; row < 3; row++ ) {
+      const e = m[ col * 4 + row ];
+      const a = e * min[ col ];
+      const b = e * max[ col ];
+      const axis = AXES[ row ];
+      _min[ axis ] += Math.min( a, b );
+      _max[ axis ] += Math.max( a, b );
+    }
+  }
+  return target.set( _min, _max );
+}
+
+/**
+ * Inverts a column-major 4×4 matrix.
+ * @returns {boolean} False when the matrix is singular (out is untouched).
+ */
+function invertMatrix( out, m ) {
+  const a00 = m[ 0 ], a01 = m[ 1 ], a02 = m[ 2 ], a03 = m[ 3 ];
+  const a10 = m[ 4 ], a11 = m[ 5 ], a12 = m[ 6 ], a13 = m[ 7 ];
+  const a20 = m[ 8 ], a21 = m[ 9 ], a22 = m[ 10 ], a23 = m[ 11 ];
+  const a30 = m[ 12 ], a31 = m[ 13 ], a32 = m[ 14 ], a33 = m[ 15 ];
+
+  const b00 = a00 * a11 - a01 * a10, b01 = a00 * a12 - a02 * a10;
+  const b02 = a00 * a13 - a03 * a10, b03 = a01 * a12 - a02 * a11;
+  const b04 = a01 * a13 - a03 * a11, b05 = a02 * a13 - a03 * a12;
+  const b06 = a20 * a31 - a21 * a30, b07 = a20 * a32 - a22 * a30;
+  const b08 = a20 * a33 - a23 * a30, b09 = a21 * a32 - a22 * a31;
+  const b10 = a21 * a33 - a23 * a31, b11 = a22 * a33 - a23 * a32;
+
+  const det = b00 * b11 - b01 * b10 + b02 * b09 + b03 * b08 - b04 * b07 + b05 * b06;
+  if ( det === 0 ) return false;
+  const inv = 1 / det;
+
+  out[ 0 ] = ( a11 * b11 - a12 * b10 + a13 * b09 ) * inv;
+  out[ 1 ] = ( a02 * b10 - a01 * b11 - a03 * b09 ) * inv;
+  out[ 2 ] = ( a31 * b05 - a32 * b04 + a33 * b03 ) * inv;
+  out[ 3 ] = ( a22 * b04 - a21 * b05 - a23 * b03 ) * inv;
+  out[ 4 ] = ( a12 * b08 - a10 * b11 - a13 * b07 ) * inv;
+  out[ 5 ] = ( a00 * b11 - a02 * b08 + a03 * b07 ) * inv;
+  out[ 6 ] = ( a32 * b02 - a30 * b05 - a33 * b01 ) * inv;
+  out[ 7 ] = ( a20 * b05 - a22 * b02 + a23 * b01 ) * inv;
+  out[ 8 ] = ( a10 * b10 - a11 * b08 + a13 * b06 ) * inv;
+  out[ 9 ] = ( a01 * b08 - a00 * b10 - a03 * b06 ) * inv;
+  out[ 10 ] = ( a30 * b04 - a31 * b02 + a33 * b00 ) * inv;
+  out[ 11 ] = ( a21 * b02 - a20 * b04 - a23 * b00 ) * inv;
+  out[ 12 ] = ( a11 * b07 - a10 * b09 - a12 * b06 ) * inv;
+  out[ 13 ] = ( a00 * b09 - a01 * b07 + a02 * b06 ) * inv;
+  out[ 14 ] = ( a31 * b01 - a30 * b03 - a32 * b00 ) * inv;
+  out[ 15 ] = ( a20 * b03 - a21 * b01 + a22 * b00 ) * inv;
+  return true;
+}
+
+const AXES = [ 'x', 'y', 'z' ];
+
+// Double precision: the inverse of a far-reaching projection loses depth in float32
+const _matrix = new Float64Array( 16 );
+const _inverse = new Float64Array( 16 );
+const _instance = new Float32Array( 16 );
+const _instanceWorld = new Float32Array( 16 );
+
+const _target = new Vec3();
+const _center = new Vec3();
+const _min = new Vec3();
+const _max = new Vec3();
+const _bounds = new Bounds3D();
+
+const _a = new Vec3();
+const _b = new Vec3();
+const _c = new Vec3();
+const _edge1 = new Vec3();
+const _edge2 = new Vec3();
+const _barycoord = new Vec3();
+
+export { Raycaster };
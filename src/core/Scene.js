@@ -7,7 +7,8 @@ import { Object3D } from './Object3D.js';
 import { Euler } from '../math/Euler.js';
 import { Color } from '../math/Color.js';
 import { Texture } from '../core/Texture.js'; // placeholder path
-import { Fog } from './Fog.js';               // placeholder path
+import { Fog } from './Fog.js';
+import { FogExp2 } from './FogExp2.js';
 import { Material } from './Material.js';     // placeholder path
 import { generateUUID } from '../utils/UUID.js';
 
@@ -57,8 +58,8 @@ class Scene extends Object3D {
     this.background = null;            // background color or texture
     /** @type {Texture|null} */
     this.environment = null;           // environment map (IBL)
-    /** @type {Fog|null} */
-    this.fog = null;                   // scene fog instance
+    /** @type {Fog|FogExp2|null} */
+    this.fog = null;                   // scene fog, applied by materials with fog = true
     /** @type {number} */
     this.backgroundBlurriness = 0.0;   // 0..1, for blurred backgrounds
     /** @type {number} */
@@ -70,7 +71,10 @@ class Scene extends Object3D {
     /** @type {Euler} */
     this.environmentRotation = new Euler();
 
-    // Override material for special passes (e.g. depth-only, selection)
+    // Override material for special passes (e.g. depth-only, selection).
+    // When set, the renderer draws every mesh with it, keeping each mesh's
+    // geometry and matrices; per-object uniforms can be set from the
+    // material's onBeforeRender( renderer, mesh ) hook.
     /** @type {Material|null} */
     this.overrideMaterial = null;
 
@@ -402,6 +406,33 @@ class Scene extends Object3D {
 
     return base;
   }
+
+  /**
+   * Rebuild a scene's own settings from toJSON() output: name, fog,
+   * background/environment intensity, blurriness and rotation.
+   * Children, textures and the override material are only referenced by
+   * UUID in the JSON and must be restored by the caller.
+   *
+   * @param {object} json - toJSON() result (or its `object` part)
+   * @returns {Scene}
+   */
+  static fromJSON( json ) {
+    const data = json.object ?? json;
+    const scene = new Scene({ name: data.name, debug: json.dsrt?.scene?.flags?.debug });
+    if ( data.uuid ) scene.uuid = data.uuid;
+
+    scene.backgroundBlurriness = data.backgroundBlurriness ?? scene.backgroundBlurriness;
+    scene.backgroundIntensity = data.backgroundIntensity ?? scene.backgroundIntensity;
+    if ( data.backgroundRotation ) scene.backgroundRotation.fromArray?.( data.backgroundRotation );
+
+    scene.environmentIntensity = data.environmentIntensity ?? scene.environmentIntensity;
+    if ( data.environmentRotation ) scene.environmentRotation.fromArray?.( data.environmentRotation );
+
+    if ( data.fog?.type === 'FogExp2' ) scene.fog = FogExp2.fromJSON( data.fog );
+    else if ( data.fog ) scene.fog = Fog.fromJSON( data.fog );
+
+    return scene;
+  }
 }
 
 // Export natural class name
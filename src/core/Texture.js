@@ -3,6 +3,7 @@
 // ==============================
 
 import { EventDispatcher } from '../core/EventDispatcher.js';
+import { UVMapping } from '../constants/Constants.js';
 
 /**
  * @fileoverview
@@ -71,6 +72,15 @@ class Texture extends EventDispatcher {
     /** @type {boolean} Indicates whether mipmaps are generated. */
     this.generateMipmaps = options.generateMipmaps !== false;
 
+    /**
+     * @type {number} How the image maps onto the surface: UVMapping, or
+     * EquirectangularReflectionMapping / CubeReflectionMapping for environments.
+     */
+    this.mapping = options.mapping || UVMapping;
+
+    /** @type {number} Incremented by `needsUpdate = true`; GPU copies and derived data are rebuilt when it changes. */
+    this.version = 0;
+
     /** @type {boolean} Marks whether texture is loaded and ready for GPU use. */
     this.loaded = false;
 
@@ -84,6 +94,17 @@ class Texture extends EventDispatcher {
     this._glTexture = null;
   }
 
+  /**
+   * Flags the image data as changed: the next upload refreshes the GPU copy.
+   * @param {boolean} value
+   */
+  set needsUpdate( value ) {
+    if ( value === true ) {
+      this.version++;
+      this.uploaded = false;
+    }
+  }
+
   // ============================================================
   // LIFECYCLE METHODS
   // ============================================================
@@ -117,7 +138,7 @@ class Texture extends EventDispatcher {
   upload( gl ) {
     if ( this.uploaded || this.disposed ) return;
 
-    const tex = gl.createTexture();
+    const tex = this._glTexture || gl.createTexture();
     gl.bindTexture( gl.TEXTURE_2D, tex );
     gl.texImage2D( gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, this.image );
 
@@ -187,6 +208,7 @@ class Texture extends EventDispatcher {
       magFilter: this.magFilter,
       anisotropy: this.anisotropy,
       generateMipmaps: this.generateMipmaps,
+      mapping: this.mapping,
       loaded: this.loaded,
       disposed: this.disposed,
       metadata: {
@@ -0,0 +1,40 @@
+import { Light } from './Light.js';
+
+/**
+ * -----------------------------------------------------------------------------
+ * AmbientLight.js
+ * -----------------------------------------------------------------------------
+ * Lights every surface equally from all directions. It has no position or
+ * direction and cannot cast shadows; use it to lift the darkest areas of a
+ * scene. Multiple ambient lights are summed.
+ * -----------------------------------------------------------------------------
+ *  Example Usage:
+ * -----------------------------------------------------------------------------
+ * ```js
+ * scene.add(new AmbientLight({ color: 0x404040 }));
+ * ```
+ * -----------------------------------------------------------------------------
+ *
+ * @class
+ * @extends Light
+ * @category Lighting
+ * @since DSRT Engine 1.1
+ */
+class AmbientLight extends Light {
+
+  /**
+   * @constructor
+   * @param {Object} [options={}] - See Light.
+   */
+  constructor(options = {}) {
+    super(options);
+
+    /** @type {string} */
+    this.type = 'AmbientLight';
+
+    /** @type {boolean} Flag for internal type checking */
+    this.isAmbientLight = true;
+  }
+}
+
+export { AmbientLight };
@@ -0,0 +1,67 @@
+import { Light } from './Light.js';
+import { Object3D } from '../core/Object3D.js';
+import { DirectionalLightShadow } from './LightShadow.js';
+
+/**
+ * -----------------------------------------------------------------------------
+ * DirectionalLight.js
+ * -----------------------------------------------------------------------------
+ * Parallel light from an infinitely distant source, like the sun. The rays
+ * travel from the light's position towards `target` (the world origin by
+ * default); only that direction matters for shading.
+ *
+ * Move the target by changing `light.target.position`. A target that is not
+ * part of the scene has its matrix updated together with the light's.
+ * -----------------------------------------------------------------------------
+ *  Example Usage:
+ * -----------------------------------------------------------------------------
+ * ```js
+ * const sun = new DirectionalLight({ intensity: 3 });
+ * sun.position.set(5, 10, 2);
+ * sun.castShadow = true;
+ * scene.add(sun);
+ * ```
+ * -----------------------------------------------------------------------------
+ *
+ * @class
+ * @extends Light
+ * @category Lighting
+ * @since DSRT Engine 1.1
+ */
+class DirectionalLight extends Light {
+
+  /**
+   * @constructor
+   * @param {Object} [options={}] - See Light.
+   */
+  constructor(options = {}) {
+    super(options);
+
+    /** @type {string} */
+    this.type = 'DirectionalLight';
+
+    this.position.set(0, 1, 0);
+
+    /** @type {Object3D} Point the light shines towards. */
+    this.target = new Object3D();
+
+    /** @type {DirectionalLightShadow} */
+    this.shadow = new DirectionalLightShadow();
+
+    /** @type {boolean} Flag for internal type checking */
+    this.isDirectionalLight = true;
+  }
+
+  updateMatrixWorld(force) {
+    super.updateMatrixWorld(force);
+    if (!this.target.parent) this.target.updateMatrixWorld(force);
+  }
+
+  copy(source, recursive = true) {
+    super.copy(source, recursive);
+    this.target = source.target.clone();
+    return this;
+  }
+}
+
+export { DirectionalLight };
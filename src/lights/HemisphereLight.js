@@ -0,0 +1,63 @@
+import { Light } from './Light.js';
+import { Color } from '../math/Color.js';
+
+/**
+ * -----------------------------------------------------------------------------
+ * HemisphereLight.js
+ * -----------------------------------------------------------------------------
+ * Outdoor fill light that blends from a sky color (surfaces facing the light
+ * position, i.e. up by default) to a ground color (surfaces facing away).
+ *
+ * Only the direction from the world origin to the light's position matters;
+ * the default position (0, 1, 0) makes the sky come from +Y.
+ * -----------------------------------------------------------------------------
+ *  Example Usage:
+ * -----------------------------------------------------------------------------
+ * ```js
+ * scene.add(new HemisphereLight({ color: 0x87ceeb, groundColor: 0x3d2b1f, intensity: 0.6 }));
+ * ```
+ * -----------------------------------------------------------------------------
+ *
+ * @class
+ * @extends Light
+ * @category Lighting
+ * @since DSRT Engine 1.1
+ */
+class HemisphereLight extends Light {
+
+  /**
+   * @constructor
+   * @param {Object} [options={}] - See Light; `color` is the sky color.
+   * @param {number|Color} [options.groundColor=0xffffff] - Color from below.
+   */
+  constructor(options = {}) {
+    super(options);
+
+    /** @type {string} */
+    this.type = 'HemisphereLight';
+
+    /** @type {Color} */
+    this.groundColor = options.groundColor instanceof Color
+      ? options.groundColor.clone()
+      : new Color(options.groundColor ?? 0xffffff);
+
+    this.position.set(0, 1, 0);
+
+    /** @type {boolean} Flag for internal type checking */
+    this.isHemisphereLight = true;
+  }
+
+  copy(source, recursive = true) {
+    super.copy(source, recursive);
+    this.groundColor.copy(source.groundColor);
+    return this;
+  }
+
+  toJSON(meta) {
+    const data = super.toJSON(meta);
+    data.object.groundColor = this.groundColor.toHex();
+    return data;
+  }
+}
+
+export { HemisphereLight };
@@ -0,0 +1,90 @@
+import { Object3D } from '../core/Object3D.js';
+import { Color } from '../math/Color.js';
+
+/**
+ * -----------------------------------------------------------------------------
+ * Light.js
+ * -----------------------------------------------------------------------------
+ * Base class of all light nodes.
+ *
+ * Lights are ordinary Object3D nodes: add them to the scene (or to any child)
+ * and the renderer collects them during traversal, uploading color ×
+ * intensity plus each type's geometric parameters as uniform arrays that the
+ * built-in Standard/Physical shaders read.
+ *
+ * Light types:
+ * - AmbientLight: uniform fill light, no direction
+ * - HemisphereLight: sky/ground gradient along a direction
+ * - DirectionalLight: parallel rays from the light towards its target
+ * - PointLight: omnidirectional, attenuated by distance
+ * - SpotLight: cone towards its target, attenuated by distance and angle
+ *
+ * Directional, point and spot lights can cast shadows (`castShadow` plus
+ * the settings in `light.shadow`).
+ * -----------------------------------------------------------------------------
+ *
+ * @class
+ * @extends Object3D
+ * @category Lighting
+ * @since DSRT Engine 1.1
+ */
+class Light extends Object3D {
+
+  /**
+   * @constructor
+   * @param {Object} [options={}]
+   * @param {number|Color} [options.color=0xffffff] - Light color.
+   * @param {number} [options.intensity=1] - Brightness multiplier.
+   */
+  constructor(options = {}) {
+    super(options);
+
+    /** @type {string} */
+    this.type = 'Light';
+
+    /** @type {Color} */
+    this.color = options.color instanceof Color ? options.color.clone() : new Color(options.color ?? 0xffffff);
+
+    /** @type {number} */
+    this.intensity = options.intensity ?? 1;
+
+    /** @type {boolean} Flag for internal type checking */
+    this.isLight = true;
+  }
+
+  /**
+   * Copies light settings from another light.
+   * @param {Light} source
+   * @param {boolean} [recursive=true]
+   * @returns {this}
+   */
+  copy(source, recursive = true) {
+    super.copy(source, recursive);
+    this.color.copy(source.color);
+    this.intensity = source.intensity;
+    if (this.shadow && source.shadow) this.shadow.copy(source.shadow);
+    return this;
+  }
+
+  /**
+   * Releases the shadow maps of shadow-casting lights.
+   */
+  dispose() {
+    this.shadow?.dispose();
+  }
+
+  /**
+   * @param {object} [meta]
+   * @returns {object}
+   */
+  toJSON(meta) {
+    const data = super.toJSON(meta);
+    data.object.type = this.type;
+    data.object.color = this.color.toHex();
+    data.object.intensity = this.intensity;
+    if (this.shadow) data.object.shadow = this.shadow.toJSON();
+    return data;
+  }
+}
+
+export { Light };
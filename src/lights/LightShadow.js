@@ -0,0 +1,376 @@
+import { Vec2 } from '../math/Vec2.js';
+import { multiplyMatrices } from '../math/Frustum.js';
+
+/**
+ * -----------------------------------------------------------------------------
+ * LightShadow.js
+ * -----------------------------------------------------------------------------
+ * Shadow settings and per-frame shadow matrices of a shadow-casting light.
+ *
+ * Each light owns one LightShadow describing how its depth map is rendered
+ * (resolution, projection volume) and how it is sampled (bias, normal bias,
+ * filter radius). WebGLShadowMap renders `map` from the light's point of view
+ * and the built-in shaders compare fragment depths against it.
+ *
+ * Subclasses match the light's projection:
+ * - DirectionalLightShadow: orthographic box along the light direction
+ * - SpotLightShadow: perspective frustum fitted to the cone angle
+ * - PointLightShadow: six 90° faces packed into a 4×2 atlas
+ *
+ * All matrices are column-major Float32Arrays.
+ * -----------------------------------------------------------------------------
+ *
+ * @class
+ * @category Lighting
+ * @since DSRT Engine 1.1
+ */
+class LightShadow {
+
+  /**
+   * @constructor
+   * @param {Object} [camera] - Projection volume of the shadow camera.
+   * @param {number} [camera.near=0.5]
+   * @param {number} [camera.far=500]
+   */
+  constructor(camera = {}) {
+    /** @type {string} */
+    this.type = 'LightShadow';
+
+    /**
+     * Projection volume. Orthographic shadows also use left/right/top/bottom.
+     * @type {{near: number, far: number, left?: number, right?: number, top?: number, bottom?: number}}
+     */
+    this.camera = { near: 0.5, far: 500, ...camera };
+
+    /**
+     * Depth offset added before comparison; small negative values remove
+     * shadow acne on surfaces facing the light.
+     * @type {number}
+     */
+    this.bias = 0;
+
+    /**
+     * Offset along the surface normal (world units) applied before lookup;
+     * fixes acne on surfaces at grazing angles without detaching shadows.
+     * @type {number}
+     */
+    this.normalBias = 0;
+
+    /** @type {number} Filter radius in texels (PCF kernel spacing, VSM blur). */
+    this.radius = 1;
+
+    /** @type {Vec2} Resolution of the depth map per face, in pixels. */
+    this.mapSize = new Vec2(512, 512);
+
+    /** @type {RenderTarget|null} Depth map, created by WebGLShadowMap. */
+    this.map = null;
+
+    /** @type {RenderTarget|null} Blur scratch target (VSM only). */
+    this.mapPass = null;
+
+    /** @type {boolean} Re-render the map on the next frame when autoUpdate is off. */
+    this.needsUpdate = false;
+
+    /** @type {Float32Array} World → light view matrix. */
+    this.viewMatrix = identity(new Float32Array(16));
+
+    /** @type {Float32Array} Light projection matrix. */
+    this.projectionMatrix = identity(new Float32Array(16));
+
+    /**
+     * World → shadow map texture coordinates ([0, 1] on all axes).
+     * @type {Float32Array}
+     */
+    this.matrix = identity(new Float32Array(16));
+
+    /** @type {boolean} */
+    this.isLightShadow = true;
+  }
+
+  /**
+   * Number of render viewports the map is split into (6 for point lights).
+   * @type {number}
+   */
+  get viewportCount() {
+    return 1;
+  }
+
+  /**
+   * Full map size in pixels (atlas size for point lights).
+   * @returns {{width: number, height: number}}
+   */
+  getMapSize() {
+    return { width: this.mapSize.x, height: this.mapSize.y };
+  }
+
+  /**
+   * Pixel rectangle of one viewport inside the map.
+   * @param {number} index
+   * @returns {number[]} [x, y, width, height]
+   */
+  getViewport(index) {
+    return [0, 0, this.mapSize.x, this.mapSize.y];
+  }
+
+  /**
+   * Recomputes the view, projection and shadow matrices from the light's
+   * world transform. Lights look from their position towards `light.target`
+   * (world origin when absent).
+   * @param {Object3D} light
+   * @param {number} [viewportIndex=0]
+   */
+  updateMatrices(light, viewportIndex = 0) {
+    const e = light.matrixWorld.elements;
+    _eye[0] = e[12]; _eye[1] = e[13]; _eye[2] = e[14];
+
+    const t = light.target?.matrixWorld?.elements;
+    _center[0] = t ? t[12] : 0;
+    _center[1] = t ? t[13] : 0;
+    _center[2] = t ? t[14] : 0;
+
+    lookAt(this.viewMatrix, _eye, _center, _up);
+    this.updateProjectionMatrix(light);
+
+    multiplyMatrices(_viewProjection, this.projectionMatrix, this.viewMatrix);
+    multiplyMatrices(this.matrix, BIAS_MATRIX, _viewProjection);
+  }
+
+  /**
+   * Abstract: fills `projectionMatrix`.
+   * @param {Object3D} light
+   */
+  updateProjectionMatrix(light) {
+    console.warn('[LightShadow] updateProjectionMatrix() should be implemented by subclass');
+  }
+
+  /**
+   * Combined projection × view matrix used to render the map.
+   * @param {Float32Array} target
+   * @returns {Float32Array}
+   */
+  getViewProjectionMatrix(target) {
+    return multiplyMatrices(target, this.projectionMatrix, this.viewMatrix);
+  }
+
+  /**
+   * Copies shadow settings from another shadow.
+   * @param {LightShadow} source
+   * @returns {LightShadow}
+   */
+  copy(source) {
+    this.camera = { ...source.camera };
+    this.bias = source.bias;
+    this.normalBias = source.normalBias;
+    this.radius = source.radius;
+    this.mapSize.set(source.mapSize.x, source.mapSize.y);
+    return this;
+  }
+
+  /** @returns {LightShadow} */
+  clone() {
+    return new this.constructor().copy(this);
+  }
+
+  /**
+   * Releases the depth maps.
+   */
+  dispose() {
+    this.map?.dispose();
+    this.mapPass?.dispose();
+    this.map = null;
+    this.mapPass = null;
+  }
+
+  /** @returns {object} */
+  toJSON() {
+    return {
+      type: this.type,
+      camera: { ...this.camera },
+      bias: this.bias,
+      normalBias: this.normalBias,
+      radius: this.radius,
+      mapSize: [this.mapSize.x, this.mapSize.y]
+    };
+  }
+}
+
+/**
+ * Orthographic shadow for directional lights. Fit left/right/top/bottom
+ * tightly around the shadow casters for the best texel density.
+ * @extends LightShadow
+ */
+class DirectionalLightShadow extends LightShadow {
+  constructor() {
+    super({ left: -5, right: 5, top: 5, bottom: -5 });
+    this.type = 'DirectionalLightShadow';
+    this.isDirectionalLightShadow = true;
+  }
+
+  updateProjectionMatrix() {
+    const { left, right, top, bottom, near, far } = this.camera;
+    orthographic(this.projectionMatrix, left, right, bottom, top, near, far);
+  }
+}
+
+/**
+ * Perspective shadow for spot lights. The field of view follows the
+ * light's cone angle; `focus` (0–1) narrows it for sharper maps.
+ * @extends LightShadow
+ */
+class SpotLightShadow extends LightShadow {
+  constructor() {
+    super();
+    this.type = 'SpotLightShadow';
+
+    /** @type {number} Fraction of the cone angle covered by the map. */
+    this.focus = 1;
+
+    this.isSpotLightShadow = true;
+  }
+
+  updateProjectionMatrix(light) {
+    const fov = 2 * (light.angle ?? Math.PI / 3) * this.focus;
+    const aspect = this.mapSize.x / this.mapSize.y;
+    const far = light.distance || this.camera.far;
+    perspective(this.projectionMatrix, fov, aspect, this.camera.near, far);
+  }
+
+  copy(source) {
+    super.copy(source);
+    this.focus = source.focus;
+    return this;
+  }
+}
+
+/**
+ * Omnidirectional shadow for point lights: six 90° views rendered into a
+ * 4×2 atlas of `mapSize` tiles. The shader stores and compares linear
+ * distances to the light instead of projected depth.
+ * @extends LightShadow
+ */
+class PointLightShadow extends LightShadow {
+  constructor() {
+    super();
+    this.type = 'PointLightShadow';
+    this.isPointLightShadow = true;
+  }
+
+  get viewportCount() {
+    return 6;
+  }
+
+  getMapSize() {
+    return { width: this.mapSize.x * 4, height: this.mapSize.y * 2 };
+  }
+
+  getViewport(index) {
+    const [x, y] = CUBE_VIEWPORTS[index];
+    return [x * this.mapSize.x, y * this.mapSize.y, this.mapSize.x, this.mapSize.y];
+  }
+
+  /**
+   * Points the shadow camera down one cube face. `matrix` becomes a
+   * translation to light-relative coordinates, which the shader turns
+   * into an atlas lookup and a distance.
+   */
+  updateMatrices(light, viewportIndex = 0) {
+    const e = light.matrixWorld.elements;
+    _eye[0] = e[12]; _eye[1] = e[13]; _eye[2] = e[14];
+
+    const dir = CUBE_DIRECTIONS[viewportIndex];
+    _center[0] = _eye[0] + dir[0];
+    _center[1] = _eye[1] + dir[1];
+    _center[2] = _eye[2] + dir[2];
+
+    lookAt(this.viewMatrix, _eye, _center, CUBE_UPS[viewportIndex]);
+    perspective(this.projectionMatrix, Math.PI / 2, 1, this.camera.near, light.distance || this.camera.far);
+
+    identity(this.matrix);
+    this.matrix[12] = -_eye[0];
+    this.matrix[13] = -_eye[1];
+    this.matrix[14] = -_eye[2];
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Matrix helpers (column-major)
+// -----------------------------------------------------------------------------
+
+// Maps clip space [-1, 1] to texture space [0, 1]
+const BIAS_MATRIX = new Float32Array([
+  0.5, 0, 0, 0,
+  0, 0.5, 0, 0,
+  0, 0, 0.5, 0,
+  0.5, 0.5, 0.5, 1
+]);
+
+// Point light faces (+X, -X, +Z, -Z, +Y, -Y) and their atlas tiles
+const CUBE_DIRECTIONS = [[1, 0, 0], [-1, 0, 0], [0, 0, 1], [0, 0, -1], [0, 1, 0], [0, -1, 0]];
+const CUBE_UPS = [[0, 1, 0], [0, 1, 0], [0, 1, 0], [0, 1, 0], [0, 0, 1], [0, 0, -1]];
+const CUBE_VIEWPORTS = [[2, 1], [0, 1], [3, 1], [1, 1], [3, 0], [1, 0]];
+
+const _eye = [0, 0, 0];
+const _center = [0, 0, 0];
+const _up = [0, 1, 0];
+const _viewProjection = new Float32Array(16);
+
+function identity(out) {
+  out.fill(0);
+  out[0] = out[5] = out[10] = out[15] = 1;
+  return out;
+}
+
+/** View matrix looking from eye towards center (camera looks down -Z). */
+function lookAt(out, eye, center, up) {
+  let zx = eye[0] - center[0], zy = eye[1] - center[1], zz = eye[2] - center[2];
+  let len = Math.hypot(zx, zy, zz) || 1;
+  zx /= len; zy /= len; zz /= len;
+
+  // Light pointing straight along up: pick another up axis
+  let ux = up[0], uy = up[1], uz = up[2];
+  if (Math.abs(ux * zx + uy * zy + uz * zz) > 0.9999) {
+    ux = 0; uy = 0; uz = 1;
+    if (Math.abs(zz) > 0.9999) { uz = 0; ux = 1; }
+  }
+
+  let xx = uy * zz - uz * zy, xy = uz * zx - ux * zz, xz = ux * zy - uy * zx;
+  len = Math.hypot(xx, xy, xz) || 1;
+  xx /= len; xy /= len; xz /= len;
+
+  const yx = zy * xz - zz * xy, yy = zz * xx - zx * xz, yz = zx * xy - zy * xx;
+
+  out[0] = xx; out[1] = yx; out[2] = zx; out[3] = 0;
+  out[4] = xy; out[5] = yy; out[6] = zy; out[7] = 0;
+  out[8] = xz; out[9] = yz; out[10] = zz; out[11] = 0;
+  out[12] = -(xx * eye[0] + xy * eye[1] + xz * eye[2]);
+  out[13] = -(yx * eye[0] + yy * eye[1] + yz * eye[2]);
+  out[14] = -(zx * eye[0] + zy * eye[1] + zz * eye[2]);
+  out[15] = 1;
+  return out;
+}
+
+function perspective(out, fov, aspect, near, far) {
+  const f = 1 / Math.tan(fov / 2);
+  const nf = 1 / (near - far);
+  out.fill(0);
+  out[0] = f / aspect;
+  out[5] = f;
+  out[10] = (far + near) * nf;
+  out[11] = -1;
+  out[14] = 2 * far * near * nf;
+  return out;
+}
+
+function orthographic(out, left, right, bottom, top, near, far) {
+  out.fill(0);
+  out[0] = 2 / (right - left);
+  out[5] = 2 / (top - bottom);
+  out[10] = -2 / (far - near);
+  out[12] = -(right + left) / (right - left);
+  out[13] = -(top + bottom) / (top - bottom);
+  out[14] = -(far + near) / (far - near);
+  out[15] = 1;
+  return out;
+}
+
+export { LightShadow, DirectionalLightShadow, SpotLightShadow, PointLightShadow };
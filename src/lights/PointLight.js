@@ -0,0 +1,70 @@
+import { Light } from './Light.js';
+import { PointLightShadow } from './LightShadow.js';
+
+/**
+ * -----------------------------------------------------------------------------
+ * PointLight.js
+ * -----------------------------------------------------------------------------
+ * Light emitted in all directions from a single point, like a bulb.
+ *
+ * Intensity falls off with the inverse square of the distance raised to
+ * `decay / 2` (decay 2 = physically correct). A non-zero `distance` fades
+ * the light smoothly to zero at that range, which also bounds its shadow.
+ * -----------------------------------------------------------------------------
+ *  Example Usage:
+ * -----------------------------------------------------------------------------
+ * ```js
+ * const bulb = new PointLight({ color: 0xffaa55, intensity: 20, distance: 15 });
+ * bulb.position.set(0, 3, 0);
+ * scene.add(bulb);
+ * ```
+ * -----------------------------------------------------------------------------
+ *
+ * @class
+ * @extends Light
+ * @category Lighting
+ * @since DSRT Engine 1.1
+ */
+class PointLight extends Light {
+
+  /**
+   * @constructor
+   * @param {Object} [options={}] - See Light.
+   * @param {number} [options.distance=0] - Cut-off range (0 = unlimited).
+   * @param {number} [options.decay=2] - Falloff exponent.
+   */
+  constructor(options = {}) {
+    super(options);
+
+    /** @type {string} */
+    this.type = 'PointLight';
+
+    /** @type {number} */
+    this.distance = options.distance ?? 0;
+
+    /** @type {number} */
+    this.decay = options.decay ?? 2;
+
+    /** @type {PointLightShadow} */
+    this.shadow = new PointLightShadow();
+
+    /** @type {boolean} Flag for internal type checking */
+    this.isPointLight = true;
+  }
+
+  copy(source, recursive = true) {
+    super.copy(source, recursive);
+    this.distance = source.distance;
+    this.decay = source.decay;
+    return this;
+  }
+
+  toJSON(meta) {
+    const data = super.toJSON(meta);
+    data.object.distance = this.distance;
+    data.object.decay = this.decay;
+    return data;
+  }
+}
+
+export { PointLight };
@@ -0,0 +1,95 @@
+import { Light } from './Light.js';
+import { Object3D } from '../core/Object3D.js';
+import { SpotLightShadow } from './LightShadow.js';
+
+/**
+ * -----------------------------------------------------------------------------
+ * SpotLight.js
+ * -----------------------------------------------------------------------------
+ * Cone of light from the light's position towards `target`.
+ *
+ * `angle` is the half-angle of the cone; `penumbra` (0–1) is the fraction
+ * of it over which the edge fades out. Distance falloff works like
+ * PointLight. The target follows the same rules as DirectionalLight.
+ * -----------------------------------------------------------------------------
+ *  Example Usage:
+ * -----------------------------------------------------------------------------
+ * ```js
+ * const spot = new SpotLight({ intensity: 40, angle: Math.PI / 6, penumbra: 0.3 });
+ * spot.position.set(0, 6, 0);
+ * spot.target.position.set(2, 0, 0);
+ * scene.add(spot);
+ * ```
+ * -----------------------------------------------------------------------------
+ *
+ * @class
+ * @extends Light
+ * @category Lighting
+ * @since DSRT Engine 1.1
+ */
+class SpotLight extends Light {
+
+  /**
+   * @constructor
+   * @param {Object} [options={}] - See Light.
+   * @param {number} [options.distance=0] - Cut-off range (0 = unlimited).
+   * @param {number} [options.angle=Math.PI / 3] - Cone half-angle in radians (max π/2).
+   * @param {number} [options.penumbra=0] - Soft edge fraction (0–1).
+   * @param {number} [options.decay=2] - Falloff exponent.
+   */
+  constructor(options = {}) {
+    super(options);
+
+    /** @type {string} */
+    this.type = 'SpotLight';
+
+    /** @type {number} */
+    this.distance = options.distance ?? 0;
+
+    /** @type {number} */
+    this.angle = options.angle ?? Math.PI / 3;
+
+    /** @type {number} */
+    this.penumbra = options.penumbra ?? 0;
+
+    /** @type {number} */
+    this.decay = options.decay ?? 2;
+
+    this.position.set(0, 1, 0);
+
+    /** @type {Object3D} Point the cone is aimed at. */
+    this.target = new Object3D();
+
+    /** @type {SpotLightShadow} */
+    this.shadow = new SpotLightShadow();
+
+    /** @type {boolean} Flag for internal type checking */
+    this.isSpotLight = true;
+  }
+
+  updateMatrixWorld(force) {
+    super.updateMatrixWorld(force);
+    if (!this.target.parent) this.target.updateMatrixWorld(force);
+  }
+
+  copy(source, recursive = true) {
+    super.copy(source, recursive);
+    this.distance = source.distance;
+    this.angle = source.angle;
+    this.penumbra = source.penumbra;
+    this.decay = source.decay;
+    this.target = source.target.clone();
+    return this;
+  }
+
+  toJSON(meta) {
+    const data = super.toJSON(meta);
+    data.object.distance = this.distance;
+    data.object.angle = this.angle;
+    data.object.penumbra = this.penumbra;
+    data.object.decay = this.decay;
+    return data;
+  }
+}
+
+export { SpotLight };
@@ -62,7 +62,15 @@ class LightMaterial extends Material {
     /** @type {boolean} Whether this material should be visible as emissive geometry. */
     this.visible = parameters.visible !== false;
 
-    /** @type {boolean} Whether the emission color is HDR (for tone mapping). */
+    /**
+     * Whether the emission is HDR: color × intensity may exceed 1.0.
+     * When tone mapping is enabled (`renderer.toneMapping`), the renderer
+     * draws into a half-float target, so these values are compressed by
+     * the tone mapping operator instead of clipping to white. Where half
+     * float cannot be rendered to, it falls back to an 8-bit target and
+     * emission clamps at 1.0 before tone mapping.
+     * @type {boolean}
+     */
     this.hdr = parameters.hdr || false;
 
     /** @type {boolean} Whether this light is static (baked) or dynamic. */
@@ -2,7 +2,7 @@
 // MaterialTexture.js — Engine Core v1.2 (Enhanced Revision)
 // ============================================================
 
-import { Texture } from './Texture.js';
+import { Texture } from '../core/Texture.js';
 
 /**
  * @fileoverview
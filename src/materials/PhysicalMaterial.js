@@ -64,19 +64,33 @@ export class PhysicalMaterial extends Material {
   }
 
   /**
-   * Called before rendering.
-   * Prepares shader uniforms and syncs texture maps for GPU pipeline.
-   * 
-   * @param {Renderer} renderer - The renderer instance handling GPU communication.
+   * Returns the uniform values consumed by the built-in PBR shader.
+   * Texture maps are bound by the renderer from the material's slots.
+   *
+   * @returns {Object} Uniform name → value.
    */
-  onBeforeRender(renderer) {
-    if (!renderer) return;
-    // In a real engine, here we would bind uniform variables to GPU shaders.
-    // Example:
-    // renderer.setUniform('uMetalness', this.metalness);
-    // renderer.setUniform('uRoughness', this.roughness);
+  getUniforms() {
+    return {
+      uColor: this.color.toArray(),
+      uOpacity: this.opacity,
+      uMetalness: this.metalness,
+      uRoughness: this.roughness,
+      uClearcoat: this.clearcoat,
+      uClearcoatRoughness: this.clearcoatRoughness,
+      uReflectivity: this.reflectivity,
+      uEnvIntensity: this.envIntensity,
+    };
   }
 
+  /**
+   * Called by the renderer right before each draw with this material,
+   * before getUniforms() is read. Override to animate parameters per mesh.
+   *
+   * @param {Renderer} renderer - The renderer instance handling GPU communication.
+   * @param {Mesh} mesh - The mesh being drawn.
+   */
+  onBeforeRender(renderer, mesh) {}
+
   /**
    * Updates material parameters dynamically at runtime.
    * This allows smooth transitions or runtime customization
@@ -34,6 +34,7 @@ import { MaterialTexture } from './MaterialTexture.js';
  *  - uniforms: Data sent from CPU → GPU
  *  - textures: Bound GPU images (samplers)
  *  - compile(): Converts GLSL source into executable GPU program
+ *  - programInfo: Active attributes/uniforms reflected once after linking
  *  - bind(): Activates uniforms/textures before rendering
  *  - unbind(): Cleans up GPU state post-render
  *
@@ -80,6 +81,15 @@ class ShaderMaterial extends Material {
     /** @type {boolean} Whether this shader program was successfully compiled. */
     this.compiled = false;
 
+    /**
+     * Reflection of the linked program, filled once by compile().
+     * Each entry records { name, type, size, location } for an active input,
+     * so binds never have to query GL for locations again.
+     * Uniform arrays are keyed without their trailing "[0]".
+     * @type {{attributes: Object.<string, object>, uniforms: Object.<string, object>}|null}
+     */
+    this.programInfo = null;
+
     // ------------------------
     // Rendering State Flags
     // ------------------------
@@ -121,11 +131,72 @@ class ShaderMaterial extends Material {
     // Validation check
     if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
       console.error('[ShaderMaterial] Program linking failed:', gl.getProgramInfoLog(program));
+      gl.deleteProgram(program);
+      gl.deleteShader(vs);
+      gl.deleteShader(fs);
       return;
     }
 
     this.program = program;
     this.compiled = true;
+    this._reflect(gl);
+  }
+
+  /**
+   * Records every active attribute and uniform of the linked program.
+   *
+   * @param {WebGLRenderingContext} gl
+   * @private
+   */
+  _reflect(gl) {
+    const program = this.program;
+    const attributes = {};
+    const uniforms = {};
+
+    const attributeCount = gl.getProgramParameter(program, gl.ACTIVE_ATTRIBUTES);
+    for (let i = 0; i < attributeCount; i++) {
+      const info = gl.getActiveAttrib(program, i);
+      if (!info) continue;
+      attributes[info.name] = {
+        name: info.name,
+        type: info.type,
+        size: info.size,
+        location: gl.getAttribLocation(program, info.name)
+      };
+    }
+
+    const uniformCount = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
+    for (let i = 0; i < uniformCount; i++) {
+      const info = gl.getActiveUniform(program, i);
+      if (!info) continue;
+      const name = info.name.replace(/\[0\]$/, '');
+      uniforms[name] = {
+        name,
+        type: info.type,
+        size: info.size,
+        location: gl.getUniformLocation(program, info.name)
+      };
+    }
+
+    this.programInfo = { attributes, uniforms };
+  }
+
+  /**
+   * Returns the cached location of an active vertex attribute.
+   * @param {string} name
+   * @returns {number} Attribute location, or -1 if inactive.
+   */
+  getAttributeLocation(name) {
+    return this.programInfo?.attributes[name]?.location ?? -1;
+  }
+
+  /**
+   * Returns the cached location of an active uniform.
+   * @param {string} name
+   * @returns {WebGLUniformLocation|null}
+   */
+  getUniformLocation(name) {
+    return this.programInfo?.uniforms[name]?.location ?? null;
   }
 
   /**
@@ -186,24 +257,17 @@ class ShaderMaterial extends Material {
 
     // Upload uniform data
     for (const [name, value] of Object.entries(this.uniforms)) {
-      const loc = gl.getUniformLocation(this.program, name);
-      if (loc === null) continue;
-
-      if (typeof value === 'number') gl.uniform1f(loc, value);
-      else if (Array.isArray(value)) {
-        switch (value.length) {
-          case 2: gl.uniform2fv(loc, value); break;
-          case 3: gl.uniform3fv(loc, value); break;
-          case 4: gl.uniform4fv(loc, value); break;
-        }
-      }
+      const info = this.programInfo?.uniforms[name];
+      if (!info) continue;
+      setUniformValue(gl, info, value);
     }
 
     // Bind texture units
     let unit = 0;
     for (const [channel, tex] of Object.entries(this.textures)) {
-      tex.activate(gl, unit);
-      const loc = gl.getUniformLocation(this.program, channel);
+      if (tex.activate) tex.activate(gl, unit);
+      else tex.bind(gl, unit);
+      const loc = this.getUniformLocation(channel);
       if (loc) gl.uniform1i(loc, unit);
       unit++;
     }
@@ -214,7 +278,7 @@ class ShaderMaterial extends Material {
    * @param {WebGLRenderingContext} gl
    */
   unbind(gl) {
-    for (const tex of Object.values(this.textures)) tex.deactivate(gl);
+    for (const tex of Object.values(this.textures)) tex.deactivate?.(gl);
     gl.useProgram(null);
   }
 
@@ -258,6 +322,7 @@ class ShaderMaterial extends Material {
     if (gl && this.program) gl.deleteProgram(this.program);
     for (const tex of Object.values(this.textures)) tex.dispose(gl);
     this.program = null;
+    this.programInfo = null;
     this.textures = {};
     this.compiled = false;
   }
@@ -289,4 +354,96 @@ class ShaderMaterial extends Material {
   `;
 }
 
-export { ShaderMaterial };
+/**
+ * Uploads a uniform value using the setter matching its reflected GL type.
+ * Numbers go to int setters for int/bool/sampler uniforms, uint setters for
+ * WebGL2 uint uniforms and float otherwise; arrays and typed arrays are
+ * dispatched by vector or matrix size. WebGL2-only type constants are
+ * undefined on WebGL1 contexts and simply never match there.
+ *
+ * @param {WebGLRenderingContext|WebGL2RenderingContext} gl
+ * @param {{type: number, location: WebGLUniformLocation}} info
+ * @param {*} value
+ */
+function setUniformValue(gl, info, value) {
+  const loc = info.location;
+  if (loc === null || value === undefined || value === null) return;
+
+  switch (info.type) {
+    case gl.INT:
+    case gl.BOOL:
+    case gl.SAMPLER_2D:
+    case gl.SAMPLER_CUBE:
+    case gl.SAMPLER_3D:
+    case gl.SAMPLER_2D_ARRAY:
+    case gl.SAMPLER_2D_SHADOW:
+    case gl.SAMPLER_CUBE_SHADOW:
+    case gl.SAMPLER_2D_ARRAY_SHADOW:
+    case gl.INT_SAMPLER_2D:
+    case gl.INT_SAMPLER_3D:
+    case gl.INT_SAMPLER_CUBE:
+    case gl.INT_SAMPLER_2D_ARRAY:
+    case gl.UNSIGNED_INT_SAMPLER_2D:
+    case gl.UNSIGNED_INT_SAMPLER_3D:
+    case gl.UNSIGNED_INT_SAMPLER_CUBE:
+    case gl.UNSIGNED_INT_SAMPLER_2D_ARRAY:
+      if (typeof value === 'number' || typeof value === 'boolean') gl.uniform1i(loc, Number(value));
+      else gl.uniform1iv(loc, value);
+      return;
+    case gl.INT_VEC2:
+    case gl.BOOL_VEC2:
+      gl.uniform2iv(loc, toIntArray(value));
+      return;
+    case gl.INT_VEC3:
+    case gl.BOOL_VEC3:
+      gl.uniform3iv(loc, toIntArray(value));
+      return;
+    case gl.INT_VEC4:
+    case gl.BOOL_VEC4:
+      gl.uniform4iv(loc, toIntArray(value));
+      return;
+    case gl.UNSIGNED_INT:
+      if (typeof value === 'number') gl.uniform1ui(loc, value);
+      else gl.uniform1uiv(loc, value);
+      return;
+    case gl.UNSIGNED_INT_VEC2:
+      gl.uniform2uiv(loc, value.toArray?.() ?? value);
+      return;
+    case gl.UNSIGNED_INT_VEC3:
+      gl.uniform3uiv(loc, value.toArray?.() ?? value);
+      return;
+    case gl.UNSIGNED_INT_VEC4:
+      gl.uniform4uiv(loc, value.toArray?.() ?? value);
+      return;
+    case gl.FLOAT_MAT2:
+      gl.uniformMatrix2fv(loc, false, value.elements ?? value);
+      return;
+    case gl.FLOAT_MAT3:
+      gl.uniformMatrix3fv(loc, false, value.elements ?? value);
+      return;
+    case gl.FLOAT_MAT4:
+      gl.uniformMatrix4fv(loc, false, value.elements ?? value);
+      return;
+    case gl.FLOAT_VEC2:
+      gl.uniform2fv(loc, value.toArray?.() ?? value);
+      return;
+    case gl.FLOAT_VEC3:
+      gl.uniform3fv(loc, value.toArray?.() ?? value);
+      return;
+    case gl.FLOAT_VEC4:
+      gl.uniform4fv(loc, value.toArray?.() ?? value);
+      return;
+  }
+
+  if (typeof value === 'number') gl.uniform1f(loc, value);
+  else if (typeof value === 'boolean') gl.uniform1i(loc, Number(value));
+  else if (value.length !== undefined) gl.uniform1fv(loc, value);
+}
+
+/** ivec/bvec values as integers (booleans become 0/1). */
+function toIntArray(value) {
+  const array = value.toArray?.() ?? value;
+  return array instanceof Int32Array ? array : Int32Array.from(array, Number);
+}
+
+export { ShaderMaterial, setUniformValue };
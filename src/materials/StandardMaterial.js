@@ -93,7 +93,11 @@ class StandardMaterial extends MeshMaterial {
     // ADVANCED OPTIONS
     // ============================================================
 
-    /** @type {boolean} Enable per-pixel lighting (Phong). */
+    /**
+     * @type {boolean} Enable per-pixel lighting (Phong). When false, lighting
+     * is evaluated per vertex (Gouraud): cheaper, but normal maps and
+     * shadows are ignored.
+     */
     this.phong = parameters.phong !== false;
 
     /** @type {boolean} If true, material uses vertex colors when available. */
@@ -0,0 +1,203 @@
+/**
+ * MODULE_ID: dsrt.math.Frustum
+ * VERSION: 1.0.0
+ * DEPENDENCIES: []
+ *
+ * Represents a view frustum as six clipping planes extracted from a
+ * combined projection × view matrix. Used by the renderer to reject
+ * objects that lie completely outside the camera's view volume.
+ *
+ * Matrices are read in column-major order (the layout WebGL expects),
+ * either from a `Matrix4`-like object exposing `elements` or from a raw array.
+ */
+
+class Frustum {
+
+	/**
+	 * Constructs an unbounded frustum. Call `setFromCamera()` or
+	 * `setFromProjectionMatrix()` before running intersection tests.
+	 */
+	constructor() {
+		/**
+		 * Clipping planes stored as [nx, ny, nz, d], normals pointing inwards.
+		 * Order: right, left, bottom, top, far, near.
+		 * @type {Float32Array[]}
+		 */
+		this.planes = [];
+		for (let i = 0; i < 6; i++) this.planes.push(new Float32Array([0, 0, 0, Infinity]));
+
+		/** @type {boolean} Type flag for runtime introspection */
+		this.isFrustum = true;
+
+		/** @type {Float32Array} Scratch storage for the combined projection × view matrix */
+		this._matrix = new Float32Array(16);
+	}
+
+	// ─────────────────────────────────────────────────────────────
+	// 🔧 Mutative API — modifies internal state
+	// ─────────────────────────────────────────────────────────────
+
+	/**
+	 * Extracts the six planes from a combined projection × view matrix.
+	 *
+	 * @param {{elements: ArrayLike<number>}|ArrayLike<number>} m - Clip-space matrix.
+	 * @returns {Frustum} This instance.
+	 */
+	setFromProjectionMatrix(m) {
+		const e = m.elements ?? m;
+
+		this._setPlane(0, e[3] - e[0], e[7] - e[4], e[11] - e[8], e[15] - e[12]);
+		this._setPlane(1, e[3] + e[0], e[7] + e[4], e[11] + e[8], e[15] + e[12]);
+		this._setPlane(2, e[3] + e[1], e[7] + e[5], e[11] + e[9], e[15] + e[13]);
+		this._setPlane(3, e[3] - e[1], e[7] - e[5], e[11] - e[9], e[15] - e[13]);
+		this._setPlane(4, e[3] - e[2], e[7] - e[6], e[11] - e[10], e[15] - e[14]);
+		this._setPlane(5, e[3] + e[2], e[7] + e[6], e[11] + e[10], e[15] + e[14]);
+
+		return this;
+	}
+
+	/**
+	 * Builds the frustum from a camera's `projectionMatrix` and `viewMatrix`.
+	 *
+	 * @param {Camera} camera - Camera with up-to-date matrices.
+	 * @returns {Frustum} This instance.
+	 */
+	setFromCamera(camera) {
+		multiplyMatrices(this._matrix, camera.projectionMatrix.elements, camera.viewMatrix.elements);
+		return this.setFromProjectionMatrix(this._matrix);
+	}
+
+	// ─────────────────────────────────────────────────────────────
+	// 📐 Computations & Queries
+	// ─────────────────────────────────────────────────────────────
+
+	/**
+	 * Tests whether a sphere intersects or lies inside the frustum.
+	 *
+	 * @param {number[]} center - Sphere center as [x, y, z].
+	 * @param {number} radius - Sphere radius.
+	 * @returns {boolean} True if any part of the sphere is inside.
+	 */
+	intersectsSphere(center, radius) {
+		for (const p of this.planes) {
+			const distance = p[0] * center[0] + p[1] * center[1] + p[2] * center[2] + p[3];
+			if (distance < -radius) return false;
+		}
+		return true;
+	}
+
+	/**
+	 * Tests whether an axis-aligned box intersects or lies inside the frustum.
+	 * Uses the "positive vertex" of the box for each plane.
+	 *
+	 * @param {number[]} min - Lower corner as [x, y, z].
+	 * @param {number[]} max - Upper corner as [x, y, z].
+	 * @returns {boolean} True if any part of the box is inside.
+	 */
+	intersectsBox(min, max) {
+		for (const p of this.planes) {
+			const x = p[0] > 0 ? max[0] : min[0];
+			const y = p[1] > 0 ? max[1] : min[1];
+			const z = p[2] > 0 ? max[2] : min[2];
+			if (p[0] * x + p[1] * y + p[2] * z + p[3] < 0) return false;
+		}
+		return true;
+	}
+
+	/**
+	 * Tests a renderable object against the frustum using its geometry's
+	 * bounding sphere (coarse) and bounding box (fine), both transformed
+	 * into world space by `object.matrixWorld`. Instanced meshes use the
+	 * sphere enclosing all of their instances instead.
+	 * Objects without usable bounds are treated as visible.
+	 *
+	 * @param {Object3D} object - Object with `geometry` and `matrixWorld`.
+	 * @returns {boolean} True if the object may be visible.
+	 */
+	intersectsObject(object) {
+		const geometry = object.geometry;
+		if (!geometry?.vertices?.length) return true;
+
+		// Instanced meshes are bounded by the sphere around all their instances
+		const instanced = object.isInstancedMesh === true;
+		if (instanced && !object.boundingSphere) object.computeBoundingSphere();
+		if (!instanced && !geometry.boundingSphere) geometry.computeBoundingSphere();
+		const sphere = instanced ? object.boundingSphere : geometry.boundingSphere;
+		const e = object.matrixWorld?.elements;
+		if (!sphere) return true;
+		if (!e) return this.intersectsSphere(sphere.center, sphere.radius);
+
+		// World-space sphere: transform center, scale radius by the largest axis scale
+		const [cx, cy, cz] = sphere.center;
+		_center[0] = e[0] * cx + e[4] * cy + e[8] * cz + e[12];
+		_center[1] = e[1] * cx + e[5] * cy + e[9] * cz + e[13];
+		_center[2] = e[2] * cx + e[6] * cy + e[10] * cz + e[14];
+
+		const sx = e[0] * e[0] + e[1] * e[1] + e[2] * e[2];
+		const sy = e[4] * e[4] + e[5] * e[5] + e[6] * e[6];
+		const sz = e[8] * e[8] + e[9] * e[9] + e[10] * e[10];
+		const radius = sphere.radius * Math.sqrt(Math.max(sx, sy, sz));
+
+		if (!this.intersectsSphere(_center, radius)) return false;
+
+		const box = instanced ? null : geometry.boundingBox;
+		if (!box) return true;
+
+		// World-space AABB of the transformed local box (Arvo's method)
+		for (let i = 0; i < 3; i++) {
+			_min[i] = _max[i] = e[12 + i];
+			for (let j = 0; j < 3; j++) {
+				const a = e[j * 4 + i] * box.min[j];
+				const b = e[j * 4 + i] * box.max[j];
+				_min[i] += Math.min(a, b);
+				_max[i] += Math.max(a, b);
+			}
+		}
+
+		return this.intersectsBox(_min, _max);
+	}
+
+	// ─────────────────────────────────────────────────────────────
+	// 🧭 Internal helpers
+	// ─────────────────────────────────────────────────────────────
+
+	/**
+	 * Stores a normalized plane equation.
+	 * @private
+	 */
+	_setPlane(index, x, y, z, w) {
+		const inv = 1 / (Math.sqrt(x * x + y * y + z * z) || 1);
+		const p = this.planes[index];
+		p[0] = x * inv;
+		p[1] = y * inv;
+		p[2] = z * inv;
+		p[3] = w * inv;
+	}
+}
+
+/**
+ * Multiplies two column-major 4×4 matrices: out = a × b.
+ *
+ * @param {Float32Array} out - Destination array (must not alias a or b).
+ * @param {ArrayLike<number>} a - Left operand.
+ * @param {ArrayLike<number>} b - Right operand.
+ * @returns {Float32Array} The destination array.
+ */
+function multiplyMatrices(out, a, b) {
+	for (let c = 0; c < 4; c++) {
+		for (let r = 0; r < 4; r++) {
+			out[c * 4 + r] =
+				a[r] * b[c * 4] +
+				a[4 + r] * b[c * 4 + 1] +
+				a[8 + r] * b[c * 4 + 2] +
+				a[12 + r] * b[c * 4 + 3];
+		}
+	}
+	return out;
+}
+
+const _center = [0, 0, 0];
+const _min = [0, 0, 0];
+const _max = [0, 0, 0];
+
+export { Frustum, multiplyMatrices };
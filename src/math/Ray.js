@@ -0,0 +1,180 @@
+/**
+ * MODULE_ID: dsrt.math.Ray
+ * VERSION: 1.0.0
+ * DEPENDENCIES: [Vec3]
+ *
+ * Represents a half-line starting at `origin` and going along a unit
+ * `direction`. Distances returned by the intersection queries are the
+ * parameter t of the hit point origin + direction × t.
+ */
+
+import { Vec3 } from './Vec3.js';
+
+class Ray {
+
+	/**
+	 * Constructs a ray. The direction is normalized.
+	 *
+	 * @param {Vec3} [origin=(0, 0, 0)] - Start point.
+	 * @param {Vec3} [direction=(0, 0, -1)] - Direction of travel.
+	 */
+	constructor(origin = new Vec3(), direction = new Vec3(0, 0, -1)) {
+		/** @type {Vec3} Start point */
+		this.origin = origin;
+
+		/** @type {Vec3} Unit direction */
+		this.direction = direction.normalize();
+
+		/** @type {boolean} Type flag for runtime introspection */
+		this.isRay = true;
+	}
+
+	// ─────────────────────────────────────────────────────────────
+	// 🔧 Mutative API — modifies internal state
+	// ─────────────────────────────────────────────────────────────
+
+	/**
+	 * Sets the origin and direction (normalized).
+	 *
+	 * @param {Vec3} origin - Start point.
+	 * @param {Vec3} direction - Direction of travel.
+	 * @returns {Ray} This instance.
+	 */
+	set(origin, direction) {
+		this.origin.copy(origin);
+		this.direction.copy(direction).normalize();
+		return this;
+	}
+
+	/**
+	 * Copies another ray.
+	 *
+	 * @param {Ray} ray - Source ray.
+	 * @returns {Ray} This instance.
+	 */
+	copy(ray) {
+		this.origin.copy(ray.origin);
+		this.direction.copy(ray.direction);
+		return this;
+	}
+
+	// ─────────────────────────────────────────────────────────────
+	// 🧊 Immutable API — returns new instance
+	// ─────────────────────────────────────────────────────────────
+
+	/**
+	 * Returns a new ray equal to this one.
+	 *
+	 * @returns {Ray} A new ray.
+	 */
+	clone() {
+		return new Ray(this.origin.clone(), this.direction.clone());
+	}
+
+	// ─────────────────────────────────────────────────────────────
+	// 📐 Computations & Queries
+	// ─────────────────────────────────────────────────────────────
+
+	/**
+	 * Returns the point at a distance along the ray.
+	 *
+	 * @param {number} t - Distance from the origin.
+	 * @param {Vec3} [target=new Vec3()] - Receives the point.
+	 * @returns {Vec3} The target.
+	 */
+	at(t, target = new Vec3()) {
+		return target.copy(this.direction).multiplyScalar(t).add(this.origin);
+	}
+
+	/**
+	 * Distance to the first point inside a sphere, 0 if the origin is
+	 * inside it, or null if the ray misses it.
+	 *
+	 * @param {Vec3} center - Sphere center.
+	 * @param {number} radius - Sphere radius.
+	 * @returns {number|null} Entry distance.
+	 */
+	intersectSphere(center, radius) {
+		_vector.subVectors(center, this.origin);
+		const along = _vector.dot(this.direction);
+		const distanceSq = _vector.lengthSq() - along * along;
+		const radiusSq = radius * radius;
+		if (distanceSq > radiusSq) return null;
+
+		const half = Math.sqrt(radiusSq - distanceSq);
+		if (along + half < 0) return null;
+		return Math.max(along - half, 0);
+	}
+
+	/**
+	 * Distance to the first point inside an axis-aligned box (slab test),
+	 * 0 if the origin is inside it, or null if the ray misses it.
+	 *
+	 * @param {Bounds3D} bounds - Box with `min` and `max` corners.
+	 * @returns {number|null} Entry distance.
+	 */
+	intersectBox(bounds) {
+		if (bounds.isEmpty) return null;
+
+		let near = 0;
+		let far = Infinity;
+		for (const axis of AXES) {
+			const inverse = 1 / this.direction[axis];
+			let t0 = (bounds.min[axis] - this.origin[axis]) * inverse;
+			let t1 = (bounds.max[axis] - this.origin[axis]) * inverse;
+			if (inverse < 0) [t0, t1] = [t1, t0];
+
+			// NaN (parallel ray on a slab face) keeps the current bounds
+			if (t0 > near) near = t0;
+			if (t1 < far) far = t1;
+			if (near > far) return null;
+		}
+		return near;
+	}
+
+	/**
+	 * Intersects a triangle (Möller–Trumbore).
+	 *
+	 * @param {Vec3} a - First corner.
+	 * @param {Vec3} b - Second corner.
+	 * @param {Vec3} c - Third corner.
+	 * @param {boolean} [backfaceCulling=false] - Ignore triangles seen from behind
+	 *   (clockwise from the ray origin).
+	 * @param {Vec3} [barycoord] - Receives the weights of a, b and c at the hit.
+	 * @returns {number|null} Hit distance, or null on a miss.
+	 */
+	intersectTriangle(a, b, c, backfaceCulling = false, barycoord = null) {
+		_edge1.subVectors(b, a);
+		_edge2.subVectors(c, a);
+		_p.crossVectors(this.direction, _edge2);
+
+		// det > 0: the ray hits the front face (counter-clockwise winding)
+		const det = _edge1.dot(_p);
+		if (det === 0 || (backfaceCulling && det < 0)) return null;
+
+		const invDet = 1 / det;
+		_vector.subVectors(this.origin, a);
+		const u = _vector.dot(_p) * invDet;
+		if (u < 0 || u > 1) return null;
+
+		_q.crossVectors(_vector, _edge1);
+		const v = this.direction.dot(_q) * invDet;
+		if (v < 0 || u + v > 1) return null;
+
+		const t = _edge2.dot(_q) * invDet;
+		if (t < 0) return null;
+
+		barycoord?.set(1 - u - v, u, v);
+		return t;
+	}
+}
+
+const AXES = ['x', 'y', 'z'];
+
+const _vector = new Vec3();
+const _edge1 = new Vec3();
+const _edge2 = new Vec3();
+const _p = new Vec3();
+const _q = new Vec3();
+
+export { Ray };
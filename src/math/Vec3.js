@@ -151,6 +151,106 @@ class Vec3 {
 		return this;
 	}
 
+	/**
+	 * Sets this vector to the sum of two vectors.
+	 *
+	 * @param {Vec3} a - First vector.
+	 * @param {Vec3} b - Second vector.
+	 * @returns {Vec3} This instance.
+	 */
+	addVectors(a, b) {
+		this.x = a.x + b.x;
+		this.y = a.y + b.y;
+		this.z = a.z + b.z;
+		return this;
+	}
+
+	/**
+	 * Sets this vector to the difference a - b.
+	 *
+	 * @param {Vec3} a - Vector to subtract from.
+	 * @param {Vec3} b - Vector to subtract.
+	 * @returns {Vec3} This instance.
+	 */
+	subVectors(a, b) {
+		this.x = a.x - b.x;
+		this.y = a.y - b.y;
+		this.z = a.z - b.z;
+		return this;
+	}
+
+	/**
+	 * Sets this vector to the cross product a × b, without allocating.
+	 *
+	 * @param {Vec3} a - Left operand.
+	 * @param {Vec3} b - Right operand.
+	 * @returns {Vec3} This instance.
+	 */
+	crossVectors(a, b) {
+		const ax = a.x, ay = a.y, az = a.z;
+		const bx = b.x, by = b.y, bz = b.z;
+		this.x = ay * bz - az * by;
+		this.y = az * bx - ax * bz;
+		this.z = ax * by - ay * bx;
+		return this;
+	}
+
+	/**
+	 * Adds a scalar to every component.
+	 *
+	 * @param {number} scalar - Value to add.
+	 * @returns {Vec3} This instance.
+	 */
+	addScalar(scalar) {
+		this.x += scalar;
+		this.y += scalar;
+		this.z += scalar;
+		return this;
+	}
+
+	/**
+	 * Keeps the smaller of this and another vector's value, per component.
+	 *
+	 * @param {Vec3} v - Vector to compare with.
+	 * @returns {Vec3} This instance.
+	 */
+	min(v) {
+		this.x = Math.min(this.x, v.x);
+		this.y = Math.min(this.y, v.y);
+		this.z = Math.min(this.z, v.z);
+		return this;
+	}
+
+	/**
+	 * Keeps the larger of this and another vector's value, per component.
+	 *
+	 * @param {Vec3} v - Vector to compare with.
+	 * @returns {Vec3} This instance.
+	 */
+	max(v) {
+		this.x = Math.max(this.x, v.x);
+		this.y = Math.max(this.y, v.y);
+		this.z = Math.max(this.z, v.z);
+		return this;
+	}
+
+	/**
+	 * Transforms this point by a 4×4 matrix, dividing by the resulting w
+	 * (so projection matrices map into normalized device coordinates).
+	 *
+	 * @param {{elements: ArrayLike<number>}|ArrayLike<number>} m - Column-major matrix.
+	 * @returns {Vec3} This instance.
+	 */
+	applyMatrix4(m) {
+		const e = m.elements ?? m;
+		const { x, y, z } = this;
+		const w = 1 / (e[3] * x + e[7] * y + e[11] * z + e[15] || 1);
+		this.x = (e[0] * x + e[4] * y + e[8] * z + e[12]) * w;
+		this.y = (e[1] * x + e[5] * y + e[9] * z + e[13]) * w;
+		this.z = (e[2] * x + e[6] * y + e[10] * z + e[14]) * w;
+		return this;
+	}
+
 	// ─────────────────────────────────────────────────────────────
 	// 🧊 Immutable API — returns new instance
 	// ─────────────────────────────────────────────────────────────
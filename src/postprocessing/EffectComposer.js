@@ -0,0 +1,174 @@
+// ===============================================================
+// EffectComposer.js — Post-Processing Pass Chain
+// ===============================================================
+//
+// Core purpose:
+//  • Runs an ordered list of passes over two ping-pong render
+//    targets: each pass reads the previous result and writes the
+//    next one, and the last enabled pass draws to the canvas.
+//  • Passes can be added, removed, reordered and toggled between
+//    frames; targets follow renderer.setSize() automatically.
+//
+// Usage:
+//   const composer = new EffectComposer(renderer);
+//   composer.addPass(new RenderPass(scene, camera));
+//   composer.addPass(new ShaderPass(bloomShader));
+//   function frame() { composer.render(); }
+//
+// ===============================================================
+
+import { RenderTarget } from '../renderer/RenderTarget.js';
+
+class EffectComposer {
+  /**
+   * @param {WebGLRenderer} renderer
+   * @param {RenderTarget} [renderTarget] - Template for the ping-pong targets
+   *   (size and format); a renderer-sized RGBA target by default.
+   */
+  constructor(renderer, renderTarget) {
+    /** @type {WebGLRenderer} */
+    this.renderer = renderer;
+
+    const { width, height } = renderer.getSize();
+    this._width = width;
+    this._height = height;
+
+    if (!renderTarget) renderTarget = new RenderTarget(width, height);
+
+    /** @type {RenderTarget} Ping-pong target A. */
+    this.renderTarget1 = renderTarget;
+
+    /** @type {RenderTarget} Ping-pong target B. */
+    this.renderTarget2 = renderTarget.clone();
+
+    /** @type {RenderTarget} Target the current pass writes to. */
+    this.writeBuffer = this.renderTarget1;
+
+    /** @type {RenderTarget} Target holding the previous pass's output. */
+    this.readBuffer = this.renderTarget2;
+
+    /** @type {boolean} Whether the last enabled pass draws to the canvas. */
+    this.renderToScreen = true;
+
+    /** @type {Pass[]} Passes in execution order. */
+    this.passes = [];
+
+    /** @private */
+    this._lastTime = null;
+
+    // Follow the renderer's drawing buffer size
+    this._onResize = event => this.setSize(event.width, event.height);
+    renderer.addEventListener('resize', this._onResize);
+  }
+
+  // --------------------------------------------------
+  // Pass Management
+  // --------------------------------------------------
+
+  /**
+   * Appends a pass to the chain.
+   * @param {Pass} pass
+   */
+  addPass(pass) {
+    this.passes.push(pass);
+    pass.setSize(this._width, this._height);
+  }
+
+  /**
+   * Inserts a pass at a position in the chain.
+   * @param {Pass} pass
+   * @param {number} index
+   */
+  insertPass(pass, index) {
+    this.passes.splice(index, 0, pass);
+    pass.setSize(this._width, this._height);
+  }
+
+  /**
+   * Removes a pass from the chain (it is not disposed).
+   * @param {Pass} pass
+   */
+  removePass(pass) {
+    const index = this.passes.indexOf(pass);
+    if (index !== -1) this.passes.splice(index, 1);
+  }
+
+  /**
+   * Moves a pass already in the chain to a new position.
+   * @param {Pass} pass
+   * @param {number} index
+   */
+  movePass(pass, index) {
+    const from = this.passes.indexOf(pass);
+    if (from === -1) return;
+    this.passes.splice(from, 1);
+    this.passes.splice(Math.min(index, this.passes.length), 0, pass);
+  }
+
+  // --------------------------------------------------
+  // Rendering
+  // --------------------------------------------------
+
+  /**
+   * Runs every enabled pass in order.
+   * @param {number} [deltaTime] - Seconds since the previous frame; measured when omitted.
+   */
+  render(deltaTime) {
+    if (deltaTime === undefined) {
+      const now = performance.now();
+      deltaTime = this._lastTime === null ? 0 : (now - this._lastTime) / 1000;
+      this._lastTime = now;
+    }
+
+    const renderer = this.renderer;
+    const previousTarget = renderer.getRenderTarget();
+
+    let last = -1;
+    this.passes.forEach((pass, i) => { if (pass.enabled) last = i; });
+
+    for (let i = 0; i <= last; i++) {
+      const pass = this.passes[i];
+      if (!pass.enabled) continue;
+
+      pass.renderToScreen = this.renderToScreen && i === last;
+      pass.render(renderer, this.writeBuffer, this.readBuffer, deltaTime);
+
+      if (pass.needsSwap) this.swapBuffers();
+    }
+
+    renderer.setRenderTarget(previousTarget);
+  }
+
+  /** Exchanges the read and write targets. */
+  swapBuffers() {
+    const tmp = this.readBuffer;
+    this.readBuffer = this.writeBuffer;
+    this.writeBuffer = tmp;
+  }
+
+  // --------------------------------------------------
+  // Size & Lifecycle
+  // --------------------------------------------------
+
+  /**
+   * Resizes both targets and every pass. Called automatically on renderer resize.
+   * @param {number} width
+   * @param {number} height
+   */
+  setSize(width, height) {
+    this._width = width;
+    this._height = height;
+    this.renderTarget1.setSize(width, height);
+    this.renderTarget2.setSize(width, height);
+    for (const pass of this.passes) pass.setSize(width, height);
+  }
+
+  /** Releases both targets and detaches from the renderer (passes are not disposed). */
+  dispose() {
+    this.renderer.removeEventListener('resize', this._onResize);
+    this.renderTarget1.dispose();
+    this.renderTarget2.dispose();
+  }
+}
+
+export { EffectComposer };
@@ -0,0 +1,39 @@
+// ===============================================================
+// OutputPass.js — Tone Mapping + Output Color Space Pass
+// ===============================================================
+//
+// Core purpose:
+//  • Final composer pass: tone-maps the linear HDR chain result
+//    using renderer.toneMapping / toneMappingExposure and encodes
+//    it to renderer.outputColorSpace.
+//  • Render passes inside a composer draw to offscreen targets, so
+//    the renderer leaves this conversion to the chain; add an
+//    OutputPass last (and use HalfFloatType targets to keep HDR).
+//
+// ===============================================================
+
+import { ShaderPass } from './ShaderPass.js';
+import { ShaderMaterial } from '../materials/ShaderMaterial.js';
+import { OutputShader } from '../renderer/shaders/OutputShader.js';
+import { SRGBColorSpace } from '../constants/Constants.js';
+
+class OutputPass extends ShaderPass {
+  constructor() {
+    super(new ShaderMaterial({
+      vertexShader: OutputShader.vertexShader,
+      fragmentShader: OutputShader.fragmentShader,
+      uniforms: OutputShader.uniforms
+    }));
+  }
+
+  render(renderer, writeBuffer, readBuffer, deltaTime) {
+    const uniforms = this.material.uniforms;
+    uniforms.toneMappingMode = renderer.toneMapping;
+    uniforms.toneMappingExposure = renderer.toneMappingExposure;
+    uniforms.outputSRGB = renderer.outputColorSpace === SRGBColorSpace;
+
+    super.render(renderer, writeBuffer, readBuffer, deltaTime);
+  }
+}
+
+export { OutputPass };
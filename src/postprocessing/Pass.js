@@ -0,0 +1,125 @@
+// ===============================================================
+// Pass.js — Base Class for Post-Processing Passes
+// ===============================================================
+//
+// Core purpose:
+//  • Defines the contract every EffectComposer pass implements.
+//  • Provides FullScreenQuad, the single-triangle mesh used by
+//    passes that run a shader over every pixel.
+//
+// Pass contract:
+//   render(renderer, writeBuffer, readBuffer, deltaTime)
+//     readBuffer  — target holding the previous pass's result
+//     writeBuffer — target this pass should draw into
+//     When `renderToScreen` is true, draw to the canvas instead.
+//
+// ===============================================================
+
+import { Geometry } from '../core/Geometry.js';
+import { Mesh } from '../core/Mesh.js';
+
+/**
+ * Vertex shader for full-screen passes: forwards clip-space positions
+ * and exposes `vUv` in [0, 1] to the fragment stage.
+ * @type {string}
+ */
+const FULLSCREEN_VERTEX_SHADER = `
+  attribute vec3 position;
+  attribute vec2 uv;
+  varying vec2 vUv;
+  void main() {
+    vUv = uv;
+    gl_Position = vec4(position.xy, 0.0, 1.0);
+  }
+`;
+
+class Pass {
+  constructor() {
+    /** @type {boolean} Disabled passes are skipped by the composer. */
+    this.enabled = true;
+
+    /** @type {boolean} Swap read/write buffers after this pass. */
+    this.needsSwap = true;
+
+    /** @type {boolean} Clear the output before drawing. */
+    this.clear = false;
+
+    /** @type {boolean} Draw to the canvas (set by the composer on the last enabled pass). */
+    this.renderToScreen = false;
+
+    /** @type {boolean} */
+    this.isPass = true;
+  }
+
+  /**
+   * Called by the composer when its size changes.
+   * @param {number} width
+   * @param {number} height
+   */
+  setSize(width, height) {}
+
+  /**
+   * Abstract: runs the pass.
+   * @param {WebGLRenderer} renderer
+   * @param {RenderTarget} writeBuffer
+   * @param {RenderTarget} readBuffer
+   * @param {number} deltaTime - Seconds since the previous frame.
+   */
+  render(renderer, writeBuffer, readBuffer, deltaTime) {
+    throw new Error('Pass.render() must be implemented by subclass');
+  }
+
+  /** Releases resources owned by the pass. */
+  dispose() {}
+}
+
+// --------------------------------------------------
+// FullScreenQuad
+// --------------------------------------------------
+
+// One oversized triangle covers the viewport without a diagonal seam
+const _geometry = new Geometry({
+  name: 'FullScreenTriangle',
+  vertices: [-1, -1, 0, 3, -1, 0, -1, 3, 0],
+  uvs: [0, 0, 2, 0, 0, 2]
+});
+
+class FullScreenQuad {
+  /**
+   * @param {Material} [material=null]
+   */
+  constructor(material = null) {
+    /** @private */
+    this._mesh = new Mesh(_geometry, material);
+    this._mesh.frustumCulled = false;
+  }
+
+  /** @type {Material} */
+  get material() {
+    return this._mesh.material;
+  }
+
+  set material(value) {
+    this._mesh.material = value;
+  }
+
+  /**
+   * Draws the quad into the renderer's current target. The draw is counted
+   * in renderer.info.internal, apart from scene draws.
+   * @param {WebGLRenderer} renderer
+   */
+  render(renderer) {
+    renderer.uploadGeometry(_geometry);
+    renderer.uploadMaterial(this._mesh.material);
+    renderer._internalDraws++;
+    renderer.drawMesh(this._mesh);
+    renderer._internalDraws--;
+  }
+
+  /** Releases the material; the shared triangle geometry stays alive. */
+  dispose() {
+    this._mesh.material?.dispose?.();
+  }
+}
+
+export { Pass, FullScreenQuad, FULLSCREEN_VERTEX_SHADER };
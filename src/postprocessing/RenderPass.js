@@ -0,0 +1,47 @@
+// ===============================================================
+// RenderPass.js — Scene Rendering Pass
+// ===============================================================
+//
+// Core purpose:
+//  • Draws a scene into the composer's read buffer, producing the
+//    image the following passes process.
+//  • Usually the first pass of an EffectComposer.
+//
+// ===============================================================
+
+import { Pass } from './Pass.js';
+
+class RenderPass extends Pass {
+  /**
+   * @param {Scene} scene
+   * @param {Camera} camera
+   * @param {object} [options]
+   *   @param {boolean} [options.clear=true] - Clear color and depth before drawing.
+   */
+  constructor(scene, camera, options = {}) {
+    super();
+
+    /** @type {Scene} */
+    this.scene = scene;
+
+    /** @type {Camera} */
+    this.camera = camera;
+
+    this.clear = options.clear !== false;
+
+    // The scene lands in readBuffer so the next pass can sample it directly
+    this.needsSwap = false;
+  }
+
+  render(renderer, writeBuffer, readBuffer) {
+    const autoClear = renderer.autoClear;
+    renderer.autoClear = this.clear;
+
+    renderer.setRenderTarget(this.renderToScreen ? null : readBuffer);
+    renderer.render(this.scene, this.camera);
+
+    renderer.autoClear = autoClear;
+  }
+}
+
+export { RenderPass };
@@ -0,0 +1,62 @@
+// ===============================================================
+// ShaderPass.js — Full-Screen Shader Pass
+// ===============================================================
+//
+// Core purpose:
+//  • Runs a ShaderMaterial over every pixel of the previous pass's
+//    output (blur, color grading, vignette, FXAA, ...).
+//  • The previous result is bound to the sampler named by
+//    `textureID` (default "tDiffuse").
+//
+// Usage:
+//   const vignette = new ShaderPass(new ShaderMaterial({
+//     vertexShader: FULLSCREEN_VERTEX_SHADER,
+//     fragmentShader: vignetteSource,
+//     uniforms: { strength: 0.4 }
+//   }));
+//   composer.addPass(vignette);
+//
+// ===============================================================
+
+import { Pass, FullScreenQuad, FULLSCREEN_VERTEX_SHADER } from './Pass.js';
+import { ShaderMaterial } from '../materials/ShaderMaterial.js';
+
+class ShaderPass extends Pass {
+  /**
+   * @param {ShaderMaterial|object} shader - A ShaderMaterial, or parameters to build one
+   *   ({ fragmentShader, uniforms, vertexShader? }).
+   * @param {string} [textureID='tDiffuse'] - Sampler receiving the previous pass's output.
+   */
+  constructor(shader, textureID = 'tDiffuse') {
+    super();
+
+    /** @type {string} */
+    this.textureID = textureID;
+
+    /** @type {ShaderMaterial} */
+    this.material = shader instanceof ShaderMaterial
+      ? shader
+      : new ShaderMaterial({ vertexShader: FULLSCREEN_VERTEX_SHADER, ...shader });
+
+    // Full-screen draws never depth test, so the quad is never rejected
+    this.material.depthTest = false;
+    this.material.depthWrite = false;
+
+    /** @private */
+    this._fsQuad = new FullScreenQuad(this.material);
+  }
+
+  render(renderer, writeBuffer, readBuffer) {
+    this.material.textures[this.textureID] = readBuffer.texture;
+
+    renderer.setRenderTarget(this.renderToScreen ? null : writeBuffer);
+    if (this.clear) renderer.clear();
+    this._fsQuad.render(renderer);
+  }
+
+  dispose() {
+    this._fsQuad.dispose();
+  }
+}
+
+export { ShaderPass };
@@ -0,0 +1,218 @@
+// ===============================================================
+// PMREMGenerator.js — Prefiltered Environment Maps
+// ===============================================================
+//
+// Core purpose:
+//  • Turns an environment texture (equirectangular 2D or cube map)
+//    into the two images image-based lighting samples:
+//      atlas      — ENVMAP_LEVELS equirect images stacked bottom to
+//                   top, GGX-blurred for roughness 0 … 1
+//      irradiance — small cosine-convolved equirect for diffuse light
+//  • Level i is filtered from level i - 1 with the incremental
+//    roughness, so a fixed sample count stays noise-free.
+//
+// Results are half-float when float targets are renderable (WebGL2
+// with EXT_color_buffer_float) and RGBA8 otherwise, which clips HDR
+// environments to [0, 1].
+//
+// Usage (normally done by WebGLEnvironment, which caches results):
+//   const generator = new PMREMGenerator(renderer);
+//   const { atlas, irradiance } = generator.fromTexture(texture);
+//
+// ===============================================================
+
+import { RenderTarget } from './RenderTarget.js';
+import { Texture } from '../core/Texture.js';
+import { ShaderMaterial } from '../materials/ShaderMaterial.js';
+import { FullScreenQuad } from '../postprocessing/Pass.js';
+import { EquirectConvertShader, GGXFilterShader, IrradianceShader } from './shaders/PMREMShader.js';
+import { ENVMAP_LEVELS, ENVMAP_SIZE } from './shaders/ShaderChunk.js';
+import { UnsignedByteType, HalfFloatType } from '../constants/Constants.js';
+
+const IRRADIANCE_SIZE = 32;
+
+class PMREMGenerator {
+  /**
+   * @param {WebGLRenderer} renderer
+   */
+  constructor(renderer) {
+    /** @type {WebGLRenderer} */
+    this.renderer = renderer;
+
+    /** @private Conversion materials by source variant. */
+    this._convertMaterials = new Map();
+
+    /** @private */
+    this._quad = null;
+    this._filterMaterial = null;
+    this._irradianceMaterial = null;
+
+    /** @private Ping-pong images holding the previous level while the next is filtered. */
+    this._levelTargets = null;
+  }
+
+  /**
+   * Prefilters an environment texture.
+   * @param {Texture|CubeTexture} texture - Equirectangular texture or cube map with image data.
+   * @param {{atlas: RenderTarget, irradiance: RenderTarget}} [result] - Targets to reuse.
+   * @returns {{atlas: RenderTarget, irradiance: RenderTarget}|null} Null if the texture has no GPU data yet.
+   */
+  fromTexture(texture, result = null) {
+    const renderer = this.renderer;
+    const gl = renderer.gl;
+
+    renderer.uploadTexture(texture);
+    if (!texture._glTexture) return null;
+
+    result ??= this._createResult();
+    this._setup();
+
+    const previousTarget = renderer.getRenderTarget();
+    const width = ENVMAP_SIZE;
+    const height = ENVMAP_SIZE / 2;
+    let [read, write] = this._levelTargets;
+
+    // Level 0: the source resampled to equirect
+    this._draw(this._getConvertMaterial(texture), { envSource: texture }, read);
+    this._copyToLevel(read, result.atlas, 0, width, height);
+
+    for (let level = 1; level < ENVMAP_LEVELS; level++) {
+      const alpha = roughnessToAlpha(level / (ENVMAP_LEVELS - 1));
+      const previousAlpha = roughnessToAlpha((level - 1) / (ENVMAP_LEVELS - 1));
+      this._filterMaterial.uniforms.alpha = Math.sqrt(alpha * alpha - previousAlpha * previousAlpha);
+
+      this._draw(this._filterMaterial, { envSource: read.texture }, write);
+      this._copyToLevel(write, result.atlas, level, width, height);
+      [read, write] = [write, read];
+    }
+
+    // Diffuse irradiance from the roughest level
+    this._draw(this._irradianceMaterial, { envSource: read.texture }, result.irradiance);
+
+    renderer.setRenderTarget(previousTarget);
+    return result;
+  }
+
+  /**
+   * Draws a material over the whole of a target.
+   * @private
+   */
+  _draw(material, textures, target) {
+    material.textures = textures;
+    this._quad.material = material;
+    this.renderer.setRenderTarget(target);
+    this._quad.render(this.renderer);
+  }
+
+  /**
+   * Copies a level image into its band of the atlas.
+   * @private
+   */
+  _copyToLevel(source, atlas, level, width, height) {
+    const material = this._getConvertMaterial(source.texture);
+    material.textures = { envSource: source.texture };
+    this._quad.material = material;
+    this.renderer.setRenderTarget(atlas);
+    this.renderer.gl.viewport(0, level * height, width, height);
+    this._quad.render(this.renderer);
+  }
+
+  /**
+   * Conversion material for a source: cube or 2D, sRGB or linear,
+   * image rows top-down or (render targets) bottom-up.
+   * @private
+   */
+  _getConvertMaterial(texture) {
+    const defines = [];
+    if (texture.isCubeTexture) defines.push('SOURCE_CUBE');
+    else if (!texture.isRenderTargetTexture) defines.push('SOURCE_FLIP_Y');
+    if (texture.colorSpace === 'sRGB') defines.push('SOURCE_SRGB');
+
+    const key = defines.join('|');
+    let material = this._convertMaterials.get(key);
+    if (!material) {
+      const prefix = defines.map(name => `#define ${name}\n`).join('');
+      material = createMaterial(EquirectConvertShader, prefix);
+      this._convertMaterials.set(key, material);
+    }
+    return material;
+  }
+
+  /** @private */
+  _setup() {
+    if (this._quad) return;
+    this._quad = new FullScreenQuad();
+    this._filterMaterial = createMaterial(GGXFilterShader);
+    this._irradianceMaterial = createMaterial(IrradianceShader);
+    const type = this._getTargetType();
+    this._levelTargets = [
+      createTarget(ENVMAP_SIZE, ENVMAP_SIZE / 2, type),
+      createTarget(ENVMAP_SIZE, ENVMAP_SIZE / 2, type)
+    ];
+  }
+
+  /** @private */
+  _createResult() {
+    const type = this._getTargetType();
+    return {
+      // Not a power of two: clamped, sampleEnvLevel filters across the seam
+      atlas: createTarget(ENVMAP_SIZE, ENVMAP_SIZE / 2 * ENVMAP_LEVELS, type, false),
+      irradiance: createTarget(IRRADIANCE_SIZE, IRRADIANCE_SIZE / 2, type)
+    };
+  }
+
+  /** @private */
+  _getTargetType() {
+    const renderer = this.renderer;
+    return renderer.isWebGL2 && renderer.gl.getExtension('EXT_color_buffer_float') ? HalfFloatType : UnsignedByteType;
+  }
+
+  /** Releases the prefiltering materials and scratch targets (not generated results). */
+  dispose() {
+    const gl = this.renderer.gl;
+    const materials = [...this._convertMaterials.values(), this._filterMaterial, this._irradianceMaterial];
+    for (const material of materials) {
+      if (!material) continue;
+      material.textures = {}; // sources belong to the caller
+      material.dispose(gl);
+    }
+    this._levelTargets?.forEach(target => target.dispose());
+    this._convertMaterials.clear();
+    this._quad = this._filterMaterial = this._irradianceMaterial = this._levelTargets = null;
+  }
+}
+
+// --------------------------------------------------
+// Helpers
+// --------------------------------------------------
+
+/** GGX alpha for a perceptual roughness (clamped like the shaders do). */
+function roughnessToAlpha(roughness) {
+  const r = Math.max(roughness, 0.0525);
+  return r * r;
+}
+
+/** @private */
+function createMaterial(shader, prefix = '') {
+  return new ShaderMaterial({
+    ...shader,
+    uniforms: { ...shader.uniforms },
+    fragmentShader: prefix + shader.fragmentShader,
+    depthTest: false,
+    depthWrite: false,
+    lit: false
+  });
+}
+
+/**
+ * Linear, no depth and, by default, repeating horizontally so the equirect
+ * seam filters across. Only power-of-two sizes may repeat (WebGL1).
+ * @private
+ */
+function createTarget(width, height, type, repeat = true) {
+  const target = new RenderTarget(width, height, { type, depthBuffer: false });
+  if (repeat) target.texture.wrapS = Texture.REPEAT;
+  return target;
+}
+
+export { PMREMGenerator };
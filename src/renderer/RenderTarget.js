@@ -0,0 +1,213 @@
+// ===============================================================
+// RenderTarget.js — Offscreen Framebuffer Description
+// ===============================================================
+//
+// Core purpose:
+//  • Describes an offscreen surface the renderer can draw into
+//    instead of the canvas (mirrors, minimaps, post effects).
+//  • Exposes its color attachment(s) as MaterialTextures, so the
+//    result can be sampled by any material slot in a later pass.
+//
+// GPU objects (framebuffer, textures, renderbuffers) are created by
+// WebGLRenderer on the first setRenderTarget() call and released
+// when dispose() is called.
+//
+// Usage:
+//   const target = new RenderTarget(512, 512, { type: HalfFloatType });
+//   renderer.setRenderTarget(target);
+//   renderer.render(scene, camera);
+//   renderer.setRenderTarget(null);
+//   screenMaterial.setTexture('albedo', target.texture);
+//
+// With `samples` > 0 on WebGL2 the target is multisampled: drawing goes
+// to MSAA renderbuffers, resolved into the textures on leaving it.
+//
+// ===============================================================
+
+import { EventDispatcher } from '../core/EventDispatcher.js';
+import { Texture } from '../core/Texture.js';
+import { MaterialTexture } from '../materials/MaterialTexture.js';
+import {
+  RGBAFormat, UnsignedByteType, DepthFormat, DepthStencilFormat,
+  UnsignedIntType, UnsignedInt248Type
+} from '../constants/Constants.js';
+
+class RenderTarget extends EventDispatcher {
+  /**
+   * @param {number} [width=1]
+   * @param {number} [height=1]
+   * @param {object} [options]
+   *   @param {number} [options.format=RGBAFormat] - Color attachment format (`*Format` constant).
+   *   @param {number} [options.type=UnsignedByteType] - Color attachment type (UnsignedByteType, HalfFloatType, FloatType).
+   *   @param {number} [options.count=1] - Number of color attachments (multiple render targets).
+   *   @param {boolean} [options.depthBuffer=true] - Attach a depth buffer.
+   *   @param {boolean} [options.stencilBuffer=false] - Attach a combined depth/stencil buffer.
+   *   @param {boolean|Texture} [options.depthTexture=false] - Store depth in a sampleable texture
+   *     (DepthFormat, or DepthStencilFormat with a stencil buffer) instead of a renderbuffer.
+   *   @param {number} [options.minFilter=Texture.LINEAR]
+   *   @param {number} [options.magFilter=Texture.LINEAR]
+   *   @param {boolean} [options.generateMipmaps=false] - Rebuild mipmaps after each use.
+   *   @param {number} [options.samples=0] - MSAA samples (WebGL2 only, ignored on WebGL1).
+   */
+  constructor(width = 1, height = 1, options = {}) {
+    super();
+
+    /** @type {number} */
+    this.width = width;
+
+    /** @type {number} */
+    this.height = height;
+
+    /** @type {boolean} Whether a depth attachment is created. */
+    this.depthBuffer = options.depthBuffer !== false;
+
+    /** @type {boolean} Whether the depth attachment also carries stencil. */
+    this.stencilBuffer = options.stencilBuffer === true;
+
+    /**
+     * MSAA sample count. When above 0 on WebGL2, drawing goes to multisampled
+     * renderbuffers that are resolved into the textures when the target is
+     * left. Set before first use.
+     * @type {number}
+     */
+    this.samples = options.samples ?? 0;
+
+    /**
+     * Color attachments, one per draw buffer.
+     * @type {MaterialTexture[]}
+     */
+    this.textures = [];
+    for (let i = 0; i < (options.count ?? 1); i++) {
+      this.textures.push(createAttachmentTexture(width, height, options));
+    }
+
+    /**
+     * Sampleable depth attachment, or null when depth lives in a renderbuffer.
+     * @type {Texture|null}
+     */
+    this.depthTexture = null;
+    if (options.depthTexture) {
+      const depthTexture = options.depthTexture instanceof Texture
+        ? options.depthTexture
+        : new Texture(null, { name: 'DepthTexture', generateMipmaps: false });
+      depthTexture.format = this.stencilBuffer ? DepthStencilFormat : DepthFormat;
+      depthTexture.type = this.stencilBuffer ? UnsignedInt248Type : UnsignedIntType;
+      depthTexture.minFilter = depthTexture.magFilter = Texture.NEAREST;
+      depthTexture.wrapS = depthTexture.wrapT = Texture.CLAMP_TO_EDGE;
+      depthTexture.generateMipmaps = false;
+      depthTexture.isRenderTargetTexture = true;
+      depthTexture.image = { width, height };
+      depthTexture.loaded = depthTexture.uploaded = true;
+      this.depthTexture = depthTexture;
+      this.depthBuffer = true;
+    }
+
+    /**
+     * Bumped by setSize(); the renderer reallocates storage when it changes.
+     * @type {number}
+     */
+    this.version = 0;
+
+    /** @type {string} */
+    this.type = 'RenderTarget';
+
+    /** @type {boolean} */
+    this.isRenderTarget = true;
+  }
+
+  /**
+   * First color attachment.
+   * @type {MaterialTexture}
+   */
+  get texture() {
+    return this.textures[0];
+  }
+
+  /**
+   * Resizes every attachment. Storage is reallocated on next use.
+   * @param {number} width
+   * @param {number} height
+   * @returns {RenderTarget}
+   */
+  setSize(width, height) {
+    if (this.width === width && this.height === height) return this;
+
+    this.width = width;
+    this.height = height;
+    for (const texture of this.textures) texture.image = { width, height };
+    if (this.depthTexture) this.depthTexture.image = { width, height };
+    this.version++;
+    return this;
+  }
+
+  /**
+   * Creates a target with the same size and attachment layout.
+   * @returns {RenderTarget}
+   */
+  clone() {
+    const texture = this.texture;
+    return new RenderTarget(this.width, this.height, {
+      format: texture.format,
+      type: texture.type,
+      count: this.textures.length,
+      depthBuffer: this.depthBuffer,
+      stencilBuffer: this.stencilBuffer,
+      depthTexture: !!this.depthTexture,
+      minFilter: texture.minFilter,
+      magFilter: texture.magFilter,
+      generateMipmaps: texture.generateMipmaps,
+      samples: this.samples
+    });
+  }
+
+  /**
+   * Releases GPU resources. The renderer frees the framebuffer and its
+   * attachments in response to the 'dispose' event.
+   */
+  dispose() {
+    this.dispatchEvent({ type: 'dispose', target: this });
+  }
+
+  /** @returns {object} */
+  toJSON() {
+    return {
+      type: this.type,
+      width: this.width,
+      height: this.height,
+      format: this.texture.format,
+      textureType: this.texture.type,
+      count: this.textures.length,
+      depthBuffer: this.depthBuffer,
+      stencilBuffer: this.stencilBuffer,
+      depthTexture: !!this.depthTexture,
+      samples: this.samples
+    };
+  }
+}
+
+/**
+ * Creates one color attachment. The texture is marked uploaded so the
+ * renderer never replaces its storage with image data.
+ * @private
+ */
+function createAttachmentTexture(width, height, options) {
+  const texture = new MaterialTexture(null, {
+    name: 'RenderTargetTexture',
+    channel: 'albedo',
+    colorSpace: 'linear',
+    minFilter: options.minFilter ?? Texture.LINEAR,
+    magFilter: options.magFilter ?? Texture.LINEAR,
+    wrapS: Texture.CLAMP_TO_EDGE,
+    wrapT: Texture.CLAMP_TO_EDGE,
+    generateMipmaps: options.generateMipmaps === true
+  });
+  texture.format = options.format ?? RGBAFormat;
+  texture.type = options.type ?? UnsignedByteType;
+  texture.image = { width, height };
+  texture.isRenderTargetTexture = true;
+  texture.loaded = true;
+  texture.uploaded = true;
+  return texture;
+}
+
+export { RenderTarget };
@@ -27,6 +27,7 @@
 //  - this.initialized → indicates whether the renderer has initialized GL context.
 //  - this.destroyed → prevents re-use after destroy().
 //  - this.isWebGL2 → true if WebGL2 context is available.
+//  - this.contextLost → true while the GL context is lost; render() is skipped.
 //  - this.autoClear → whether to clear color/depth buffers each frame.
 //
 // ---------------------------------------------------------------
@@ -37,20 +38,44 @@
 //  Renderer.render(scene, camera)
 //    1. Ensure context initialized
 //    2. Clear buffers (if autoClear)
-//    3. Traverse scene for visible meshes
+//    3. Traverse scene for visible meshes (frustum culled)
+//       and split them into opaque / transparent queues
+//       (lights and shadow casters are collected too; shadow
+//        maps and light uniforms are prepared before the draw loop)
 //    4. Upload geometry/materials to GPU if needed
 //    5. Bind shader, set uniforms
 //    6. Issue draw calls
 //    7. Post-render cleanup / hooks
+//    (canvas output with tone mapping / sRGB goes through an
+//     internal half-float target resolved by OutputPass)
 //
 // ===============================================================
 
+import { EventDispatcher } from '../core/EventDispatcher.js';
+import { Frustum } from '../math/Frustum.js';
+import { WebGLState } from './WebGLState.js';
+import { getComponentType, isIntegerAttributeType, getTextureFormats, getTextureByteSize } from './WebGLUtils.js';
+import { RenderTarget } from './RenderTarget.js';
+import { OutputPass } from '../postprocessing/OutputPass.js';
+import { WebGLShadowMap } from './WebGLShadowMap.js';
+import { WebGLLights } from './WebGLLights.js';
+import { WebGLPrograms } from './WebGLPrograms.js';
+import { WebGLEnvironment } from './WebGLEnvironment.js';
+import { WebGLBackground } from './WebGLBackground.js';
+import { WebGLInfo } from './WebGLInfo.js';
+import { WebGLPicker } from './WebGLPicker.js';
+import { multiplyMatrices } from '../math/Frustum.js';
+import {
+  HalfFloatType, FloatType, UnsignedByteType, RGBAFormat,
+  NoToneMapping, SRGBColorSpace, LinearSRGBColorSpace
+} from '../constants/Constants.js';
+
 
 // --------------------------------------------------
 // Abstract Base Class — Renderer
 // --------------------------------------------------
 
-class Renderer {
+class Renderer extends EventDispatcher {
   /**
    * @constructor
    * @param {object} options
@@ -59,6 +84,7 @@ class Renderer {
    *   @param {object} [glOptions] - Context creation options
    */
   constructor(options = {}) {
+    super();
     this.canvas = options.canvas || null;
     this.debug = !!options.debug;
 
@@ -82,10 +108,16 @@ class Renderer {
     throw new Error('Renderer.init() must be implemented by subclass');
   }
 
-  /** Adjust viewport dimensions. */
+  /** Adjust viewport dimensions and notify 'resize' listeners. */
   setSize(width, height) {
     this._width = width;
     this._height = height;
+    this.dispatchEvent({ type: 'resize', width, height });
+  }
+
+  /** @returns {{width: number, height: number}} Drawing buffer size in pixels. */
+  getSize() {
+    return { width: this._width, height: this._height };
   }
 
   /** Abstract: Render a scene from a camera. */
@@ -98,13 +130,13 @@ class Renderer {
     throw new Error('Renderer.uploadGeometry() must be implemented by subclass');
   }
 
-  /** Abstract: Upload material resources. */
-  uploadMaterial(material) {
+  /** Abstract: Upload material resources (compile its program). */
+  uploadMaterial(material, mesh) {
     throw new Error('Renderer.uploadMaterial() must be implemented by subclass');
   }
 
-  /** Abstract: Draw a mesh. */
-  drawMesh(mesh) {
+  /** Abstract: Draw a mesh, optionally with a replacement material. */
+  drawMesh(mesh, material) {
     throw new Error('Renderer.drawMesh() must be implemented by subclass');
   }
 
@@ -153,18 +185,131 @@ class WebGLRenderer extends Renderer {
     /** @type {boolean} */
     this.isWebGL2 = false;
 
-    // Resource registries
-    this._geometries = new WeakMap();
-    this._materials = new WeakMap();
-    this._textures = new WeakMap();
+    /** @type {WebGLState|null} Cached GL render state (created in init). */
+    this.state = null;
+
+    /** @type {object|null} VAO entry points (created in init, null if unsupported). */
+    this._vertexArrays = null;
+
+    /** @type {object|null} Instanced draw entry points (created in init, null if unsupported). */
+    this._instancing = null;
+
+    /** @type {WeakSet<GeometryAttribute>} 32-bit integer attributes already warned about on WebGL1. */
+    this._unsupportedAttributes = new WeakSet();
+
+    // Resource registries. Maps rather than WeakMaps so every handle can be
+    // dropped after a context loss; entries leave when their resource is disposed.
+    this._geometries = new Map();
+    this._materials = new Map();
+    this._textures = new Map();
+    this._instances = new WeakMap();
+    this._renderTargets = new Map();
+
+    /**
+     * True between 'webglcontextlost' and 'webglcontextrestored'. Rendering
+     * is paused meanwhile; resources are re-uploaded lazily after restore.
+     * @type {boolean}
+     */
+    this.contextLost = false;
+
+    this._onContextLost = this._handleContextLost.bind(this);
+    this._onContextRestored = this._handleContextRestored.bind(this);
+    this.canvas.addEventListener?.('webglcontextlost', this._onContextLost, false);
+    this.canvas.addEventListener?.('webglcontextrestored', this._onContextRestored, false);
+
+    /** @type {RenderTarget|null} Target receiving draws (null = canvas). */
+    this._currentRenderTarget = null;
+
+    // Canvas viewport and scissor rectangles, in drawing buffer pixels from
+    // the bottom-left corner. Both follow setSize; render targets always use
+    // their whole area.
+    this._viewport = { x: 0, y: 0, width: this._width, height: this._height };
+    this._scissor = { x: 0, y: 0, width: this._width, height: this._height };
+    this._scissorTest = false;
 
     // Rendering preferences
     this.clearColor = options.clearColor || [0.0, 0.0, 0.0, 1.0];
     this.autoClear = options.autoClear !== undefined ? options.autoClear : true;
 
+    /**
+     * GPU memory budget in bytes for geometries and textures (see info.memory).
+     * When a frame ends above it, the least recently used geometries and
+     * image textures not drawn that frame are freed, dispatching an 'evict'
+     * event for each, and are uploaded again on their next draw.
+     * Render targets and programs are never evicted.
+     * @type {number}
+     */
+    this.memoryBudget = options.memoryBudget ?? Infinity;
+
+    /**
+     * Tone mapping operator (`*ToneMapping` constant) applied when drawing to the canvas.
+     * Tone mapping and sRGB output draw the frame through an offscreen target;
+     * on WebGL1 the canvas `antialias` option has no effect then.
+     * @type {number}
+     */
+    this.toneMapping = options.toneMapping ?? NoToneMapping;
+
+    /** @type {number} Exposure multiplier applied before tone mapping. */
+    this.toneMappingExposure = options.toneMappingExposure ?? 1.0;
+
+    /**
+     * Color space of the canvas output (SRGBColorSpace or LinearSRGBColorSpace).
+     * Defaults to linear, which writes shader output unchanged.
+     * @type {string}
+     */
+    this.outputColorSpace = options.outputColorSpace ?? LinearSRGBColorSpace;
+
+    // Internal HDR target + final pass used when tone mapping or encoding to sRGB
+    this._outputTarget = null;
+    this._outputPass = null;
+
+    /** @type {WebGLShadowMap} Shadow map settings and rendering. */
+    this.shadowMap = new WebGLShadowMap(this);
+
+    /** @type {WebGLLights} Light uniforms of the current frame. */
+    this._lights = new WebGLLights();
+
+    /** @type {WebGLPrograms} Built-in programs for engine materials. */
+    this._programs = new WebGLPrograms(this);
+
+    /** @type {WebGLEnvironment} Prefiltered scene.environment for image-based lighting. */
+    this._environment = new WebGLEnvironment(this);
+
+    /** @type {WebGLBackground} Clears to and draws scene.background. */
+    this._background = new WebGLBackground(this);
+
+    /** @type {WebGLPicker} Id-buffer object picking (pick / pickRect). */
+    this._picker = new WebGLPicker(this);
+
+    /** @type {Camera|null} Camera of the frame being rendered (view matrix source). */
+    this._currentCamera = null;
+
+    /** @type {Fog|FogExp2|null} Fog of the scene being rendered. */
+    this._currentFog = null;
+
+    // Per-draw matrix scratch
+    this._modelViewMatrix = new Float32Array(16);
+    this._normalMatrix = new Float32Array(9);
+
+    /** @type {WebGLInfo} Draw counts, GPU memory estimates and render step timings. */
+    this.info = new WebGLInfo();
+
+    /**
+     * Nesting depth of the renderer's own passes (shadow maps, full-screen
+     * quads). Their draws go to info.internal, not info.render / drawCalls.
+     * @type {number}
+     */
+    this._internalDraws = 0;
+
     // Cache & performance
     this._currentProgram = null;
     this.drawCalls = 0;
+    this._programIds = new WeakMap();
+    this._programIdCount = 0;
+
+    // Visibility culling
+    this._frustum = new Frustum();
+    this.culledObjects = 0;
 
     if (this.debug) console.log('[WebGLRenderer] Created');
   }
@@ -189,13 +334,16 @@ class WebGLRenderer extends Renderer {
 
     // Viewport setup
     this.setSize(this._width, this._height);
-    this.gl.viewport(0, 0, this._width, this._height);
 
-    // Default GL state
-    this.gl.enable(this.gl.DEPTH_TEST);
-    this.gl.depthFunc(this.gl.LEQUAL);
-    this.gl.enable(this.gl.CULL_FACE);
-    this.gl.cullFace(this.gl.BACK);
+    // Vertex array objects (WebGL2 core / OES extension / none)
+    this._vertexArrays = this._initVertexArrays();
+    this._enabledAttributes = new Set();
+
+    // Instanced drawing (WebGL2 core / ANGLE extension / none)
+    this._instancing = this._initInstancing();
+
+    // Default GL state (depth test, LEQUAL, back-face culling, no blending)
+    this.state = new WebGLState(this.gl);
 
     // Default clear color
     this.gl.clearColor(...this.clearColor);
@@ -204,117 +352,832 @@ class WebGLRenderer extends Renderer {
     if (this.debug) console.log('[WebGLRenderer] Initialized WebGL context');
   }
 
+  /**
+   * Resizes the canvas drawing buffer and resets the viewport and scissor
+   * to cover all of it. Listeners such as an EffectComposer receive a
+   * 'resize' event.
+   * @param {number} width
+   * @param {number} height
+   */
+  setSize(width, height) {
+    this.canvas.width = width;
+    this.canvas.height = height;
+    Object.assign(this._viewport, { x: 0, y: 0, width, height });
+    Object.assign(this._scissor, { x: 0, y: 0, width, height });
+    if (this.gl && !this._currentRenderTarget) this._applyViewport(null);
+    super.setSize(width, height);
+  }
+
+  /**
+   * Sets the canvas rectangle render() draws into, in drawing buffer pixels
+   * with (0, 0) at the bottom-left corner. Clears are not limited by the
+   * viewport; enable the scissor test for that.
+   * @param {number} x
+   * @param {number} y
+   * @param {number} width
+   * @param {number} height
+   */
+  setViewport(x, y, width, height) {
+    Object.assign(this._viewport, { x, y, width, height });
+    if (this.gl && !this._currentRenderTarget) this._applyViewport(null);
+  }
+
+  /** @returns {{x: number, y: number, width: number, height: number}} Canvas viewport. */
+  getViewport() {
+    return { ...this._viewport };
+  }
+
+  /**
+   * Sets the canvas rectangle outside which draws and clears are discarded
+   * while the scissor test is enabled. Same units as setViewport.
+   * @param {number} x
+   * @param {number} y
+   * @param {number} width
+   * @param {number} height
+   */
+  setScissor(x, y, width, height) {
+    Object.assign(this._scissor, { x, y, width, height });
+    if (this.gl && !this._currentRenderTarget) this._applyViewport(null);
+  }
+
+  /** @returns {{x: number, y: number, width: number, height: number}} Canvas scissor rectangle. */
+  getScissor() {
+    return { ...this._scissor };
+  }
+
+  /**
+   * Enables or disables the scissor test on the canvas.
+   * @param {boolean} enabled
+   */
+  setScissorTest(enabled) {
+    this._scissorTest = !!enabled;
+    if (this.gl && !this._currentRenderTarget) this._applyViewport(null);
+  }
+
+  /** @returns {boolean} Whether the canvas scissor test is enabled. */
+  getScissorTest() {
+    return this._scissorTest;
+  }
+
+  /**
+   * Sends the viewport and scissor state of a draw destination to GL:
+   * the canvas rectangles for null, the whole area for a render target.
+   * The internal HDR output target stands in for the canvas: it has the
+   * drawing buffer's size (see _getOutputTarget) and takes the canvas
+   * rectangles, so every view of a frame draws into its own sub-rectangle.
+   * @param {RenderTarget|null} target
+   * @private
+   */
+  _applyViewport(target) {
+    const gl = this.gl;
+    if (target && target !== this._outputTarget) {
+      gl.viewport(0, 0, target.width, target.height);
+      gl.disable(gl.SCISSOR_TEST);
+      return;
+    }
+
+    const { x, y, width, height } = this._viewport;
+    gl.viewport(x, y, width, height);
+    if (this._scissorTest) {
+      const scissor = this._scissor;
+      gl.enable(gl.SCISSOR_TEST);
+      gl.scissor(scissor.x, scissor.y, scissor.width, scissor.height);
+    } else {
+      gl.disable(gl.SCISSOR_TEST);
+    }
+  }
+
+  /**
+   * Clears the active render target (or the canvas).
+   * @param {boolean} [color=true]
+   * @param {boolean} [depth=true]
+   * @param {boolean} [stencil=false]
+   */
+  clear(color = true, depth = true, stencil = false) {
+    const gl = this.gl;
+    let bits = 0;
+    if (color) bits |= gl.COLOR_BUFFER_BIT;
+    if (depth) {
+      bits |= gl.DEPTH_BUFFER_BIT;
+      this.state.setDepthMask(true); // a disabled depth mask would block the clear
+    }
+    if (stencil) bits |= gl.STENCIL_BUFFER_BIT;
+    if (bits) gl.clear(bits);
+  }
+
+  // --------------------------------------------------
+  // Context Loss
+  // --------------------------------------------------
+
+  /**
+   * 'webglcontextlost': pauses rendering until the browser restores the
+   * context, and notifies 'contextlost' listeners.
+   * @param {Event} event
+   * @private
+   */
+  _handleContextLost(event) {
+    event.preventDefault?.(); // without this the browser never restores the context
+    this.contextLost = true;
+    if (this.debug) console.warn('[WebGLRenderer] Context lost');
+    this.dispatchEvent({ type: 'contextlost' });
+  }
+
+  /**
+   * 'webglcontextrestored': forgets every handle of the lost context,
+   * re-initializes GL state and notifies 'contextrestored' listeners.
+   * Geometries, textures, programs and render targets are uploaded again
+   * the next time they are used.
+   * @private
+   */
+  _handleContextRestored() {
+    if (this.destroyed) return;
+    this._dropGPUResources();
+    this.contextLost = false;
+    this.initialized = false;
+    this.isWebGL2 = false;
+
+    // init() resizes, which resets the viewport and scissor: keep the user's
+    const viewport = this.getViewport();
+    const scissor = this.getScissor();
+    this.init();
+    this.setViewport(viewport.x, viewport.y, viewport.width, viewport.height);
+    this.setScissor(scissor.x, scissor.y, scissor.width, scissor.height);
+    if (this.debug) console.log('[WebGLRenderer] Context restored');
+    this.dispatchEvent({ type: 'contextrestored' });
+  }
+
+  /**
+   * Clears the registries and every GL handle stored on resources, without
+   * deleting anything: the handles belong to a context that no longer exists.
+   * @private
+   */
+  _dropGPUResources() {
+    for (const geometry of this._geometries.keys()) {
+      if (geometry._gpuRef === this._geometries.get(geometry)) geometry._gpuRef = null;
+    }
+
+    for (const material of this._materials.keys()) {
+      dropProgramHandle(material);
+      for (const texture of Object.values(material.textures ?? {})) dropTextureHandle(texture);
+    }
+
+    for (const [texture, entry] of this._textures) {
+      texture.removeEventListener?.('dispose', entry.onDispose);
+      dropTextureHandle(texture);
+    }
+
+    for (const [target, gpu] of this._renderTargets) {
+      target.removeEventListener('dispose', gpu.onDispose);
+      for (const texture of [...target.textures, target.depthTexture]) {
+        if (texture) dropTextureHandle(texture);
+      }
+    }
+
+    this._geometries.clear();
+    this._materials.clear();
+    this._textures.clear();
+    this._renderTargets.clear();
+    this._instances = new WeakMap();
+
+    this._programs.reset();
+    this._environment.reset();
+    this._currentRenderTarget = null;
+    this._currentProgram = null;
+  }
+
   // --------------------------------------------------
   // Frame Rendering Pipeline
   // --------------------------------------------------
 
   render(scene, camera) {
     if (!this.initialized) this.init();
-    if (this.destroyed || !scene || !camera) return;
+    if (this.destroyed || this.contextLost || !scene || !camera) return;
 
-    const gl = this.gl;
+    this._beginFrame();
+    this._renderView(scene, camera);
+    this._endFrame();
+  }
 
-    // Step 1 — Clear frame
-    if (this.autoClear) gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+  /**
+   * Renders one scene from several cameras into rectangles of the canvas,
+   * as one frame: resources are uploaded once and shared, shadow maps are
+   * drawn once, and info counts the views together. Each view is scissored
+   * to its rectangle, so clears and backgrounds stay inside it. Camera
+   * aspect ratios are left to the caller.
+   *
+   *   renderer.renderViews(scene, [
+   *     { camera: top,  x: 0,     y: h / 2, width: w / 2, height: h / 2 },
+   *     { camera: perspective, x: w / 2, y: 0, width: w / 2, height: h / 2 }
+   *   ]);
+   *
+   * The canvas viewport, scissor and scissor test are restored afterwards.
+   * @param {Scene} scene
+   * @param {Array<{camera: Camera, x: number, y: number, width: number, height: number}>} views -
+   *   Rectangles in drawing buffer pixels from the bottom-left corner.
+   */
+  renderViews(scene, views) {
+    if (!this.initialized) this.init();
+    if (this.destroyed || this.contextLost || !scene || !views?.length) return;
+
+    const viewport = this.getViewport();
+    const scissor = this.getScissor();
+    const scissorTest = this._scissorTest;
+    const shadowAutoUpdate = this.shadowMap.autoUpdate;
+    const target = this._currentRenderTarget;
+    if (target) this.setRenderTarget(null);
+
+    this._beginFrame();
+    for (const { camera, x, y, width, height } of views) {
+      if (!camera) continue;
+      this.setViewport(x, y, width, height);
+      this.setScissor(x, y, width, height);
+      this.setScissorTest(true);
+      this._renderView(scene, camera);
+      // Shadow maps do not depend on the camera: keep the first view's
+      this.shadowMap.autoUpdate = false;
+    }
+    this.shadowMap.autoUpdate = shadowAutoUpdate;
+
+    this.setViewport(viewport.x, viewport.y, viewport.width, viewport.height);
+    this.setScissor(scissor.x, scissor.y, scissor.width, scissor.height);
+    this.setScissorTest(scissorTest);
+    if (target) this.setRenderTarget(target);
+    this._endFrame();
+  }
+
+  /**
+   * Draws a scene from one camera into the current target or canvas
+   * viewport: steps 1–7 of the pipeline.
+   * @param {Scene} scene
+   * @param {Camera} camera
+   * @private
+   */
+  _renderView(scene, camera) {
+    // Canvas output with tone mapping / sRGB: draw linear HDR offscreen first
+    const outputTarget = this._currentRenderTarget ? null : this._getOutputTarget();
+    if (outputTarget) this.setRenderTarget(outputTarget);
+
+    const info = this.info;
+    let time = performance.now();
+
+    // Step 1 — Clear frame (to the background color, if any)
+    this._background.clear(scene);
+    time = info.endStep('clear', time);
 
     // Step 2 — Scene pre-render hook
     scene.preRender?.(this);
+    time = info.endStep('preRender', time);
 
     // Step 3 — Update camera matrices
     camera.updateMatrixWorld?.();
-
-    // Step 4 — Collect visible meshes
-    const visibleMeshes = [];
+    this._currentCamera = camera;
+    this._currentFog = scene.fog ?? null;
+    time = info.endStep('camera', time);
+
+    // Step 4 — Collect visible meshes, rejecting those outside the frustum.
+    //          Shadow casters are gathered before culling: they may be off
+    //          screen and still shadow what is visible. With
+    //          scene.overrideMaterial set, every mesh is queued with it.
+    const frustum = this._updateFrustum(camera);
+    const overrideMaterial = scene.overrideMaterial ?? null;
+    const opaqueQueue = [];
+    const transparentQueue = [];
+    const lights = [];
+    const shadowLights = [];
+    const shadowCasters = [];
     scene.traverse(node => {
       if (node.visible === false) return;
-      if (node.type === 'Mesh' || node.isMesh) visibleMeshes.push(node);
+      if (node.isLight) {
+        lights.push(node);
+        if (node.castShadow && node.shadow?.isLightShadow) shadowLights.push(node);
+        return;
+      }
+      if (node.type === 'Mesh' || node.isMesh) {
+        if (node.castShadow) shadowCasters.push(node);
+        if (frustum && node.frustumCulled !== false && !frustum.intersectsObject(node)) {
+          this.culledObjects++;
+          info.render.culled++;
+          return;
+        }
+        const material = overrideMaterial ?? node.material;
+        const item = this._createRenderItem(node, material, camera, opaqueQueue.length + transparentQueue.length);
+        if (this._isTransparent(material)) transparentQueue.push(item);
+        else opaqueQueue.push(item);
+      }
     });
+    time = info.endStep('collect', time);
 
-    // Step 5 — Sort by material/program to reduce pipeline switches
-    visibleMeshes.sort((a, b) => {
-      const ma = a.material?.program || a.material?.type;
-      const mb = b.material?.program || b.material?.type;
-      return ma === mb ? 0 : ma > mb ? 1 : -1;
-    });
+    // Step 5 — Sort queues: opaque front-to-back grouped by program,
+    //          transparent back-to-front so blending composites correctly
+    opaqueQueue.sort(opaqueSort);
+    transparentQueue.sort(transparentSort);
 
-    // Step 6 — Draw loop
-    this.drawCalls = 0;
     this._currentProgram = null;
-    for (const mesh of visibleMeshes) {
-      this.uploadGeometry(mesh.geometry);
-      this.uploadMaterial(mesh.material);
-      mesh.onBeforeRender?.(this);
-      this.drawMesh(mesh);
-      mesh.onAfterRender?.(this);
-    }
+
+    // Shadow maps, then light uniforms (shadowed lights first in each array)
+    this._internalDraws++;
+    this.shadowMap.render(shadowLights, shadowCasters);
+    this._internalDraws--;
+    this._lights.setup(lights, this.shadowMap);
+    this._environment.setup(scene);
+    time = info.endStep('prepare', time);
+
+    // Step 6 — Draw loop (background, opaque, then transparent)
+    this._background.render(scene, camera);
+    this._renderQueue(opaqueQueue);
+    this._renderQueue(transparentQueue);
+    time = info.endStep('draw', time);
 
     // Step 7 — Scene post-render
     scene.postRender?.(this);
 
+    // Resolve the HDR image to the canvas
+    if (outputTarget) this._resolveOutput(outputTarget);
+    info.endStep('postRender', time);
+  }
+
+  /**
+   * Tone-maps / encodes the output target onto the canvas. Both have the
+   * drawing buffer's size, so the pass covers all of it and copies pixels
+   * 1:1: within the scissor rectangle while the scissor test is on (as
+   * every draw and clear of the view was), everywhere otherwise.
+   * @param {RenderTarget} outputTarget
+   * @private
+   */
+  _resolveOutput(outputTarget) {
+    const viewport = { ...this._viewport };
+    Object.assign(this._viewport, { x: 0, y: 0, width: outputTarget.width, height: outputTarget.height });
+    this.setRenderTarget(null);
+    this._outputPass.renderToScreen = true;
+    this._outputPass.render(this, null, outputTarget);
+
+    Object.assign(this._viewport, viewport);
+    this._applyViewport(null);
+  }
+
+  /**
+   * Frame bookkeeping before the first view: per-frame counters restart.
+   * @private
+   */
+  _beginFrame() {
+    if (this.info.autoReset) this.info.reset();
+    this.drawCalls = 0;
+    this.culledObjects = 0;
+  }
+
+  /**
+   * Frame bookkeeping after the last view: memory stats, eviction over
+   * the budget, frame counters.
+   * @private
+   */
+  _endFrame() {
+    const info = this.info;
+    this._updateMemoryInfo();
+    const { geometryBytes, textureBytes } = info.memory;
+    if (geometryBytes + textureBytes > this.memoryBudget) this._evictToBudget();
+
     this.frameCount++;
+    info.render.frame++;
     if (this.debug) this._logStats();
   }
 
+  /**
+   * Recounts live GPU resources and their estimated bytes into info.memory.
+   * @private
+   */
+  _updateMemoryInfo() {
+    const memory = this.info.memory;
+
+    memory.geometries = this._geometries.size;
+    memory.geometryBytes = 0;
+    for (const gpu of this._geometries.values()) memory.geometryBytes += getGeometryByteSize(gpu);
+
+    memory.textures = this._textures.size;
+    memory.textureBytes = 0;
+    for (const entry of this._textures.values()) memory.textureBytes += entry.bytes;
+    for (const gpu of this._renderTargets.values()) {
+      memory.textures += gpu.textureCount;
+      memory.textureBytes += gpu.bytes;
+    }
+
+    const programs = [...this._programs.programs];
+    for (const material of this._materials.keys()) {
+      if (material.program) programs.push(material);
+    }
+    memory.programs = programs.length;
+    memory.programBytes = 0;
+    for (const program of programs) {
+      memory.programBytes += (program.vertexShader?.length ?? 0) + (program.fragmentShader?.length ?? 0);
+    }
+
+    memory.totalBytes = memory.geometryBytes + memory.textureBytes + memory.programBytes;
+  }
+
+  /**
+   * Frees least recently used geometries and image textures until
+   * info.memory is back under memoryBudget. Resources used this frame stay.
+   * @private
+   */
+  _evictToBudget() {
+    const gl = this.gl;
+    const memory = this.info.memory;
+
+    const candidates = [];
+    for (const [geometry, gpu] of this._geometries) {
+      if (gpu.lastUsed < this.frameCount) candidates.push({ kind: 'geometry', resource: geometry, lastUsed: gpu.lastUsed });
+    }
+    for (const [texture, entry] of this._textures) {
+      if (entry.lastUsed < this.frameCount) candidates.push({ kind: 'texture', resource: texture, lastUsed: entry.lastUsed });
+    }
+    candidates.sort((a, b) => a.lastUsed - b.lastUsed);
+
+    for (const { kind, resource } of candidates) {
+      if (memory.geometryBytes + memory.textureBytes <= this.memoryBudget) break;
+
+      let bytes;
+      if (kind === 'geometry') {
+        bytes = getGeometryByteSize(this._geometries.get(resource));
+        this._deleteGeometry(resource);
+        memory.geometries--;
+        memory.geometryBytes -= bytes;
+      } else {
+        const entry = this._textures.get(resource);
+        bytes = entry.bytes;
+        resource.removeEventListener?.('dispose', entry.onDispose);
+        if (resource._glTexture) gl.deleteTexture(resource._glTexture);
+        resource._glTexture = null;
+        resource.uploaded = false;
+        this._textures.delete(resource);
+        memory.textures--;
+        memory.textureBytes -= bytes;
+      }
+      memory.totalBytes -= bytes;
+
+      if (this.debug) console.log(`[WebGLRenderer] Evicted ${kind}`, resource.name || resource.uuid, bytes);
+      this.dispatchEvent({ type: 'evict', kind, resource, bytes });
+    }
+  }
+
+  /**
+   * Returns the internal HDR target when canvas output needs tone mapping
+   * or sRGB encoding, or null when shader output can go straight to the canvas.
+   * It has the size of the drawing buffer, so views of any size share it
+   * (see _applyViewport and _resolveOutput).
+   * Offscreen renders skip this: an OutputPass handles them at the end of a chain.
+   *
+   * The target is half float where that is renderable, 8-bit otherwise
+   * (colors then clamp at 1 before tone mapping). It is multisampled on
+   * WebGL2 when the canvas was created with `antialias`; WebGL1 has no
+   * multisampled targets, so output there is not antialiased.
+   * @returns {RenderTarget|null}
+   * @private
+   */
+  _getOutputTarget() {
+    if (this.toneMapping === NoToneMapping && this.outputColorSpace !== SRGBColorSpace) return null;
+
+    const { width, height } = this.getSize();
+    if (!this._outputTarget) {
+      this._outputTarget = new RenderTarget(width, height, {
+        type: this._isHalfFloatRenderable() ? HalfFloatType : UnsignedByteType,
+        samples: this.isWebGL2 && this.glOptions.antialias ? 4 : 0
+      });
+      this._outputPass = new OutputPass();
+    }
+    this._outputTarget.setSize(width, height);
+    return this._outputTarget;
+  }
+
+  /**
+   * Whether half-float color attachments can be rendered to: WebGL2 needs
+   * EXT_color_buffer_float (or _half_float), WebGL1 both
+   * OES_texture_half_float and EXT_color_buffer_half_float.
+   * @returns {boolean}
+   * @private
+   */
+  _isHalfFloatRenderable() {
+    const gl = this.gl;
+    const renderable = this.isWebGL2
+      ? !!(gl.getExtension('EXT_color_buffer_float') || gl.getExtension('EXT_color_buffer_half_float'))
+      : !!(gl.getExtension('OES_texture_half_float') && gl.getExtension('EXT_color_buffer_half_float'));
+    if (!renderable) {
+      console.warn('[WebGLRenderer] Half-float render targets unsupported; tone mapping uses an 8-bit output target.');
+    }
+    return renderable;
+  }
+
+  /**
+   * Draws every item of a sorted render queue.
+   * @param {Array<object>} queue
+   * @private
+   */
+  _renderQueue(queue) {
+    for (const { mesh, material } of queue) {
+      if (!material) continue;
+      this.uploadGeometry(mesh.geometry);
+      this.uploadMaterial(material, mesh);
+      mesh.onBeforeRender?.(this);
+      material.onBeforeRender?.(this, mesh);
+      this.drawMesh(mesh, material);
+      mesh.onAfterRender?.(this);
+    }
+  }
+
+  /**
+   * Builds the sort record for a visible mesh.
+   * Depth is the distance in front of the camera along its view axis.
+   * @param {Mesh} mesh
+   * @param {Material} material - Material it is drawn with (its own or the scene's override).
+   * @param {Camera} camera
+   * @param {number} index - Traversal order, used as a stable tie-breaker.
+   * @returns {{mesh: Mesh, material: Material, renderOrder: number, program: number, depth: number, index: number}}
+   * @private
+   */
+  _createRenderItem(mesh, material, camera, index) {
+    let depth = 0;
+    const v = camera.viewMatrix?.elements;
+    const w = mesh.matrixWorld?.elements;
+    if (v && w) depth = -(v[2] * w[12] + v[6] * w[13] + v[10] * w[14] + v[14]);
+
+    return {
+      mesh,
+      material,
+      renderOrder: mesh.renderOrder || 0,
+      program: this._getProgramId(material),
+      depth,
+      index
+    };
+  }
+
+  /**
+   * Whether a material must be drawn in the transparent (blended) queue.
+   * @param {Material} material
+   * @returns {boolean}
+   * @private
+   */
+  _isTransparent(material) {
+    if (!material) return false;
+    return material.transparent === true || (material.opacity !== undefined && material.opacity < 1);
+  }
+
+  /**
+   * Returns a stable numeric id for a material's GPU program so meshes
+   * sharing a program can be grouped (0 if not yet compiled).
+   * @param {Material} material
+   * @returns {number}
+   * @private
+   */
+  _getProgramId(material) {
+    const program = material?._gpuRef?.program?.program ?? material?.program;
+    if (!program) return 0;
+    let id = this._programIds.get(program);
+    if (id === undefined) {
+      id = ++this._programIdCount;
+      this._programIds.set(program, id);
+    }
+    return id;
+  }
+
+  /**
+   * Rebuilds the culling frustum from the camera's projection and view matrices.
+   * Returns null (culling disabled) when the camera does not expose them.
+   * @param {Camera} camera
+   * @returns {Frustum|null}
+   * @private
+   */
+  _updateFrustum(camera) {
+    if (!camera.projectionMatrix?.elements || !camera.viewMatrix?.elements) return null;
+    return this._frustum.setFromCamera(camera);
+  }
+
   // --------------------------------------------------
   // Geometry Upload
   // --------------------------------------------------
 
   uploadGeometry(geometry) {
     if (!geometry || geometry.disposed) return;
-    if (this._geometries.has(geometry)) return;
 
-    const gl = this.gl;
-    const gpu = {};
+    let gpu = this._geometries.get(geometry);
+    if (gpu && !geometry._needsUpdate) return;
 
-    // VBO creation
-    if (geometry.vertices?.length) {
-      gpu.positionBuffer = gl.createBuffer();
-      gl.bindBuffer(gl.ARRAY_BUFFER, gpu.positionBuffer);
-      gl.bufferData(gl.ARRAY_BUFFER, geometry.vertices, gl.STATIC_DRAW);
+    const gl = this.gl;
+    const isNew = !gpu;
+    if (isNew) gpu = { buffers: new Map(), index: null, vaos: new Map(), vaoVersion: 0, layoutVersion: -1, lastUsed: this.frameCount };
+
+    // Group pending ranges by data source: interleaved attributes share one buffer
+    const sources = new Map();
+    for (const [name, attribute] of Object.entries(geometry.attributes || {})) {
+      const source = attribute.buffer ?? attribute;
+      sources.set(source, mergeRanges(sources.get(source), geometry.getUpdateRanges(name)));
     }
 
-    if (geometry.normals?.length) {
-      gpu.normalBuffer = gl.createBuffer();
-      gl.bindBuffer(gl.ARRAY_BUFFER, gpu.normalBuffer);
-      gl.bufferData(gl.ARRAY_BUFFER, geometry.normals, gl.STATIC_DRAW);
+    // Release buffers whose attribute was removed or replaced
+    for (const [source, entry] of gpu.buffers) {
+      if (!sources.has(source)) {
+        gl.deleteBuffer(entry.buffer);
+        gpu.buffers.delete(source);
+      }
     }
 
-    if (geometry.uvs?.length) {
-      gpu.uvBuffer = gl.createBuffer();
-      gl.bindBuffer(gl.ARRAY_BUFFER, gpu.uvBuffer);
-      gl.bufferData(gl.ARRAY_BUFFER, geometry.uvs, gl.STATIC_DRAW);
+    // Vertex buffers (only dirty ones are refreshed after the first upload)
+    for (const [source, ranges] of sources) {
+      if (!source.array?.length) continue;
+      let entry = gpu.buffers.get(source);
+      if (!entry) {
+        entry = this._createBufferEntry();
+        gpu.buffers.set(source, entry);
+      } else if (ranges === undefined) continue;
+      this._uploadBuffer(entry, gl.ARRAY_BUFFER, source.array, source.usage ?? geometry.usage, entry.byteLength ? ranges : null);
     }
 
-    if (geometry.indices?.length) {
-      gpu.indexBuffer = gl.createBuffer();
-      gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, gpu.indexBuffer);
-      gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, geometry.indices, gl.STATIC_DRAW);
-      gpu.indexCount = geometry.indices.length;
-      gpu.indexType = geometry.indices instanceof Uint32Array ? gl.UNSIGNED_INT : gl.UNSIGNED_SHORT;
+    // Index buffer
+    const indices = geometry.indices;
+    if (indices?.length) {
+      const ranges = geometry.getUpdateRanges('indices');
+      if (!gpu.index) {
+        gpu.index = this._createBufferEntry();
+        this._deleteVertexArrays(gpu);
+      }
+      if (gpu.index.byteLength === 0 || ranges !== undefined) {
+        this._uploadBuffer(gpu.index, gl.ELEMENT_ARRAY_BUFFER, indices, geometry.usage, gpu.index.byteLength ? ranges : null);
+      }
+      gpu.indexCount = indices.length;
+      gpu.indexType = indices instanceof Uint32Array ? gl.UNSIGNED_INT : gl.UNSIGNED_SHORT;
     } else {
-      gpu.indexCount = geometry.vertices ? geometry.vertices.length / 3 : 0;
+      if (gpu.index) {
+        gl.deleteBuffer(gpu.index.buffer);
+        gpu.index = null;
+        this._deleteVertexArrays(gpu);
+      }
+      gpu.indexCount = geometry.attributes?.position?.count ?? 0;
       gpu.indexType = null;
     }
 
     gl.bindBuffer(gl.ARRAY_BUFFER, null);
     gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, null);
 
-    this._geometries.set(geometry, gpu);
-    geometry._gpuRef = gpu;
+    // Attributes were added, replaced or removed: cached VAOs describe the old layout
+    if (gpu.layoutVersion !== geometry._layoutVersion) {
+      this._deleteVertexArrays(gpu);
+      gpu.layoutVersion = geometry._layoutVersion;
+    }
 
-    if (this.debug) console.log('[WebGLRenderer] Geometry uploaded', geometry.name || geometry.uuid);
+    geometry.clearUpdateRanges?.();
+
+    if (isNew) {
+      gpu.dispose = () => this._deleteGeometry(geometry); // called by geometry.dispose()
+      this._geometries.set(geometry, gpu);
+      geometry._gpuRef = gpu;
+      if (this.debug) console.log('[WebGLRenderer] Geometry uploaded', geometry.name || geometry.uuid);
+    }
+  }
+
+  /**
+   * Releases the buffers and VAOs of a geometry.
+   * @param {Geometry} geometry
+   * @private
+   */
+  _deleteGeometry(geometry) {
+    const gpu = this._geometries.get(geometry);
+    if (!gpu) return;
+    const gl = this.gl;
+    for (const entry of gpu.buffers.values()) gl.deleteBuffer(entry.buffer);
+    if (gpu.index) gl.deleteBuffer(gpu.index.buffer);
+    this._deleteVertexArrays(gpu);
+    this._geometries.delete(geometry);
+    if (geometry._gpuRef === gpu) geometry._gpuRef = null;
+  }
+
+  /**
+   * @returns {{buffer: WebGLBuffer, byteLength: number, usage: number|null}}
+   * @private
+   */
+  _createBufferEntry() {
+    return { buffer: this.gl.createBuffer(), byteLength: 0, usage: null };
+  }
+
+  /**
+   * Fills, grows or partially updates one GPU buffer.
+   *
+   * Storage is reallocated with bufferData only when the array outgrows it
+   * (or the usage hint changed); otherwise dirty ranges are written with
+   * bufferSubData.
+   *
+   * @param {object} entry - Buffer entry ({ buffer, byteLength, usage }).
+   * @param {number} target - gl.ARRAY_BUFFER or gl.ELEMENT_ARRAY_BUFFER.
+   * @param {TypedArray} data
+   * @param {number} usage - StaticDrawUsage / DynamicDrawUsage / StreamDrawUsage.
+   * @param {Array<{start: number, count: number}>|null} ranges - Null uploads everything.
+   * @private
+   */
+  _uploadBuffer(entry, target, data, usage, ranges) {
+    const gl = this.gl;
+    usage = usage ?? gl.STATIC_DRAW;
+    gl.bindBuffer(target, entry.buffer);
+
+    if (data.byteLength > entry.byteLength || entry.usage !== usage) {
+      gl.bufferData(target, data, usage);
+      entry.byteLength = data.byteLength;
+      entry.usage = usage;
+    } else if (ranges) {
+      for (const { start, count } of ranges) {
+        gl.bufferSubData(target, start * data.BYTES_PER_ELEMENT, data.subarray(start, start + count));
+      }
+    } else {
+      gl.bufferSubData(target, 0, data);
+    }
+  }
+
+  /**
+   * Deletes every VAO cached on a geometry or instance GPU entry.
+   * The version bump tells instanced meshes sharing the geometry to rebuild theirs.
+   * @param {object} gpu
+   * @private
+   */
+  _deleteVertexArrays(gpu) {
+    gpu.vaos.forEach(vao => this._vertexArrays?.delete(vao));
+    gpu.vaos.clear();
+    gpu.vaoVersion++;
+  }
+
+  /**
+   * Uploads the per-instance buffers of an InstancedMesh, sending only the
+   * ranges touched by setMatrixAt()/setColorAt() since the last frame.
+   * @param {InstancedMesh} mesh
+   * @returns {object} The instance GPU entry.
+   * @private
+   */
+  _uploadInstances(mesh) {
+    const gl = this.gl;
+
+    let gpu = this._instances.get(mesh);
+    if (!gpu) {
+      gpu = { buffers: new Map(), vaos: new Map(), vaoVersion: 0, geometryGPU: null, geometryVaoVersion: -1 };
+      this._instances.set(mesh, gpu);
+    }
+
+    for (const name of INSTANCE_ATTRIBUTES) {
+      const attribute = mesh[name];
+      let entry = gpu.buffers.get(name);
+
+      if (!attribute) {
+        if (entry) {
+          gl.deleteBuffer(entry.buffer);
+          gpu.buffers.delete(name);
+          this._deleteVertexArrays(gpu);
+        }
+        continue;
+      }
+
+      if (!entry) {
+        entry = this._createBufferEntry();
+        gpu.buffers.set(name, entry);
+        this._deleteVertexArrays(gpu);
+      }
+
+      // A replaced attribute (e.g. after copy()) is always sent in full
+      const ranges = entry.attribute === attribute ? mesh.getUpdateRanges(name) : null;
+      if (ranges === undefined) continue;
+      this._uploadBuffer(entry, gl.ARRAY_BUFFER, attribute.array, attribute.usage, entry.byteLength ? ranges : null);
+      entry.attribute = attribute;
+    }
+
+    // Instance numbers 0 … capacity - 1, read by programs declaring `instanceIndex` (picking)
+    const capacity = mesh.instanceMatrix.array.length / 16;
+    let indexEntry = gpu.buffers.get('instanceIndex');
+    if (indexEntry?.attribute.array.length !== capacity) {
+      if (!indexEntry) {
+        indexEntry = this._createBufferEntry();
+        gpu.buffers.set('instanceIndex', indexEntry);
+        this._deleteVertexArrays(gpu);
+      }
+      const array = Float32Array.from({ length: capacity }, (_, i) => i);
+      this._uploadBuffer(indexEntry, gl.ARRAY_BUFFER, array, null, null);
+      indexEntry.attribute = { array, itemSize: 1 };
+    }
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, null);
+    mesh.clearUpdateRanges();
+    return gpu;
   }
 
   // --------------------------------------------------
   // Material & Texture Upload
   // --------------------------------------------------
 
-  uploadMaterial(material) {
+  /**
+   * Compiles a material's program: its own GLSL for ShaderMaterials, or
+   * the built-in variant for engine materials such as StandardMaterial.
+   * @param {Material} material
+   * @param {Mesh} [mesh] - Mesh it will draw, to pick the matching built-in variant.
+   */
+  uploadMaterial(material, mesh = null) {
     if (!material) return;
     if (this._materials.has(material) && !material._needsUpdate) return;
 
     if (material.type === 'ShaderMaterial' || material.vertexShader) {
       if (typeof material.compile === 'function') material.compile(this.gl);
+    } else if (this._programs.isBuiltin(material)) {
+      this._programs.acquire(material, mesh);
     }
 
     this._materials.set(material, { uploadedAt: Date.now() });
@@ -323,13 +1186,32 @@ class WebGLRenderer extends Renderer {
     if (this.debug) console.log('[WebGLRenderer] Material uploaded', material.name || material.uuid);
   }
 
+  /**
+   * Uploads a texture's image, again after `needsUpdate` or an eviction,
+   * and marks it used this frame. Render target attachments are skipped:
+   * their storage belongs to the target.
+   * @param {Texture} texture
+   */
   uploadTexture(texture) {
-    if (!texture || texture.disposed) return;
-    if (this._textures.has(texture)) return;
+    if (!texture || texture.disposed || texture.isRenderTargetTexture) return;
+    const current = this._textures.get(texture);
+    if (current) current.lastUsed = this.frameCount;
+    if (current?.version === (texture.version ?? 0)) return;
 
     if (typeof texture.upload === 'function') {
       texture.upload(this.gl);
-      this._textures.set(texture, { uploadedAt: Date.now() });
+      let entry = current;
+      if (!entry) {
+        entry = {
+          uploadedAt: 0, version: 0, bytes: 0, lastUsed: this.frameCount,
+          onDispose: () => this._textures.delete(texture)
+        };
+        texture.addEventListener?.('dispose', entry.onDispose);
+        this._textures.set(texture, entry);
+      }
+      entry.uploadedAt = Date.now();
+      entry.version = texture.version ?? 0;
+      entry.bytes = estimateImageTextureBytes(texture);
       if (this.debug) console.log('[WebGLRenderer] Texture uploaded', texture.name);
     }
   }
@@ -343,94 +1225,718 @@ class WebGLRenderer extends Renderer {
     }
   }
 
+  // --------------------------------------------------
+  // Picking
+  // --------------------------------------------------
+
+  /**
+   * Returns the front-most object drawn at a canvas pixel, read back from
+   * an id buffer (see WebGLPicker).
+   * @param {Scene} scene
+   * @param {Camera} camera - Camera the canvas viewport is drawn with.
+   * @param {number} x - Drawing buffer pixels from the left edge of the canvas.
+   * @param {number} y - Drawing buffer pixels from the top edge of the canvas.
+   * @returns {{object: Mesh, instanceId: number|null, depth: number}|null}
+   */
+  pick(scene, camera, x, y) {
+    return this._picker.pick(scene, camera, x, y);
+  }
+
+  /**
+   * Returns every object drawn inside a canvas rectangle (marquee selection).
+   * @param {Scene} scene
+   * @param {Camera} camera
+   * @param {number} x - Left edge, from the left of the canvas.
+   * @param {number} y - Top edge, from the top of the canvas.
+   * @param {number} width
+   * @param {number} height
+   * @returns {Array<{object: Mesh, instanceId: number|null}>}
+   */
+  pickRect(scene, camera, x, y, width, height) {
+    return this._picker.pickRect(scene, camera, x, y, width, height);
+  }
+
+  // --------------------------------------------------
+  // Render Targets
+  // --------------------------------------------------
+
+  /**
+   * Redirects subsequent draws (and clears) into an offscreen target,
+   * or back to the canvas when called with null. A target is drawn over
+   * its whole area; the canvas uses setViewport / setScissor.
+   * @param {RenderTarget|null} target
+   */
+  setRenderTarget(target) {
+    if (!this.initialized) this.init();
+    const gl = this.gl;
+
+    // Leaving a target: resolve MSAA and refresh mipmaps its textures may be sampled with
+    const previous = this._currentRenderTarget;
+    if (previous && previous !== target) {
+      this._resolveRenderTarget(previous);
+      this._updateRenderTargetMipmaps(previous);
+    }
+
+    // Set up (or rebuild after a resize) before the target becomes current
+    if (target) {
+      const gpu = this._setupRenderTarget(target);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, gpu.msaaFramebuffer ?? gpu.framebuffer);
+    } else {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    }
+    this._currentRenderTarget = target || null;
+    this._applyViewport(this._currentRenderTarget);
+  }
+
+  /** @returns {RenderTarget|null} The active target (null = canvas). */
+  getRenderTarget() {
+    return this._currentRenderTarget;
+  }
+
+  /**
+   * Creates (or, after a resize, recreates) the framebuffer and attachments of a target,
+   * plus a multisampled framebuffer drawn into instead when `target.samples` > 0 on WebGL2.
+   * @param {RenderTarget} target
+   * @returns {object} GPU entry ({ framebuffer, renderbuffer, msaaFramebuffer, msaaRenderbuffers, version }).
+   * @private
+   */
+  _setupRenderTarget(target) {
+    let gpu = this._renderTargets.get(target);
+    if (gpu && gpu.version === target.version) return gpu;
+    if (gpu) this._releaseRenderTarget(target, gpu);
+
+    const gl = this.gl;
+    const isWebGL2 = this.isWebGL2;
+
+    gpu = {
+      framebuffer: gl.createFramebuffer(), renderbuffer: null, version: target.version, onDispose: null,
+      msaaFramebuffer: null, msaaRenderbuffers: [], textureCount: 0, bytes: 0
+    };
+    gl.bindFramebuffer(gl.FRAMEBUFFER, gpu.framebuffer);
+
+    // Color attachments (more than one requires WEBGL_draw_buffers on WebGL1)
+    const drawBuffersExt = !isWebGL2 && target.textures.length > 1 ? gl.getExtension('WEBGL_draw_buffers') : null;
+    if (!isWebGL2 && target.textures.length > 1 && !drawBuffersExt) {
+      console.warn('[WebGLRenderer] Multiple render targets need WEBGL_draw_buffers; only the first attachment is used.');
+    }
+
+    const attachments = [];
+    target.textures.forEach((texture, i) => {
+      if (i > 0 && !isWebGL2 && !drawBuffersExt) return;
+      this._enableRenderableType(texture.type);
+      const attachment = i === 0 ? gl.COLOR_ATTACHMENT0
+        : isWebGL2 ? gl.COLOR_ATTACHMENT0 + i : drawBuffersExt.COLOR_ATTACHMENT0_WEBGL + i;
+      this._allocateTargetTexture(texture, target);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, attachment, gl.TEXTURE_2D, texture._glTexture, 0);
+      attachments.push(attachment);
+      gpu.textureCount++;
+      gpu.bytes += getTextureByteSize(target.width, target.height, texture.format, texture.type, texture.generateMipmaps);
+    });
+
+    if (attachments.length > 1) {
+      if (isWebGL2) gl.drawBuffers(attachments);
+      else drawBuffersExt.drawBuffersWEBGL(attachments);
+    }
+
+    // Depth / stencil: sampleable texture or renderbuffer
+    if (target.depthTexture) {
+      if (!isWebGL2) gl.getExtension('WEBGL_depth_texture');
+      this._allocateTargetTexture(target.depthTexture, target);
+      const attachment = target.stencilBuffer ? gl.DEPTH_STENCIL_ATTACHMENT : gl.DEPTH_ATTACHMENT;
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, attachment, gl.TEXTURE_2D, target.depthTexture._glTexture, 0);
+      gpu.textureCount++;
+      gpu.bytes += getTextureByteSize(target.width, target.height, target.depthTexture.format, target.depthTexture.type);
+    } else if (target.depthBuffer) {
+      gpu.renderbuffer = gl.createRenderbuffer();
+      gpu.bytes += target.width * target.height * 4; // 24-bit depth (+ 8-bit stencil)
+      gl.bindRenderbuffer(gl.RENDERBUFFER, gpu.renderbuffer);
+      if (target.stencilBuffer) {
+        gl.renderbufferStorage(gl.RENDERBUFFER, isWebGL2 ? gl.DEPTH24_STENCIL8 : gl.DEPTH_STENCIL, target.width, target.height);
+        gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_STENCIL_ATTACHMENT, gl.RENDERBUFFER, gpu.renderbuffer);
+      } else {
+        gl.renderbufferStorage(gl.RENDERBUFFER, isWebGL2 ? gl.DEPTH_COMPONENT24 : gl.DEPTH_COMPONENT16, target.width, target.height);
+        gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, gpu.renderbuffer);
+      }
+      gl.bindRenderbuffer(gl.RENDERBUFFER, null);
+    }
+
+    const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+    if (status !== gl.FRAMEBUFFER_COMPLETE) {
+      console.warn(`[WebGLRenderer] Render target incomplete (status 0x${status?.toString(16)}).`);
+    }
+
+    if (isWebGL2 && target.samples > 0) this._setupMultisampleTarget(target, gpu, attachments);
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    // Free GPU objects when the target is disposed
+    gpu.onDispose = () => this._deleteRenderTarget(target);
+    target.addEventListener('dispose', gpu.onDispose);
+
+    this._renderTargets.set(target, gpu);
+    if (this.debug) console.log('[WebGLRenderer] Render target created', target.width, target.height);
+    return gpu;
+  }
+
+  /**
+   * Creates the multisampled framebuffer of a target (WebGL2): one MSAA
+   * renderbuffer per color attachment plus depth, resolved into the
+   * textures by _resolveRenderTarget.
+   * @param {RenderTarget} target
+   * @param {object} gpu - GPU entry being built.
+   * @param {number[]} attachments - Color attachment points of the texture framebuffer.
+   * @private
+   */
+  _setupMultisampleTarget(target, gpu, attachments) {
+    const gl = this.gl;
+    const samples = Math.min(target.samples, gl.getParameter(gl.MAX_SAMPLES));
+    const { width, height } = target;
+
+    gpu.msaaFramebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, gpu.msaaFramebuffer);
+
+    const storage = (internalFormat, attachment) => {
+      const renderbuffer = gl.createRenderbuffer();
+      gl.bindRenderbuffer(gl.RENDERBUFFER, renderbuffer);
+      gl.renderbufferStorageMultisample(gl.RENDERBUFFER, samples, internalFormat, width, height);
+      gl.framebufferRenderbuffer(gl.FRAMEBUFFER, attachment, gl.RENDERBUFFER, renderbuffer);
+      gpu.msaaRenderbuffers.push(renderbuffer);
+    };
+
+    attachments.forEach((attachment, i) => {
+      const texture = target.textures[i];
+      storage(getTextureFormats(gl, true, texture.format, texture.type).internalFormat, attachment);
+      gpu.bytes += samples * getTextureByteSize(width, height, texture.format, texture.type);
+    });
+    if (attachments.length > 1) gl.drawBuffers(attachments);
+
+    if (target.depthBuffer) {
+      // Same formats as the single-sampled depth, so the depth texture can be resolved too
+      const depth = target.depthTexture;
+      const internalFormat = depth
+        ? getTextureFormats(gl, true, depth.format, depth.type).internalFormat
+        : target.stencilBuffer ? gl.DEPTH24_STENCIL8 : gl.DEPTH_COMPONENT24;
+      storage(internalFormat, target.stencilBuffer ? gl.DEPTH_STENCIL_ATTACHMENT : gl.DEPTH_ATTACHMENT);
+      gpu.bytes += samples * width * height * 4;
+    }
+
+    const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+    if (status !== gl.FRAMEBUFFER_COMPLETE) {
+      console.warn(`[WebGLRenderer] Multisampled render target incomplete (status 0x${status?.toString(16)}).`);
+    }
+    gl.bindRenderbuffer(gl.RENDERBUFFER, null);
+  }
+
+  /**
+   * Copies the multisampled buffers of a target into its textures.
+   * Depth is resolved only into a depth texture.
+   * @param {RenderTarget} target
+   * @private
+   */
+  _resolveRenderTarget(target) {
+    const gpu = this._renderTargets.get(target);
+    if (!gpu?.msaaFramebuffer) return;
+
+    const gl = this.gl;
+    const { width, height } = target;
+    const count = Math.min(target.textures.length, gpu.msaaRenderbuffers.length);
+    gl.bindFramebuffer(gl.READ_FRAMEBUFFER, gpu.msaaFramebuffer);
+    gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, gpu.framebuffer);
+
+    for (let i = 0; i < count; i++) {
+      let mask = gl.COLOR_BUFFER_BIT;
+      if (i === 0 && target.depthTexture) {
+        mask |= gl.DEPTH_BUFFER_BIT | (target.stencilBuffer ? gl.STENCIL_BUFFER_BIT : 0);
+      }
+      // One attachment at a time: blits write every enabled draw buffer
+      if (count > 1) {
+        gl.readBuffer(gl.COLOR_ATTACHMENT0 + i);
+        gl.drawBuffers(target.textures.map((_, j) => (j === i ? gl.COLOR_ATTACHMENT0 + i : gl.NONE)));
+      }
+      gl.blitFramebuffer(0, 0, width, height, 0, 0, width, height, mask, gl.NEAREST);
+    }
+
+    if (count > 1) {
+      gl.readBuffer(gl.COLOR_ATTACHMENT0);
+      gl.drawBuffers(target.textures.map((_, i) => gl.COLOR_ATTACHMENT0 + i));
+    }
+    gl.bindFramebuffer(gl.READ_FRAMEBUFFER, null);
+    gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, null);
+  }
+
+  /**
+   * Allocates empty storage for a render target attachment texture.
+   * @param {Texture} texture
+   * @param {RenderTarget} target
+   * @private
+   */
+  _allocateTargetTexture(texture, target) {
+    const gl = this.gl;
+    const { internalFormat, format, type } = getTextureFormats(gl, this.isWebGL2, texture.format, texture.type);
+
+    texture._glTexture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture._glTexture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, internalFormat, target.width, target.height, 0, format, type, null);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, texture.minFilter);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, texture.magFilter);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, texture.wrapS);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, texture.wrapT);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    texture.uploaded = true;
+  }
+
+  /**
+   * Enables the extensions needed to render into (and filter) float color buffers.
+   * @param {number} type - `*Type` constant of the attachment.
+   * @private
+   */
+  _enableRenderableType(type) {
+    const gl = this.gl;
+    if (type !== HalfFloatType && type !== FloatType) return;
+
+    if (this.isWebGL2) {
+      gl.getExtension('EXT_color_buffer_float');
+    } else if (type === HalfFloatType) {
+      gl.getExtension('OES_texture_half_float');
+      gl.getExtension('OES_texture_half_float_linear');
+      gl.getExtension('EXT_color_buffer_half_float');
+    } else {
+      gl.getExtension('OES_texture_float');
+      gl.getExtension('WEBGL_color_buffer_float');
+    }
+    if (type === FloatType) gl.getExtension('OES_texture_float_linear');
+  }
+
+  /**
+   * Regenerates mipmaps of color attachments that request them.
+   * @param {RenderTarget} target
+   * @private
+   */
+  _updateRenderTargetMipmaps(target) {
+    const gl = this.gl;
+    for (const texture of target.textures) {
+      if (!texture.generateMipmaps || !texture._glTexture) continue;
+      gl.bindTexture(gl.TEXTURE_2D, texture._glTexture);
+      gl.generateMipmap(gl.TEXTURE_2D);
+      gl.bindTexture(gl.TEXTURE_2D, null);
+    }
+  }
+
+  /**
+   * Releases the framebuffer and attachments of a target.
+   * @param {RenderTarget} target
+   * @private
+   */
+  _deleteRenderTarget(target) {
+    const gpu = this._renderTargets.get(target);
+    if (!gpu) return;
+    if (this._currentRenderTarget === target) this.setRenderTarget(null);
+    this._releaseRenderTarget(target, gpu);
+  }
+
+  /**
+   * Frees the GL objects of a target without touching the current binding;
+   * _setupRenderTarget uses it to rebuild a resized target in place.
+   * @param {RenderTarget} target
+   * @param {object} gpu - GPU entry of the target.
+   * @private
+   */
+  _releaseRenderTarget(target, gpu) {
+    const gl = this.gl;
+
+    gl.deleteFramebuffer(gpu.framebuffer);
+    if (gpu.renderbuffer) gl.deleteRenderbuffer(gpu.renderbuffer);
+    if (gpu.msaaFramebuffer) gl.deleteFramebuffer(gpu.msaaFramebuffer);
+    for (const renderbuffer of gpu.msaaRenderbuffers) gl.deleteRenderbuffer(renderbuffer);
+    for (const texture of [...target.textures, target.depthTexture]) {
+      if (!texture?._glTexture) continue;
+      gl.deleteTexture(texture._glTexture);
+      texture._glTexture = null;
+    }
+
+    target.removeEventListener('dispose', gpu.onDispose);
+    this._renderTargets.delete(target);
+  }
+
   // --------------------------------------------------
   // Draw Routine
   // --------------------------------------------------
 
-  drawMesh(mesh) {
+  /**
+   * Draws one mesh with its own material, or with `material` in its place
+   * (shadow depth passes, overrides). The material must be uploaded; the
+   * geometry is uploaded here if it is not on the GPU (e.g. after eviction).
+   * @param {Mesh} mesh
+   * @param {Material} [material=mesh.material]
+   */
+  drawMesh(mesh, material = mesh?.material) {
     const gl = this.gl;
-    if (!mesh?.geometry || !mesh?.material) return;
+    if (!mesh?.geometry || !material) return;
 
+    if (!this._geometries.has(mesh.geometry)) this.uploadGeometry(mesh.geometry);
     const geomGPU = this._geometries.get(mesh.geometry);
     if (!geomGPU) return;
+    geomGPU.lastUsed = this.frameCount;
 
-    const material = mesh.material;
+    // Instanced meshes draw `count` copies in one call with per-instance buffers
+    const instanced = mesh.isInstancedMesh === true;
+    if (instanced && (!this._instancing || mesh.count <= 0)) return;
+    const instGPU = instanced ? this._uploadInstances(mesh) : null;
 
-    // Bind shader
-    if (material.program && this._currentProgram !== material.program) {
-      gl.useProgram(material.program);
-      this._currentProgram = material.program;
-    }
-
-    // Bind vertex attributes
-    const bindAttrib = (name, size, buffer) => {
-      const loc = gl.getAttribLocation(material.program, name);
-      if (loc !== -1 && buffer) {
-        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
-        gl.enableVertexAttribArray(loc);
-        gl.vertexAttribPointer(loc, size, gl.FLOAT, false, 0, 0);
-      }
-    };
+    // Engine materials draw through a built-in program; ShaderMaterials are their own
+    const program = this._resolveProgram(material, mesh);
+    if (!program) return;
 
-    bindAttrib('position', 3, geomGPU.positionBuffer);
-    bindAttrib('normal', 3, geomGPU.normalBuffer);
-    bindAttrib('uv', 2, geomGPU.uvBuffer);
+    // Bind shader
+    if (program.program && this._currentProgram !== program.program) {
+      gl.useProgram(program.program);
+      this._currentProgram = program.program;
+    }
 
-    // Bind index buffer
-    if (geomGPU.indexBuffer) gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, geomGPU.indexBuffer);
+    // Bind vertex state: a cached VAO per geometry/program pair when
+    // supported, otherwise direct attribute setup on every draw
+    const vao = this._bindVertexArray(mesh.geometry, program, geomGPU, instGPU);
+    const divisors = vao ? null : this._setupVertexAttributes(mesh.geometry, program, geomGPU, true, instGPU);
 
-    // Upload per-mesh matrices
-    const mvLoc = gl.getUniformLocation(material.program, 'modelViewMatrix');
-    const projLoc = gl.getUniformLocation(material.program, 'projectionMatrix');
-    const modelViewMatrix = mesh.modelViewMatrix || mesh.matrixWorld;
-    const projectionMatrix = mesh.projectionMatrix || mesh.camera?.projectionMatrix;
+    this._setMatrixUniforms(program, mesh);
 
-    if (mvLoc && modelViewMatrix?.toArray) gl.uniformMatrix4fv(mvLoc, false, modelViewMatrix.toArray());
-    if (projLoc && projectionMatrix?.toArray) gl.uniformMatrix4fv(projLoc, false, projectionMatrix.toArray());
+    if (program !== material) this._programs.setMaterial(program, material);
+    // Re-upload evicted textures and mark the others used this frame
+    for (const texture of Object.values(program.textures ?? {})) {
+      if (texture.image && (!texture.uploaded || this._textures.has(texture))) this.uploadTexture(texture);
+    }
+    program.bind?.(gl);
+    const unit = this.shadowMap.setUniforms(gl, program, mesh, material);
+    this._environment.setUniforms(gl, program, unit);
+    this._lights.setUniforms(gl, program);
+    this._setFogUniforms(program);
 
-    material.bind?.(gl);
+    // Depth, culling and blending state
+    this.state.setMaterial(material);
 
     // Draw call
-    if (geomGPU.indexBuffer) gl.drawElements(gl.TRIANGLES, geomGPU.indexCount, geomGPU.indexType, 0);
-    else gl.drawArrays(gl.TRIANGLES, 0, geomGPU.indexCount);
+    if (instanced) {
+      if (geomGPU.indexType) this._instancing.drawElements(gl.TRIANGLES, geomGPU.indexCount, geomGPU.indexType, 0, mesh.count);
+      else this._instancing.drawArrays(gl.TRIANGLES, 0, geomGPU.indexCount, mesh.count);
+    } else if (geomGPU.indexType) {
+      gl.drawElements(gl.TRIANGLES, geomGPU.indexCount, geomGPU.indexType, 0);
+    } else {
+      gl.drawArrays(gl.TRIANGLES, 0, geomGPU.indexCount);
+    }
+
+    const internal = this._internalDraws > 0;
+    if (!internal) this.drawCalls++;
+    this.info.update(geomGPU.indexCount, gl.TRIANGLES, instanced ? mesh.count : 1, internal);
 
-    this.drawCalls++;
+    // Without a VAO, divisors are global state: restore them for the next draw
+    divisors?.forEach(loc => this._instancing.divisor(loc, 0));
+
+    // Unbind the VAO first so clearing ELEMENT_ARRAY_BUFFER does not modify it
+    if (vao) this._vertexArrays.bind(null);
     gl.bindBuffer(gl.ARRAY_BUFFER, null);
     gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, null);
   }
 
+  /**
+   * Returns the program object a material draws with: the material itself
+   * for ShaderMaterials (and other materials carrying a program), or its
+   * built-in variant for this mesh. Null when nothing can draw it.
+   * @param {Material} material
+   * @param {Mesh} mesh
+   * @returns {ShaderMaterial|Material|null}
+   * @private
+   */
+  _resolveProgram(material, mesh) {
+    if (this._programs.isBuiltin(material)) return this._programs.acquire(material, mesh);
+    return material;
+  }
+
+  /**
+   * Uploads the transform uniforms a program declares: modelMatrix,
+   * modelViewMatrix, viewMatrix, projectionMatrix, normalMatrix (world
+   * space) and cameraPosition. `mesh.modelViewMatrix` / `mesh.projectionMatrix`
+   * override the values derived from the current camera.
+   * @param {ShaderMaterial} program
+   * @param {Mesh} mesh
+   * @private
+   */
+  _setMatrixUniforms(program, mesh) {
+    const gl = this.gl;
+    const getUniform = name => program.getUniformLocation
+      ? program.getUniformLocation(name)
+      : gl.getUniformLocation(program.program, name);
+
+    const camera = this._currentCamera;
+    const world = elementsOf(mesh.matrixWorld);
+    const view = elementsOf(camera?.viewMatrix);
+
+    const modelLoc = getUniform('modelMatrix');
+    if (modelLoc && world) gl.uniformMatrix4fv(modelLoc, false, world);
+
+    const mvLoc = getUniform('modelViewMatrix');
+    if (mvLoc) {
+      const modelView = elementsOf(mesh.modelViewMatrix)
+        ?? (view && world ? multiplyMatrices(this._modelViewMatrix, view, world) : world);
+      if (modelView) gl.uniformMatrix4fv(mvLoc, false, modelView);
+    }
+
+    const viewLoc = getUniform('viewMatrix');
+    if (viewLoc && view) gl.uniformMatrix4fv(viewLoc, false, view);
+
+    const projLoc = getUniform('projectionMatrix');
+    const projection = elementsOf(mesh.projectionMatrix ?? mesh.camera?.projectionMatrix ?? camera?.projectionMatrix);
+    if (projLoc && projection) gl.uniformMatrix4fv(projLoc, false, projection);
+
+    const normalLoc = getUniform('normalMatrix');
+    if (normalLoc && world) gl.uniformMatrix3fv(normalLoc, false, normalMatrixFrom(this._normalMatrix, world));
+
+    const cameraLoc = getUniform('cameraPosition');
+    const eye = elementsOf(camera?.matrixWorld);
+    if (cameraLoc && eye) gl.uniform3f(cameraLoc, eye[12], eye[13], eye[14]);
+  }
+
+  /**
+   * Uploads the current scene's fog to a program declaring the fog chunk
+   * (fogColor, fogNear/fogFar or fogDensity).
+   * @param {ShaderMaterial} program
+   * @private
+   */
+  _setFogUniforms(program) {
+    const gl = this.gl;
+    const fog = this._currentFog;
+    const uniforms = program.programInfo?.uniforms;
+    if (!fog || !uniforms?.fogColor) return;
+
+    gl.uniform3f(uniforms.fogColor.location, fog.color.r, fog.color.g, fog.color.b);
+    if (uniforms.fogNear) gl.uniform1f(uniforms.fogNear.location, fog.near);
+    if (uniforms.fogFar) gl.uniform1f(uniforms.fogFar.location, fog.far);
+    if (uniforms.fogDensity) gl.uniform1f(uniforms.fogDensity.location, fog.density);
+  }
+
+  // --------------------------------------------------
+  // Vertex Array Objects
+  // --------------------------------------------------
+
+  /**
+   * Resolves VAO entry points: core on WebGL2, OES_vertex_array_object
+   * on WebGL1, or null when neither is available.
+   * @returns {{create: Function, bind: Function, delete: Function}|null}
+   * @private
+   */
+  _initVertexArrays() {
+    const gl = this.gl;
+
+    if (this.isWebGL2) {
+      return {
+        create: () => gl.createVertexArray(),
+        bind: vao => gl.bindVertexArray(vao),
+        delete: vao => gl.deleteVertexArray(vao)
+      };
+    }
+
+    const ext = gl.getExtension('OES_vertex_array_object');
+    if (!ext) return null;
+
+    return {
+      create: () => ext.createVertexArrayOES(),
+      bind: vao => ext.bindVertexArrayOES(vao),
+      delete: vao => ext.deleteVertexArrayOES(vao)
+    };
+  }
+
+  /**
+   * Resolves instanced draw entry points: core on WebGL2,
+   * ANGLE_instanced_arrays on WebGL1, or null when neither is available.
+   * @returns {{divisor: Function, drawElements: Function, drawArrays: Function}|null}
+   * @private
+   */
+  _initInstancing() {
+    const gl = this.gl;
+
+    if (this.isWebGL2) {
+      return {
+        divisor: (loc, divisor) => gl.vertexAttribDivisor(loc, divisor),
+        drawElements: (mode, count, type, offset, instances) => gl.drawElementsInstanced(mode, count, type, offset, instances),
+        drawArrays: (mode, first, count, instances) => gl.drawArraysInstanced(mode, first, count, instances)
+      };
+    }
+
+    const ext = gl.getExtension('ANGLE_instanced_arrays');
+    if (!ext) return null;
+
+    return {
+      divisor: (loc, divisor) => ext.vertexAttribDivisorANGLE(loc, divisor),
+      drawElements: (mode, count, type, offset, instances) => ext.drawElementsInstancedANGLE(mode, count, type, offset, instances),
+      drawArrays: (mode, first, count, instances) => ext.drawArraysInstancedANGLE(mode, first, count, instances)
+    };
+  }
+
+  /**
+   * Binds the VAO for a geometry/program pair, recording it on first use.
+   * VAOs are cached on the geometry's GPU entry, keyed by program; instanced
+   * meshes keep their own (they also reference the instance buffers) and
+   * drop them when the geometry's VAOs are invalidated.
+   * @param {Geometry} geometry
+   * @param {Material} material
+   * @param {object} geomGPU
+   * @param {object|null} instGPU - Instance GPU entry for InstancedMesh draws.
+   * @returns {WebGLVertexArrayObject|null} The bound VAO, or null if unsupported.
+   * @private
+   */
+  _bindVertexArray(geometry, material, geomGPU, instGPU) {
+    if (!this._vertexArrays || !material.program) return null;
+
+    let vaos = geomGPU.vaos;
+    if (instGPU) {
+      if (instGPU.geometryGPU !== geomGPU || instGPU.geometryVaoVersion !== geomGPU.vaoVersion) {
+        this._deleteVertexArrays(instGPU);
+        instGPU.geometryGPU = geomGPU;
+        instGPU.geometryVaoVersion = geomGPU.vaoVersion;
+      }
+      vaos = instGPU.vaos;
+    }
+
+    let vao = vaos.get(material.program);
+    if (vao) {
+      this._vertexArrays.bind(vao);
+      return vao;
+    }
+
+    vao = this._vertexArrays.create();
+    this._vertexArrays.bind(vao);
+    this._setupVertexAttributes(geometry, material, geomGPU, false, instGPU);
+    vaos.set(material.program, vao);
+    return vao;
+  }
+
+  /**
+   * Points the program's attributes at the geometry buffers and binds the index buffer.
+   * Without VAOs, arrays left enabled by the previous draw are disabled.
+   * @param {Geometry} geometry
+   * @param {Material} material
+   * @param {object} geomGPU
+   * @param {boolean} trackEnabled - Disable stale arrays on the default vertex array.
+   * @param {object|null} [instGPU] - Instance GPU entry for InstancedMesh draws.
+   * @returns {number[]} Locations given a non-zero divisor.
+   * @private
+   */
+  _setupVertexAttributes(geometry, material, geomGPU, trackEnabled, instGPU = null) {
+    const gl = this.gl;
+    const enabled = new Set();
+
+    // Bind every geometry attribute whose name matches an active shader input
+    const inputs = material.programInfo?.attributes;
+    const names = inputs ? Object.keys(inputs) : Object.keys(geometry.attributes || {});
+
+    for (const name of names) {
+      const attribute = geometry.attributes?.[name];
+      const source = attribute && (attribute.buffer ?? attribute);
+      const entry = source && geomGPU.buffers.get(source);
+      if (!entry) continue;
+
+      const loc = inputs ? inputs[name].location : gl.getAttribLocation(material.program, name);
+      if (loc === -1) continue;
+
+      const array = attribute.array;
+      const type = getComponentType(gl, array);
+      const bytes = array.BYTES_PER_ELEMENT;
+
+      // WebGL1 vertexAttribPointer has no 32-bit integer types
+      if (!this.isWebGL2 && (type === gl.INT || type === gl.UNSIGNED_INT)) {
+        if (!this._unsupportedAttributes.has(attribute)) {
+          this._unsupportedAttributes.add(attribute);
+          console.warn(`[WebGLRenderer] Attribute "${name}": Int32Array / Uint32Array data needs WebGL2; it is not bound.`);
+        }
+        continue;
+      }
+
+      gl.bindBuffer(gl.ARRAY_BUFFER, entry.buffer);
+      gl.enableVertexAttribArray(loc);
+      if (this.isWebGL2 && inputs && isIntegerAttributeType(gl, inputs[name].type)) {
+        gl.vertexAttribIPointer(loc, attribute.itemSize, type, attribute.stride * bytes, attribute.offset * bytes);
+      } else {
+        gl.vertexAttribPointer(loc, attribute.itemSize, type, attribute.normalized, attribute.stride * bytes, attribute.offset * bytes);
+      }
+      enabled.add(loc);
+    }
+
+    // Per-instance attributes advance once per instance; a mat4 spans four locations
+    const divisors = [];
+    for (const [name, entry] of instGPU?.buffers ?? []) {
+      const loc = inputs ? (inputs[name]?.location ?? -1) : gl.getAttribLocation(material.program, name);
+      if (loc === -1) continue;
+
+      const itemSize = entry.attribute.itemSize;
+      const slots = Math.ceil(itemSize / 4);
+      const size = itemSize / slots;
+
+      gl.bindBuffer(gl.ARRAY_BUFFER, entry.buffer);
+      for (let i = 0; i < slots; i++) {
+        gl.enableVertexAttribArray(loc + i);
+        gl.vertexAttribPointer(loc + i, size, gl.FLOAT, false, itemSize * 4, i * size * 4);
+        this._instancing.divisor(loc + i, 1);
+        enabled.add(loc + i);
+        divisors.push(loc + i);
+      }
+    }
+
+    if (trackEnabled) {
+      for (const loc of this._enabledAttributes) {
+        if (!enabled.has(loc)) gl.disableVertexAttribArray(loc);
+      }
+      this._enabledAttributes = enabled;
+    }
+
+    // Bind index buffer
+    if (geomGPU.index) gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, geomGPU.index.buffer);
+    return divisors;
+  }
+
   // --------------------------------------------------
   // Debug & Cleanup
   // --------------------------------------------------
 
   _logStats() {
-    console.log(`[WebGLRenderer] frame=${this.frameCount} drawCalls=${this.drawCalls}`);
+    const { calls, triangles, culled } = this.info.render;
+    const { total } = this.info.timings;
+    console.log(`[WebGLRenderer] frame=${this.frameCount} drawCalls=${calls} triangles=${triangles} culled=${culled} cpu=${total.toFixed(2)}ms`);
   }
 
   destroy() {
     if (this.destroyed) return;
     const gl = this.gl;
 
+    this.canvas.removeEventListener?.('webglcontextlost', this._onContextLost, false);
+    this.canvas.removeEventListener?.('webglcontextrestored', this._onContextRestored, false);
+
     // Free geometry buffers
-    for (const [geom, gpu] of this._geometries) {
-      gpu.positionBuffer && gl.deleteBuffer(gpu.positionBuffer);
-      gpu.normalBuffer && gl.deleteBuffer(gpu.normalBuffer);
-      gpu.uvBuffer && gl.deleteBuffer(gpu.uvBuffer);
-      gpu.indexBuffer && gl.deleteBuffer(gpu.indexBuffer);
-    }
-    this._geometries = new WeakMap();
+    for (const geometry of [...this._geometries.keys()]) this._deleteGeometry(geometry);
 
     // Free programs
-    for (const mat of this._materials.keys ? Array.from(this._materials.keys()) : []) {
-      if (mat.program) gl.deleteProgram(mat.program);
+    for (const material of this._materials.keys()) {
+      if (material.program) gl.deleteProgram(material.program);
+      dropProgramHandle(material);
     }
-    this._materials = new WeakMap();
+    this._materials.clear();
 
     // Free textures
-    for (const tex of this._textures.keys ? Array.from(this._textures.keys()) : []) {
-      tex.dispose?.(gl);
+    for (const [texture, entry] of [...this._textures]) {
+      texture.removeEventListener?.('dispose', entry.onDispose);
+      texture.dispose?.(gl);
     }
-    this._textures = new WeakMap();
+    this._textures.clear();
+
+    // Free framebuffers
+    for (const target of [...this._renderTargets.keys()]) this._deleteRenderTarget(target);
+
+    // Free the internal HDR output target
+    this._outputTarget?.dispose();
+    this._outputPass?.dispose();
+    this.shadowMap.dispose();
+    this._programs.dispose();
+    this._environment.dispose();
+    this._background.dispose();
+    this._picker.dispose();
 
     this.destroyed = true;
     if (this.debug) console.log('[WebGLRenderer] Destroyed and resources released');
@@ -438,6 +1944,133 @@ class WebGLRenderer extends Renderer {
 }
 
 
+// --------------------------------------------------
+// Context Loss Helpers
+// --------------------------------------------------
+
+/** Forgets a material's compiled program so the next use compiles it again. */
+function dropProgramHandle(material) {
+  if (!('program' in material)) return;
+  material.program = null;
+  material.programInfo = null;
+  material.compiled = false;
+}
+
+/**
+ * Forgets a texture's GL object so the next use uploads it again. Render
+ * target attachments stay marked uploaded: their storage is reallocated
+ * with the target, never filled from image data.
+ */
+function dropTextureHandle(texture) {
+  texture._glTexture = null;
+  if (!texture.isRenderTargetTexture) texture.uploaded = false;
+  if (texture.active) texture.active = false;
+}
+
+
+// --------------------------------------------------
+// Memory Helpers
+// --------------------------------------------------
+
+/** Bytes held by a geometry's vertex and index buffers. */
+function getGeometryByteSize(gpu) {
+  let bytes = gpu.index?.byteLength ?? 0;
+  for (const entry of gpu.buffers.values()) bytes += entry.byteLength;
+  return bytes;
+}
+
+/** Estimated size of an image texture (uploaded as RGBA8). */
+function estimateImageTextureBytes(texture) {
+  const image = texture.isCubeTexture ? texture.image?.[0] : texture.image;
+  const width = image?.width ?? 0;
+  const height = image?.height ?? 0;
+  return getTextureByteSize(width, height, RGBAFormat, UnsignedByteType, texture.generateMipmaps,
+    texture.isCubeTexture ? 6 : 1);
+}
+
+
+// --------------------------------------------------
+// Geometry Update Helpers
+// --------------------------------------------------
+
+/** InstancedMesh properties uploaded as per-instance attributes. */
+const INSTANCE_ATTRIBUTES = ['instanceMatrix', 'instanceColor'];
+
+/**
+ * Combines pending update ranges of attributes sharing one buffer.
+ * undefined = clean, null = whole buffer dirty.
+ */
+function mergeRanges(a, b) {
+  if (a === undefined) return b;
+  if (b === undefined) return a;
+  if (a === null || b === null) return null;
+  return a.concat(b);
+}
+
+
+// --------------------------------------------------
+// Matrix Helpers
+// --------------------------------------------------
+
+/** Column-major elements of a Matrix4 (or a plain array), or null. */
+function elementsOf(matrix) {
+  if (!matrix) return null;
+  return matrix.elements ?? (matrix.length === 16 ? matrix : matrix.toArray?.() ?? null);
+}
+
+/** Inverse transpose of the upper 3×3 of a 4×4 matrix (world-space normals). */
+function normalMatrixFrom(out, m) {
+  const a00 = m[0], a01 = m[1], a02 = m[2];
+  const a10 = m[4], a11 = m[5], a12 = m[6];
+  const a20 = m[8], a21 = m[9], a22 = m[10];
+
+  const b01 = a22 * a11 - a12 * a21;
+  const b11 = -a22 * a10 + a12 * a20;
+  const b21 = a21 * a10 - a11 * a20;
+
+  let det = a00 * b01 + a01 * b11 + a02 * b21;
+  det = det ? 1 / det : 0;
+
+  // inverse of the 3×3
+  out[0] = b01 * det;
+  out[1] = (-a22 * a01 + a02 * a21) * det;
+  out[2] = (a12 * a01 - a02 * a11) * det;
+  out[3] = b11 * det;
+  out[4] = (a22 * a00 - a02 * a20) * det;
+  out[5] = (-a12 * a00 + a02 * a10) * det;
+  out[6] = b21 * det;
+  out[7] = (-a21 * a00 + a01 * a20) * det;
+  out[8] = (a11 * a00 - a01 * a10) * det;
+
+  // transpose
+  let t;
+  t = out[1]; out[1] = out[3]; out[3] = t;
+  t = out[2]; out[2] = out[6]; out[6] = t;
+  t = out[5]; out[5] = out[7]; out[7] = t;
+  return out;
+}
+
+
+// --------------------------------------------------
+// Render Queue Sorting
+// --------------------------------------------------
+
+/** Opaque: renderOrder, then program (fewer switches), then front-to-back. */
+function opaqueSort(a, b) {
+  if (a.renderOrder !== b.renderOrder) return a.renderOrder - b.renderOrder;
+  if (a.program !== b.program) return a.program - b.program;
+  if (a.depth !== b.depth) return a.depth - b.depth;
+  return a.index - b.index;
+}
+
+/** Transparent: renderOrder, then back-to-front by view-space depth. */
+function transparentSort(a, b) {
+  if (a.renderOrder !== b.renderOrder) return a.renderOrder - b.renderOrder;
+  if (a.depth !== b.depth) return b.depth - a.depth;
+  return a.index - b.index;
+}
+
+
 // --------------------------------------------------
 // Internal Sanity Test (Minimal Integration Test)
 // --------------------------------------------------
@@ -0,0 +1,181 @@
+// ===============================================================
+// WebGLBackground.js — Scene.background for WebGLRenderer
+// ===============================================================
+//
+// Core purpose:
+//  • Clears the frame, then draws Scene.background before the opaque
+//    queue:
+//      Color                 — becomes the clear color
+//      Texture (UVMapping)   — stretched over the whole screen
+//      equirect / cube map   — skybox following the camera, turned
+//                              by backgroundRotation
+//  • backgroundIntensity scales textures and skyboxes. A skybox with
+//    backgroundBlurriness > 0 samples the prefiltered environment
+//    chain (shared with image-based lighting) at that roughness.
+//
+// ===============================================================
+
+import { Texture } from '../core/Texture.js';
+import { ShaderMaterial } from '../materials/ShaderMaterial.js';
+import { FullScreenQuad } from '../postprocessing/Pass.js';
+import { BackgroundShader } from './shaders/BackgroundShader.js';
+import { getSamplingRotation } from './WebGLEnvironment.js';
+import {
+  CubeReflectionMapping, CubeRefractionMapping,
+  EquirectangularReflectionMapping, EquirectangularRefractionMapping
+} from '../constants/Constants.js';
+
+class WebGLBackground {
+  /**
+   * @param {WebGLRenderer} renderer
+   */
+  constructor(renderer) {
+    /** @type {WebGLRenderer} */
+    this.renderer = renderer;
+
+    /** @private Background materials by variant. */
+    this._materials = new Map();
+
+    /** @private */
+    this._quad = null;
+  }
+
+  /**
+   * Clears the current target: always when the background is a Color
+   * (cleared to it), otherwise when renderer.autoClear is set.
+   * @param {Scene} scene
+   */
+  clear(scene) {
+    const renderer = this.renderer;
+    const background = scene.background ?? null;
+    const isColor = background !== null && !(background instanceof Texture) &&
+      (background.isColor === true || typeof background.r === 'number');
+
+    if (isColor) renderer.gl.clearColor(background.r, background.g, background.b, 1);
+    if (renderer.autoClear || isColor) renderer.clear();
+    if (isColor) renderer.gl.clearColor(...renderer.clearColor);
+  }
+
+  /**
+   * Draws a texture background. Call after clear(), before the opaque queue.
+   * @param {Scene} scene
+   * @param {Camera} camera - With up-to-date world and projection matrices.
+   */
+  render(scene, camera) {
+    const background = scene.background;
+    if (background instanceof Texture && !background.disposed) this._drawTexture(scene, camera, background);
+  }
+
+  /**
+   * Draws a texture background on a full-screen triangle.
+   * @private
+   */
+  _drawTexture(scene, camera, texture) {
+    const renderer = this.renderer;
+    const skybox = isSkybox(texture);
+    const blurred = skybox && scene.backgroundBlurriness > 0
+      ? renderer._environment.get(texture)
+      : null;
+
+    if (!blurred) {
+      renderer.uploadTexture(texture);
+      if (!texture._glTexture) return;
+    }
+
+    const material = this._getMaterial(texture, skybox, !!blurred);
+    const uniforms = material.uniforms;
+    uniforms.backgroundIntensity = scene.backgroundIntensity ?? 1;
+    getSamplingRotation(uniforms.backgroundRotation, scene.backgroundRotation);
+
+    if (skybox) {
+      const p = camera.projectionMatrix?.elements;
+      if (p) uniforms.projectionParams = [p[0], p[5], p[8], p[9]];
+      cameraRotationFrom(uniforms.cameraRotation, camera.matrixWorld?.elements);
+    }
+
+    if (blurred) {
+      uniforms.blurriness = Math.min(scene.backgroundBlurriness, 1);
+      uniforms.envMapIntensity = 1;
+      uniforms.envMapRotation = uniforms.backgroundRotation;
+      material.textures = { envMap: blurred.atlas.texture };
+    } else {
+      material.textures = { map: texture };
+    }
+
+    this._quad.material = material;
+    this._quad.render(renderer);
+  }
+
+  /**
+   * Background material for a source variant.
+   * @private
+   */
+  _getMaterial(texture, skybox, blurred) {
+    const defines = [];
+    if (!skybox) defines.push('BACKGROUND_PLANE');
+    else if (blurred) defines.push('BACKGROUND_BLURRED');
+    else defines.push(texture.isCubeTexture ? 'BACKGROUND_CUBE' : 'BACKGROUND_EQUIRECT');
+    if (!blurred && texture.colorSpace === 'sRGB') defines.push('MAP_SRGB');
+    if (!blurred && !texture.isCubeTexture && !texture.isRenderTargetTexture) defines.push('MAP_FLIP_Y');
+
+    const key = defines.join('|');
+    let material = this._materials.get(key);
+    if (!material) {
+      const prefix = defines.map(name => `#define ${name}\n`).join('');
+      material = new ShaderMaterial({
+        ...BackgroundShader,
+        name: 'BackgroundMaterial',
+        uniforms: {
+          ...BackgroundShader.uniforms,
+          cameraRotation: new Float32Array(9),
+          backgroundRotation: new Float32Array(9)
+        },
+        fragmentShader: prefix + BackgroundShader.fragmentShader,
+        depthTest: false,
+        depthWrite: false,
+        lit: false
+      });
+      this._materials.set(key, material);
+    }
+
+    this._quad ??= new FullScreenQuad();
+    return material;
+  }
+
+  /** Releases the background materials (textures belong to the scene). */
+  dispose() {
+    const gl = this.renderer.gl;
+    for (const material of this._materials.values()) {
+      material.textures = {};
+      material.dispose(gl);
+    }
+    this._materials.clear();
+    this._quad = null;
+  }
+}
+
+// --------------------------------------------------
+// Helpers
+// --------------------------------------------------
+
+/** Whether a texture is an environment (skybox) rather than a flat image. @private */
+function isSkybox(texture) {
+  return texture.isCubeTexture === true ||
+    texture.mapping === CubeReflectionMapping || texture.mapping === CubeRefractionMapping ||
+    texture.mapping === EquirectangularReflectionMapping || texture.mapping === EquirectangularRefractionMapping;
+}
+
+/** Rotation part of a camera's world matrix, scale removed. @private */
+function cameraRotationFrom(out, m) {
+  if (!m) return out;
+  for (let col = 0; col < 3; col++) {
+    const x = m[col * 4], y = m[col * 4 + 1], z = m[col * 4 + 2];
+    const length = Math.hypot(x, y, z) || 1;
+    out[col * 3] = x / length;
+    out[col * 3 + 1] = y / length;
+    out[col * 3 + 2] = z / length;
+  }
+  return out;
+}
+
+export { WebGLBackground };
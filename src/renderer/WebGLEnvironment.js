@@ -0,0 +1,184 @@
+// ===============================================================
+// WebGLEnvironment.js — Image-Based Lighting for WebGLRenderer
+// ===============================================================
+//
+// Core purpose:
+//  • Prefilters `scene.environment` with PMREMGenerator and caches
+//    the result per texture; prefiltering reruns only when the
+//    texture's `version` changes (`texture.needsUpdate = true`).
+//  • Binds the prefiltered maps, `scene.environmentIntensity` and
+//    `scene.environmentRotation` for programs that declare the
+//    envmap_pars_fragment chunk.
+//
+// Cached results are released when their texture is disposed.
+//
+// ===============================================================
+
+import { PMREMGenerator } from './PMREMGenerator.js';
+
+class WebGLEnvironment {
+  /**
+   * @param {WebGLRenderer} renderer
+   */
+  constructor(renderer) {
+    /** @type {WebGLRenderer} */
+    this.renderer = renderer;
+
+    /**
+     * Prefiltered maps of the current scene's environment, or null.
+     * @type {{atlas: RenderTarget, irradiance: RenderTarget}|null}
+     */
+    this.current = null;
+
+    /** @type {number} Scene-wide IBL multiplier of the current frame. */
+    this.intensity = 1;
+
+    /** @type {Float32Array} World → environment direction transform (column-major 3×3). */
+    this.rotation = new Float32Array([1, 0, 0, 0, 1, 0, 0, 0, 1]);
+
+    /** @private */
+    this._generator = new PMREMGenerator(renderer);
+
+    /** @private Prefiltered result and source version per texture. */
+    this._cache = new WeakMap();
+  }
+
+  /**
+   * Returns the prefiltered maps of an environment texture, generating
+   * them on first use and again after the texture changes.
+   * @param {Texture|CubeTexture} texture
+   * @returns {{atlas: RenderTarget, irradiance: RenderTarget}|null} Null while the texture has no image data.
+   */
+  get(texture) {
+    if (!texture || texture.disposed || !hasImage(texture)) return null;
+
+    let entry = this._cache.get(texture);
+    if (entry?.version === texture.version) return entry.result;
+
+    const result = this._generator.fromTexture(texture, entry?.result);
+    if (!result) return null;
+
+    if (!entry) {
+      entry = { version: texture.version, result };
+      this._cache.set(texture, entry);
+      texture.addEventListener?.('dispose', () => this._release(texture));
+    }
+    entry.version = texture.version;
+    return result;
+  }
+
+  /**
+   * Resolves the environment of the scene being rendered.
+   * Called by the renderer once per frame, before the draw loop.
+   * @param {Scene} scene
+   */
+  setup(scene) {
+    this.current = this.get(scene.environment);
+    this.intensity = scene.environmentIntensity ?? 1;
+    getSamplingRotation(this.rotation, scene.environmentRotation);
+  }
+
+  /**
+   * Binds the environment for a draw. Programs without the envmap chunk
+   * are skipped.
+   * @param {WebGLRenderingContext} gl
+   * @param {ShaderMaterial} program - Bound program.
+   * @param {number} unit - First free texture unit.
+   */
+  setUniforms(gl, program, unit) {
+    const uniforms = program.programInfo?.uniforms;
+    if (!uniforms?.envMap || !this.current) return;
+
+    this.current.atlas.texture.activate(gl, unit);
+    gl.uniform1i(uniforms.envMap.location, unit);
+    if (uniforms.envMapIrradiance) {
+      this.current.irradiance.texture.activate(gl, unit + 1);
+      gl.uniform1i(uniforms.envMapIrradiance.location, unit + 1);
+    }
+    if (uniforms.envMapIntensity) gl.uniform1f(uniforms.envMapIntensity.location, this.intensity);
+    if (uniforms.envMapRotation) gl.uniformMatrix3fv(uniforms.envMapRotation.location, false, this.rotation);
+  }
+
+  /** @private */
+  _release(texture) {
+    const entry = this._cache.get(texture);
+    if (!entry) return;
+    entry.result.atlas.dispose();
+    entry.result.irradiance.dispose();
+    if (this.current === entry.result) this.current = null;
+    this._cache.delete(texture);
+  }
+
+  /**
+   * Forgets every prefiltered result after a context loss; their images
+   * are gone with the context and are generated again on next use.
+   */
+  reset() {
+    this._cache = new WeakMap();
+    this.current = null;
+  }
+
+  /** Releases the generator's materials and scratch targets. */
+  dispose() {
+    this._generator.dispose();
+    this.current = null;
+  }
+}
+
+// --------------------------------------------------
+// Helpers
+// --------------------------------------------------
+
+/** @private */
+function hasImage(texture) {
+  if (texture.isCubeTexture) return texture.image?.length === 6 && texture.image.every(Boolean);
+  return !!texture.image;
+}
+
+/**
+ * Matrix taking world directions into the frame of an environment rotated
+ * by `euler` (radians; 'XYZ' = Rx·Ry·Rz): the inverse, i.e. transpose, of
+ * the rotation. Column-major 3×3, ready for uniformMatrix3fv.
+ * @param {Float32Array} out
+ * @param {Euler|null} euler - e.g. scene.environmentRotation or scene.backgroundRotation.
+ * @returns {Float32Array} out
+ */
+function getSamplingRotation(out, euler) {
+  out.set([1, 0, 0, 0, 1, 0, 0, 0, 1]);
+  if (!euler) return out;
+
+  const order = euler.order || 'XYZ';
+  for (const axis of order) {
+    const angle = euler[axis.toLowerCase()] || 0;
+    if (angle === 0) continue;
+    multiply3(out, out, axisRotation(axis, Math.cos(angle), Math.sin(angle)));
+  }
+
+  let t;
+  t = out[1]; out[1] = out[3]; out[3] = t;
+  t = out[2]; out[2] = out[6]; out[6] = t;
+  t = out[5]; out[5] = out[7]; out[7] = t;
+  return out;
+}
+
+/** @private */
+function axisRotation(axis, c, s) {
+  if (axis === 'X') return [1, 0, 0, 0, c, s, 0, -s, c];
+  if (axis === 'Y') return [c, 0, -s, 0, 1, 0, s, 0, c];
+  return [c, s, 0, -s, c, 0, 0, 0, 1];
+}
+
+/** out = a · b for column-major 3×3 matrices. @private */
+function multiply3(out, a, b) {
+  const result = new Array(9);
+  for (let col = 0; col < 3; col++) {
+    for (let row = 0; row < 3; row++) {
+      result[col * 3 + row] =
+        a[row] * b[col * 3] + a[3 + row] * b[col * 3 + 1] + a[6 + row] * b[col * 3 + 2];
+    }
+  }
+  out.set(result);
+  return out;
+}
+
+export { WebGLEnvironment, getSamplingRotation };
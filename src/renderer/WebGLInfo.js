@@ -0,0 +1,133 @@
+// ===============================================================
+// WebGLInfo.js — Renderer Statistics
+// ===============================================================
+//
+// Core purpose:
+//  • Counts what the renderer drew: draw calls, primitives by kind
+//    and objects rejected by frustum culling. Scene draws go to
+//    `render`; the renderer's own passes (shadow maps, environment
+//    prefiltering, background, output and post-processing quads) go
+//    to `internal`, so `render` matches the scene.
+//  • Reports GPU resources alive on the renderer and an estimate of
+//    the memory they occupy.
+//  • Records CPU time (ms) of each step of WebGLRenderer.render:
+//      clear      — 1. clear / background color
+//      preRender  — 2. scene.preRender hook
+//      camera     — 3. camera matrices
+//      collect    — 4. traversal and frustum culling
+//      prepare    — 5. queue sorting, shadow maps, lights, environment
+//      draw       — 6. background and mesh queues
+//      postRender — 7. scene.postRender hook and output resolve
+//
+// Counts and timings restart with every render() call while
+// `autoReset` is true; set it to false to accumulate several renders
+// (e.g. multiple views per frame) and call reset() yourself.
+//
+// Usage:
+//   renderer.render(scene, camera);
+//   const { calls, triangles } = renderer.info.render;
+//   const { textureBytes } = renderer.info.memory;
+//
+// ===============================================================
+
+/** render() steps timed, in pipeline order. */
+const RENDER_STEPS = ['clear', 'preRender', 'camera', 'collect', 'prepare', 'draw', 'postRender'];
+
+class WebGLInfo {
+  constructor() {
+    /** @type {boolean} Whether render() resets counts and timings first. */
+    this.autoReset = true;
+
+    /**
+     * Per-frame counts. `frame` counts render() calls and is never reset.
+     * @type {{frame: number, calls: number, triangles: number, points: number, lines: number, culled: number}}
+     */
+    this.render = { frame: 0, calls: 0, triangles: 0, points: 0, lines: 0, culled: 0 };
+
+    /**
+     * Per-frame counts of the renderer's own passes.
+     * @type {{calls: number, triangles: number, points: number, lines: number}}
+     */
+    this.internal = { calls: 0, triangles: 0, points: 0, lines: 0 };
+
+    /**
+     * Live GPU resources and their estimated size in bytes, refreshed at the
+     * end of each render(). Textures include render target attachments;
+     * program bytes are the GLSL source size, as drivers do not expose
+     * binary sizes.
+     * @type {{geometries: number, textures: number, programs: number,
+     *         geometryBytes: number, textureBytes: number, programBytes: number, totalBytes: number}}
+     */
+    this.memory = {
+      geometries: 0, textures: 0, programs: 0,
+      geometryBytes: 0, textureBytes: 0, programBytes: 0, totalBytes: 0
+    };
+
+    /**
+     * CPU time in milliseconds of each render() step, and their sum.
+     * @type {Object.<string, number>}
+     */
+    this.timings = { total: 0 };
+    for (const step of RENDER_STEPS) this.timings[step] = 0;
+  }
+
+  /**
+   * Records one draw call.
+   * @param {number} count - Vertices (or indices) drawn per instance.
+   * @param {number} mode - GL primitive mode (gl.TRIANGLES, gl.LINES, gl.POINTS, ...).
+   * @param {number} [instanceCount=1]
+   * @param {boolean} [internal=false] - Count it in `internal` instead of `render`.
+   */
+  update(count, mode, instanceCount = 1, internal = false) {
+    const render = internal ? this.internal : this.render;
+    render.calls++;
+
+    switch (mode) {
+      case 0x0004: // TRIANGLES
+        render.triangles += instanceCount * (count / 3);
+        break;
+      case 0x0005: // TRIANGLE_STRIP
+      case 0x0006: // TRIANGLE_FAN
+        render.triangles += instanceCount * Math.max(count - 2, 0);
+        break;
+      case 0x0001: // LINES
+        render.lines += instanceCount * (count / 2);
+        break;
+      case 0x0003: // LINE_STRIP
+        render.lines += instanceCount * Math.max(count - 1, 0);
+        break;
+      case 0x0002: // LINE_LOOP
+        render.lines += instanceCount * count;
+        break;
+      case 0x0000: // POINTS
+        render.points += instanceCount * count;
+        break;
+      default:
+        console.warn(`[WebGLInfo] Unknown draw mode 0x${mode?.toString(16)}.`);
+    }
+  }
+
+  /**
+   * Adds the time elapsed since `start` to a render step.
+   * @param {string} step - One of the render step names.
+   * @param {number} start - performance.now() when the step began.
+   * @returns {number} The current time, start of the next step.
+   */
+  endStep(step, start) {
+    const now = performance.now();
+    this.timings[step] += now - start;
+    this.timings.total += now - start;
+    return now;
+  }
+
+  /** Zeroes the per-frame counts and timings (not `frame` or `memory`). */
+  reset() {
+    const render = this.render;
+    render.calls = render.triangles = render.points = render.lines = render.culled = 0;
+    const internal = this.internal;
+    internal.calls = internal.triangles = internal.points = internal.lines = 0;
+    for (const step of Object.keys(this.timings)) this.timings[step] = 0;
+  }
+}
+
+export { WebGLInfo };
@@ -0,0 +1,179 @@
+// ===============================================================
+// WebGLLights.js — Scene Light Uniforms for WebGLRenderer
+// ===============================================================
+//
+// Core purpose:
+//  • Flattens the lights collected during scene traversal into the
+//    uniform arrays declared by the lights_pars_begin chunk (world
+//    space, colors premultiplied by intensity).
+//  • Orders shadow-casting lights first, matching the shadow arrays
+//    built by WebGLShadowMap, so light i uses shadow i.
+//  • Uploads the arrays once per program per frame.
+//
+// Lights beyond the MAX_*_LIGHTS limits are ignored.
+//
+// ===============================================================
+
+import {
+  MAX_DIRECTIONAL_LIGHTS, MAX_POINT_LIGHTS, MAX_SPOT_LIGHTS, MAX_HEMISPHERE_LIGHTS
+} from './shaders/ShaderChunk.js';
+
+class WebGLLights {
+  constructor() {
+    /**
+     * Uniform values of the current frame, keyed by uniform name.
+     * @type {Object.<string, number|Float32Array>}
+     */
+    this.uniforms = {
+      ambientLightColor: new Float32Array(3),
+
+      directionalLightCount: 0,
+      directionalLightColor: new Float32Array(MAX_DIRECTIONAL_LIGHTS * 3),
+      directionalLightDirection: new Float32Array(MAX_DIRECTIONAL_LIGHTS * 3),
+
+      pointLightCount: 0,
+      pointLightColor: new Float32Array(MAX_POINT_LIGHTS * 3),
+      pointLightPosition: new Float32Array(MAX_POINT_LIGHTS * 3),
+      pointLightDistanceDecay: new Float32Array(MAX_POINT_LIGHTS * 2),
+
+      spotLightCount: 0,
+      spotLightColor: new Float32Array(MAX_SPOT_LIGHTS * 3),
+      spotLightPosition: new Float32Array(MAX_SPOT_LIGHTS * 3),
+      spotLightDirection: new Float32Array(MAX_SPOT_LIGHTS * 3),
+      spotLightDistanceDecay: new Float32Array(MAX_SPOT_LIGHTS * 2),
+      spotLightCone: new Float32Array(MAX_SPOT_LIGHTS * 2),
+
+      hemisphereLightCount: 0,
+      hemisphereLightSkyColor: new Float32Array(MAX_HEMISPHERE_LIGHTS * 3),
+      hemisphereLightGroundColor: new Float32Array(MAX_HEMISPHERE_LIGHTS * 3),
+      hemisphereLightDirection: new Float32Array(MAX_HEMISPHERE_LIGHTS * 3)
+    };
+
+    /** @type {number} Bumped by every setup(); programs re-upload when it changes. */
+    this.version = 0;
+
+    /** @private Last uploaded version per program. */
+    this._programVersions = new WeakMap();
+  }
+
+  /**
+   * Rebuilds the uniform arrays from this frame's lights.
+   * Must run after the shadow maps so the shadowed light order is known.
+   * @param {Light[]} lights - Visible lights from the scene traversal.
+   * @param {WebGLShadowMap} shadowMap
+   */
+  setup(lights, shadowMap) {
+    const u = this.uniforms;
+    u.ambientLightColor.fill(0);
+
+    const directional = orderByShadow(lights.filter(l => l.isDirectionalLight), shadowMap.uniforms.directional.lights);
+    const point = orderByShadow(lights.filter(l => l.isPointLight), shadowMap.uniforms.point.lights);
+    const spot = orderByShadow(lights.filter(l => l.isSpotLight), shadowMap.uniforms.spot.lights);
+    const hemisphere = lights.filter(l => l.isHemisphereLight);
+
+    for (const light of lights) {
+      if (!light.isAmbientLight) continue;
+      u.ambientLightColor[0] += light.color.r * light.intensity;
+      u.ambientLightColor[1] += light.color.g * light.intensity;
+      u.ambientLightColor[2] += light.color.b * light.intensity;
+    }
+
+    u.directionalLightCount = Math.min(directional.length, MAX_DIRECTIONAL_LIGHTS);
+    for (let i = 0; i < u.directionalLightCount; i++) {
+      const light = directional[i];
+      writeColor(u.directionalLightColor, i, light.color, light.intensity);
+      writeDirection(u.directionalLightDirection, i, light, light.target);
+    }
+
+    u.pointLightCount = Math.min(point.length, MAX_POINT_LIGHTS);
+    for (let i = 0; i < u.pointLightCount; i++) {
+      const light = point[i];
+      writeColor(u.pointLightColor, i, light.color, light.intensity);
+      writePosition(u.pointLightPosition, i, light);
+      u.pointLightDistanceDecay[i * 2] = light.distance;
+      u.pointLightDistanceDecay[i * 2 + 1] = light.decay;
+    }
+
+    u.spotLightCount = Math.min(spot.length, MAX_SPOT_LIGHTS);
+    for (let i = 0; i < u.spotLightCount; i++) {
+      const light = spot[i];
+      writeColor(u.spotLightColor, i, light.color, light.intensity);
+      writePosition(u.spotLightPosition, i, light);
+      writeDirection(u.spotLightDirection, i, light, light.target);
+      u.spotLightDistanceDecay[i * 2] = light.distance;
+      u.spotLightDistanceDecay[i * 2 + 1] = light.decay;
+      u.spotLightCone[i * 2] = Math.cos(light.angle);
+      u.spotLightCone[i * 2 + 1] = Math.cos(light.angle * (1 - light.penumbra));
+    }
+
+    u.hemisphereLightCount = Math.min(hemisphere.length, MAX_HEMISPHERE_LIGHTS);
+    for (let i = 0; i < u.hemisphereLightCount; i++) {
+      const light = hemisphere[i];
+      writeColor(u.hemisphereLightSkyColor, i, light.color, light.intensity);
+      writeColor(u.hemisphereLightGroundColor, i, light.groundColor, light.intensity);
+      writeDirection(u.hemisphereLightDirection, i, light, null);
+    }
+
+    this.version++;
+  }
+
+  /**
+   * Uploads the light uniforms a program declares, once per frame.
+   * @param {WebGLRenderingContext} gl
+   * @param {ShaderMaterial} material - Bound material.
+   */
+  setUniforms(gl, material) {
+    const info = material.programInfo?.uniforms;
+    if (!info || !material.program) return;
+    if (!info.ambientLightColor && !info.directionalLightCount && !info.pointLightCount &&
+        !info.spotLightCount && !info.hemisphereLightCount) return;
+    if (this._programVersions.get(material.program) === this.version) return;
+
+    for (const [name, value] of Object.entries(this.uniforms)) {
+      const uniform = info[name];
+      if (!uniform) continue;
+      if (typeof value === 'number') gl.uniform1i(uniform.location, value);
+      else if (name.endsWith('DistanceDecay') || name === 'spotLightCone') gl.uniform2fv(uniform.location, value);
+      else gl.uniform3fv(uniform.location, value);
+    }
+
+    this._programVersions.set(material.program, this.version);
+  }
+}
+
+// --------------------------------------------------
+// Helpers
+// --------------------------------------------------
+
+/** Shadowed lights (in shadow map order) first, then the rest. */
+function orderByShadow(lights, shadowed) {
+  return shadowed.concat(lights.filter(light => !shadowed.includes(light)));
+}
+
+function writeColor(out, i, color, intensity) {
+  out[i * 3] = color.r * intensity;
+  out[i * 3 + 1] = color.g * intensity;
+  out[i * 3 + 2] = color.b * intensity;
+}
+
+function writePosition(out, i, light) {
+  const e = light.matrixWorld.elements;
+  out[i * 3] = e[12];
+  out[i * 3 + 1] = e[13];
+  out[i * 3 + 2] = e[14];
+}
+
+/** Normalized direction from the target (world origin when null) to the light. */
+function writeDirection(out, i, light, target) {
+  const e = light.matrixWorld.elements;
+  const t = target?.matrixWorld?.elements;
+  const x = e[12] - (t ? t[12] : 0);
+  const y = e[13] - (t ? t[13] : 0);
+  const z = e[14] - (t ? t[14] : 0);
+  const length = Math.hypot(x, y, z) || 1;
+  out[i * 3] = x / length;
+  out[i * 3 + 1] = y / length;
+  out[i * 3 + 2] = z / length;
+}
+
+export { WebGLLights };
@@ -0,0 +1,431 @@
+// ===============================================================
+// WebGLPicker.js — GPU Object Picking for WebGLRenderer
+// ===============================================================
+//
+// Core purpose:
+//  • Finds the objects under a canvas pixel or rectangle by drawing
+//    ids instead of colors, so the answer matches what the GPU drew,
+//    instanced meshes and vertex shader displacement included.
+//  • Only the picked pixels are rendered: the camera projection is
+//    narrowed onto them and drawn into a target of the same size.
+//    Up to three passes, read back after each:
+//      ids       — visible mesh number per pixel
+//      instances — instance number, when an InstancedMesh was hit
+//      depth     — window depth, for single-pixel picks
+//
+// ShaderMaterials keep their own vertex shader (and its uniforms and
+// textures) behind the picking fragment stage, compiled as GLSL 3.00
+// when their vertex shader is; engine materials use PickShader.
+// Picking draws are left out of renderer.drawCalls and renderer.info.
+// Coordinates are canvas drawing buffer pixels from the top-left
+// corner, e.g. event.offsetX * canvas.width / canvas.clientWidth.
+//
+// Usage:
+//   const hit = renderer.pick(scene, camera, x, y);
+//   if (hit) select(hit.object, hit.instanceId);
+//   const marquee = renderer.pickRect(scene, camera, x, y, width, height);
+//
+// ===============================================================
+
+import { RenderTarget } from './RenderTarget.js';
+import { Texture } from '../core/Texture.js';
+import { ShaderMaterial } from '../materials/ShaderMaterial.js';
+import { Frustum, multiplyMatrices } from '../math/Frustum.js';
+import { PickShader } from './shaders/PickShader.js';
+
+// Values of PickShader's `pickMode` uniform
+const PICK_OBJECT = 0;
+const PICK_INSTANCE = 1;
+const PICK_DEPTH = 2;
+
+const NO_ID = [0, 0, 0];
+
+// `#version` directive, which must precede everything but comments
+const VERSION_LINE = /^(\s|\/\/[^\n]*\n|\/\*[\s\S]*?\*\/)*#version[^\n]*\n/;
+const GLSL3_VERSION = /^(\s|\/\/[^\n]*\n|\/\*[\s\S]*?\*\/)*#version\s+300\s+es/;
+
+// Runs PickShader's GLSL 1.00 fragment stage as GLSL 3.00
+const GLSL3_FRAGMENT_PREFIX = `#version 300 es
+#define varying in
+#define gl_FragColor pickFragColor
+out highp vec4 pickFragColor;
+`;
+
+class WebGLPicker {
+  /**
+   * @param {WebGLRenderer} renderer
+   */
+  constructor(renderer) {
+    /** @type {WebGLRenderer} */
+    this.renderer = renderer;
+
+    /** @private Id / depth targets: 1×1 for pick(), sized to the rectangle for pickRect(). */
+    this._pixelTarget = null;
+    this._rectTarget = null;
+
+    /** @private Target of the pick in progress. */
+    this._target = null;
+
+    /** @private Built-in picking materials by variant. */
+    this._materials = new Map();
+
+    /** @private Picking materials derived from ShaderMaterials, by source. */
+    this._derived = new WeakMap();
+
+    /** @private Camera stand-in with the projection narrowed to the picked pixels. */
+    this._camera = { viewMatrix: null, matrixWorld: null, projectionMatrix: { elements: new Float32Array(16) } };
+
+    /** @private */
+    this._frustum = new Frustum();
+    this._viewProjection = new Float32Array(16);
+    this._pixels = new Uint8Array(4);
+  }
+
+  /**
+   * Returns the front-most object drawn at a canvas pixel.
+   * @param {Scene} scene
+   * @param {Camera} camera - With up-to-date projection and view matrices.
+   * @param {number} x - Pixels from the left edge of the canvas.
+   * @param {number} y - Pixels from the top edge of the canvas.
+   * @returns {{object: Mesh, instanceId: number|null, depth: number}|null}
+   *   `instanceId` is set for InstancedMesh hits; `depth` is the distance
+   *   in front of the camera along its view axis. Null when nothing is there.
+   */
+  pick(scene, camera, x, y) {
+    const pass = this._render(scene, camera, Math.floor(x), Math.floor(y), 1, 1, true);
+    if (!pass || pass.ids[0] === 0) return null;
+
+    const { object, instanceId } = pass.hitAt(0);
+    return { object, instanceId, depth: viewDepth(camera, unpackDepth(pass.depths, 0)) };
+  }
+
+  /**
+   * Returns every object drawn inside a canvas rectangle, each once.
+   * Objects fully hidden behind others are not reported.
+   * @param {Scene} scene
+   * @param {Camera} camera
+   * @param {number} x - Left edge, pixels from the left of the canvas.
+   * @param {number} y - Top edge, pixels from the top of the canvas.
+   * @param {number} width
+   * @param {number} height
+   * @returns {Array<{object: Mesh, instanceId: number|null}>} In no particular order.
+   */
+  pickRect(scene, camera, x, y, width, height) {
+    const left = Math.floor(Math.min(x, x + width));
+    const top = Math.floor(Math.min(y, y + height));
+    const right = Math.ceil(Math.max(x, x + width));
+    const bottom = Math.ceil(Math.max(y, y + height));
+
+    const pass = this._render(scene, camera, left, top, right - left, bottom - top, false);
+    if (!pass) return [];
+
+    const hits = new Map();
+    for (let i = 0; i < pass.ids.length; i++) {
+      if (pass.ids[i] === 0) continue;
+      const key = `${pass.ids[i]}:${pass.instances?.[i] ?? 0}`;
+      if (!hits.has(key)) hits.set(key, pass.hitAt(i));
+    }
+    return [...hits.values()];
+  }
+
+  /**
+   * Draws the id passes for a rectangle (top-left origin) clipped to the
+   * canvas viewport, and reads them back.
+   * @returns {object|null} Per-pixel ids, instance numbers and depths, or null if nothing was drawn.
+   * @private
+   */
+  _render(scene, camera, x, y, width, height, withDepth) {
+    const renderer = this.renderer;
+    if (!renderer.initialized) renderer.init();
+    if (renderer.destroyed || renderer.contextLost || !scene || !camera) return null;
+
+    camera.updateMatrixWorld?.();
+    const projection = camera.projectionMatrix?.elements;
+    const view = camera.viewMatrix?.elements;
+    if (!projection || !view) return null;
+
+    // Clip to the viewport the camera is drawn in (GL pixels, bottom-left origin)
+    const viewport = renderer.getViewport();
+    const glY = renderer.getSize().height - (y + height);
+    const x0 = Math.max(x, viewport.x);
+    const y0 = Math.max(glY, viewport.y);
+    const x1 = Math.min(x + width, viewport.x + viewport.width);
+    const y1 = Math.min(glY + height, viewport.y + viewport.height);
+    if (x1 <= x0 || y1 <= y0) return null;
+
+    const meshes = this._setupCamera(scene, camera, viewport, x0, y0, x1, y1);
+    if (meshes.length === 0) return null;
+
+    const gl = renderer.gl;
+    const previousTarget = renderer.getRenderTarget();
+    const previousCamera = renderer._currentCamera;
+    const drawCalls = renderer.drawCalls;
+    const counts = { ...renderer.info.render };
+    const w = x1 - x0;
+    const h = y1 - y0;
+
+    // Separate targets, so alternating pick() and pickRect() does not reallocate
+    if (w === 1 && h === 1) {
+      this._target = this._pixelTarget ??= createTarget(1, 1);
+    } else {
+      this._target = this._rectTarget ??= createTarget(w, h);
+      this._target.setSize(w, h);
+    }
+    renderer.setRenderTarget(this._target);
+    renderer._currentCamera = this._camera;
+    gl.clearColor(0, 0, 0, 0);
+
+    const ids = this._draw(meshes, PICK_OBJECT, w * h);
+    const hitMeshes = new Set();
+    for (const id of ids) if (id) hitMeshes.add(meshes[id - 1]);
+
+    let instances = null;
+    if ([...hitMeshes].some(mesh => mesh.isInstancedMesh)) instances = this._draw(meshes, PICK_INSTANCE, w * h);
+
+    let depths = null;
+    if (withDepth && hitMeshes.size > 0) {
+      this._drawPass(meshes, PICK_DEPTH);
+      depths = this._read(w * h).slice();
+    }
+
+    gl.clearColor(...renderer.clearColor);
+    renderer._currentCamera = previousCamera;
+    renderer.setRenderTarget(previousTarget);
+    renderer.drawCalls = drawCalls;
+    Object.assign(renderer.info.render, counts);
+
+    return {
+      ids,
+      instances,
+      depths,
+      hitAt(i) {
+        const object = meshes[ids[i] - 1];
+        const instance = instances?.[i] ?? 0;
+        return { object, instanceId: object.isInstancedMesh && instance > 0 ? instance - 1 : null };
+      }
+    };
+  }
+
+  /**
+   * Narrows the camera projection onto a pixel rectangle of the viewport
+   * and returns the visible meshes inside it.
+   * @private
+   */
+  _setupCamera(scene, camera, viewport, x0, y0, x1, y1) {
+    // Rectangle in NDC, then a clip-space scale/offset mapping it onto [-1, 1]
+    const left = (x0 - viewport.x) / viewport.width * 2 - 1;
+    const right = (x1 - viewport.x) / viewport.width * 2 - 1;
+    const bottom = (y0 - viewport.y) / viewport.height * 2 - 1;
+    const top = (y1 - viewport.y) / viewport.height * 2 - 1;
+    const sx = 2 / (right - left);
+    const sy = 2 / (top - bottom);
+    const narrow = [
+      sx, 0, 0, 0,
+      0, sy, 0, 0,
+      0, 0, 1, 0,
+      -(left + right) / 2 * sx, -(bottom + top) / 2 * sy, 0, 1
+    ];
+
+    const pickCamera = this._camera;
+    pickCamera.viewMatrix = camera.viewMatrix;
+    pickCamera.matrixWorld = camera.matrixWorld;
+    multiplyMatrices(pickCamera.projectionMatrix.elements, narrow, camera.projectionMatrix.elements);
+
+    multiplyMatrices(this._viewProjection, pickCamera.projectionMatrix.elements, camera.viewMatrix.elements);
+    const frustum = this._frustum.setFromProjectionMatrix(this._viewProjection);
+
+    const meshes = [];
+    scene.traverse(node => {
+      if (node.visible === false || !(node.type === 'Mesh' || node.isMesh) || !node.material) return;
+      if (node.frustumCulled !== false && !frustum.intersectsObject(node)) return;
+      meshes.push(node);
+    });
+    return meshes;
+  }
+
+  /**
+   * Draws one id pass and decodes it: 24-bit values per pixel, 0 where
+   * nothing was drawn.
+   * @private
+   */
+  _draw(meshes, mode, count) {
+    this._drawPass(meshes, mode);
+    const pixels = this._read(count);
+    const values = new Uint32Array(count);
+    for (let i = 0; i < count; i++) {
+      values[i] = (pixels[i * 4] << 16) | (pixels[i * 4 + 1] << 8) | pixels[i * 4 + 2];
+    }
+    return values;
+  }
+
+  /** @private */
+  _drawPass(meshes, mode) {
+    const renderer = this.renderer;
+    renderer.clear();
+
+    meshes.forEach((mesh, i) => {
+      const material = this._getMaterial(mesh);
+      material.uniforms.pickMode = mode;
+      material.uniforms.pickColor = mode === PICK_OBJECT ? packId(i + 1) : NO_ID;
+      material.doubleSided = mesh.material.doubleSided === true;
+
+      renderer.uploadGeometry(mesh.geometry);
+      renderer.uploadMaterial(material);
+      renderer.drawMesh(mesh, material);
+    });
+  }
+
+  /**
+   * Reads back the RGBA bytes of the current target.
+   * @private
+   */
+  _read(count) {
+    const gl = this.renderer.gl;
+    if (this._pixels.length < count * 4) this._pixels = new Uint8Array(count * 4);
+    gl.readPixels(0, 0, this._target.width, this._target.height, gl.RGBA, gl.UNSIGNED_BYTE, this._pixels);
+    return this._pixels;
+  }
+
+  /**
+   * Picking material for a mesh: derived from its ShaderMaterial (same
+   * vertex stage, uniforms and textures), else the built-in variant.
+   * @private
+   */
+  _getMaterial(mesh) {
+    const source = mesh.material;
+    const instanced = mesh.isInstancedMesh === true;
+    if (!this.renderer._programs.isBuiltin(source) && typeof source.vertexShader === 'string') {
+      return this._getDerivedMaterial(source, instanced);
+    }
+
+    const key = instanced ? 'instanced' : 'plain';
+    let material = this._materials.get(key);
+    if (!material) {
+      material = createMaterial(PickShader.vertexShader, PickShader.fragmentShader, instanced ? '#define INSTANCED\n#define PICK_INSTANCE\n' : '');
+      this._materials.set(key, material);
+    }
+    return material;
+  }
+
+  /**
+   * Picking material running a ShaderMaterial's vertex shader, rebuilt
+   * when that shader changes. Instanced meshes also get `instanceIndex`
+   * forwarded, when main() can be found to add it to; otherwise they are
+   * picked as whole objects. The fragment stage follows the vertex
+   * shader's GLSL version, as both stages must match to link.
+   * @private
+   */
+  _getDerivedMaterial(source, instanced) {
+    let entry = this._derived.get(source);
+    if (entry?.vertexShader !== source.vertexShader) {
+      if (entry) disposeDerived(entry, this.renderer.gl);
+      entry = { vertexShader: source.vertexShader, plain: null, instanced: null };
+      this._derived.set(source, entry);
+    }
+
+    const key = instanced ? 'instanced' : 'plain';
+    if (!entry[key]) {
+      const vertexShader = instanced ? injectInstanceIndex(source.vertexShader) : null;
+      const glsl3 = GLSL3_VERSION.test(source.vertexShader);
+      entry[key] = vertexShader
+        ? createMaterial(vertexShader, PickShader.fragmentShader, '#define PICK_INSTANCE\n', false, glsl3)
+        : createMaterial(source.vertexShader, PickShader.fragmentShader, '', false, glsl3);
+    }
+
+    const material = entry[key];
+    Object.assign(material.uniforms, source.uniforms);
+    material.textures = source.textures; // shared, never disposed here
+    return material;
+  }
+
+  /** Releases the picking materials and target. */
+  dispose() {
+    const gl = this.renderer.gl;
+    for (const material of this._materials.values()) material.dispose(gl);
+    this._materials.clear();
+    this._derived = new WeakMap(); // their programs are deleted with the renderer's material registry
+    this._pixelTarget?.dispose();
+    this._rectTarget?.dispose();
+    this._pixelTarget = this._rectTarget = this._target = null;
+  }
+}
+
+// --------------------------------------------------
+// Helpers
+// --------------------------------------------------
+
+/** @private Nearest-filtered id / depth target. */
+function createTarget(width, height) {
+  return new RenderTarget(width, height, { minFilter: Texture.NEAREST, magFilter: Texture.NEAREST });
+}
+
+/**
+ * Picking ShaderMaterial. `prefix` defines are added to the fragment
+ * stage, and to the vertex stage when it is PickShader's own. With
+ * `glsl3` the GLSL 1.00 fragment stage is compiled as GLSL 3.00.
+ * @private
+ */
+function createMaterial(vertexShader, fragmentShader, prefix, prefixVertex = true, glsl3 = false) {
+  return new ShaderMaterial({
+    vertexShader: prefixVertex ? prefix + vertexShader : vertexShader,
+    fragmentShader: glsl3 ? GLSL3_FRAGMENT_PREFIX + prefix + fragmentShader : prefix + fragmentShader,
+    uniforms: { ...PickShader.uniforms },
+    lit: false
+  });
+}
+
+/** @private */
+function disposeDerived(entry, gl) {
+  for (const material of [entry.plain, entry.instanced]) {
+    if (!material) continue;
+    material.textures = {}; // they belong to the source material
+    material.dispose(gl);
+  }
+}
+
+/**
+ * Forwards the `instanceIndex` attribute to the fragment stage of a user
+ * vertex shader, declared after its `#version` line, with `in`/`out` for
+ * GLSL 3.00. Null when its main() cannot be found.
+ * @private
+ */
+function injectInstanceIndex(vertexShader) {
+  const main = /void\s+main\s*\(\s*(void)?\s*\)\s*\{/;
+  if (!main.test(vertexShader)) return null;
+
+  const version = vertexShader.match(VERSION_LINE)?.[0] ?? '';
+  const declarations = GLSL3_VERSION.test(vertexShader)
+    ? 'in float instanceIndex;\nout float vInstanceIndex;\n'
+    : 'attribute float instanceIndex;\nvarying float vInstanceIndex;\n';
+  return version + declarations + vertexShader.slice(version.length)
+    .replace(main, match => `${match}\n  vInstanceIndex = instanceIndex;`);
+}
+
+/** 24-bit id → normalized RGB, the inverse of the byte decode in _draw. @private */
+function packId(id) {
+  return [(id >> 16 & 255) / 255, (id >> 8 & 255) / 255, (id & 255) / 255];
+}
+
+/** RGBADepthPacking bytes → window depth in [0, 1] (unpackRGBAToDepth). @private */
+function unpackDepth(pixels, i) {
+  const downscale = 255 / 256 / 255;
+  return downscale * (
+    pixels[i * 4] / (256 * 256 * 256) +
+    pixels[i * 4 + 1] / (256 * 256) +
+    pixels[i * 4 + 2] / 256 +
+    pixels[i * 4 + 3]
+  );
+}
+
+/**
+ * Window depth → distance in front of the camera along its view axis,
+ * for perspective and orthographic projections.
+ * @private
+ */
+function viewDepth(camera, depth) {
+  const p = camera.projectionMatrix.elements;
+  const ndc = depth * 2 - 1;
+  return -(p[14] - ndc * p[15]) / (ndc * p[11] - p[10]);
+}
+
+export { WebGLPicker };
@@ -0,0 +1,186 @@
+// ===============================================================
+// WebGLPrograms.js — Built-in Programs for Engine Materials
+// ===============================================================
+//
+// Core purpose:
+//  • Gives materials without their own GLSL (StandardMaterial,
+//    PhysicalMaterial) a compiled program from the built-in shader
+//    library.
+//  • Compiles one variant per feature combination (texture slots,
+//    vertex colors, instancing, lighting mode, scene environment and
+//    fog) and shares it between every material that needs the same
+//    variant.
+//  • Copies a material's uniforms and textures into its program
+//    before each draw.
+//
+// Programs are internal ShaderMaterials, so reflection, uniform
+// upload and texture binding work exactly as for user shaders. A
+// material's current variant is cached in `material._gpuRef`.
+//
+// ===============================================================
+
+import { ShaderMaterial } from '../materials/ShaderMaterial.js';
+import { PhongShader } from './shaders/PhongShader.js';
+import { PhysicalShader } from './shaders/PhysicalShader.js';
+
+/**
+ * Built-in shader per material type, with the texture slots it samples
+ * and whether those slots hold color data (decoded from sRGB).
+ */
+const BUILTIN_SHADERS = {
+  StandardMaterial: {
+    shader: PhongShader,
+    maps: { map: true, specularMap: false, normalMap: false, emissionMap: true, aoMap: false },
+    getDefines: material => [material.phong !== false && 'PHONG']
+  },
+  PhysicalMaterial: {
+    shader: PhysicalShader,
+    maps: { map: true, metalnessMap: false, roughnessMap: false, normalMap: false, aoMap: false },
+    getDefines: () => []
+  }
+};
+
+class WebGLPrograms {
+  /**
+   * @param {WebGLRenderer} renderer
+   */
+  constructor(renderer) {
+    /** @type {WebGLRenderer} */
+    this.renderer = renderer;
+
+    /** @private Compiled (or failed) variants by key. */
+    this._programs = new Map();
+  }
+
+  /** @returns {ShaderMaterial[]} Every compiled variant. */
+  get programs() {
+    return [...this._programs.values()].filter(program => program.compiled);
+  }
+
+  /**
+   * Whether a material is drawn with a built-in program.
+   * @param {Material} material
+   * @returns {boolean}
+   */
+  isBuiltin(material) {
+    return !material.vertexShader && BUILTIN_SHADERS[material.type] !== undefined;
+  }
+
+  /**
+   * Returns the program variant for drawing `mesh` with `material`,
+   * compiling it on first use. Texture slots are uploaded here, so a
+   * slot only enables its define once its texture exists on the GPU.
+   * @param {Material} material - A material with a built-in shader.
+   * @param {Mesh|null} [mesh] - Mesh drawn (vertex colors, instancing); null for the plain variant.
+   * @returns {ShaderMaterial|null} Null if the variant failed to compile; a
+   *   failed variant is remembered and not compiled again.
+   */
+  acquire(material, mesh = null) {
+    const builtin = BUILTIN_SHADERS[material.type];
+
+    for (const slot of Object.keys(builtin.maps)) {
+      const texture = material[slot];
+      if (texture?.image && !texture.disposed) this.renderer.uploadTexture(texture);
+    }
+
+    const defines = this._getDefines(material, mesh, builtin);
+    const key = `${material.type}|${defines.join('|')}`;
+    if (material._gpuRef?.key === key && material._gpuRef.program.compiled) return material._gpuRef.program;
+
+    let program = this._programs.get(key);
+    if (!program) {
+      const prefix = defines.map(name => `#define ${name}\n`).join('');
+      program = new ShaderMaterial({
+        name: `${material.type}Program`,
+        vertexShader: prefix + builtin.shader.vertexShader,
+        fragmentShader: prefix + builtin.shader.fragmentShader
+      });
+      if (!this.renderer.isWebGL2 && defines.includes('USE_NORMALMAP')) {
+        this.renderer.gl.getExtension('OES_standard_derivatives');
+      }
+      program.compile(this.renderer.gl);
+      this._programs.set(key, program);
+    }
+    if (!program.compiled) return null;
+
+    material._gpuRef = { key, program };
+    return program;
+  }
+
+  /**
+   * Copies a material's uniforms and ready texture slots into its program.
+   * Call right before program.bind().
+   * @param {ShaderMaterial} program
+   * @param {Material} material
+   */
+  setMaterial(program, material) {
+    const builtin = BUILTIN_SHADERS[material.type];
+    program.uniforms = material.getUniforms();
+    program.textures = {};
+    for (const slot of Object.keys(builtin.maps)) {
+      if (isTextureReady(material[slot])) program.textures[slot] = material[slot];
+    }
+  }
+
+  /**
+   * Feature defines of a material/mesh pair, sorted so equal sets share a key.
+   * @private
+   */
+  _getDefines(material, mesh, builtin) {
+    const defines = builtin.getDefines(material, mesh).filter(Boolean);
+
+    for (const [slot, isColor] of Object.entries(builtin.maps)) {
+      const texture = material[slot];
+      if (!isTextureReady(texture)) continue;
+      defines.push(`USE_${slot.toUpperCase()}`);
+      if (isColor && texture.colorSpace === 'sRGB') defines.push(`${slot.toUpperCase()}_SRGB`);
+    }
+
+    if (material.lit !== false) {
+      defines.push('LIT');
+      if (this.renderer._environment?.current) defines.push('USE_ENVMAP');
+    }
+    const fog = this.renderer._currentFog;
+    if (fog && material.fog !== false) {
+      defines.push('USE_FOG');
+      if (fog.isFogExp2) defines.push('FOG_EXP2');
+    }
+    if (material.doubleSided) defines.push('DOUBLE_SIDED');
+    if (material.vertexColors && mesh?.geometry?.hasAttribute?.('color')) defines.push('USE_COLOR');
+    if (mesh?.isInstancedMesh) {
+      defines.push('USE_INSTANCING');
+      if (mesh.instanceColor) defines.push('USE_INSTANCING_COLOR');
+    }
+
+    return defines.sort();
+  }
+
+  /**
+   * Forgets every variant without deleting it, after a context loss: the
+   * programs belong to the lost context. Variants compile again on next use.
+   */
+  reset() {
+    for (const program of this._programs.values()) {
+      program.program = null;
+      program.programInfo = null;
+      program.compiled = false;
+    }
+    this._programs.clear();
+  }
+
+  /** Deletes every compiled variant. */
+  dispose() {
+    for (const program of this._programs.values()) {
+      program.textures = {}; // the textures belong to the materials
+      program.dispose(this.renderer.gl);
+    }
+    this._programs.clear();
+  }
+}
+
+/** @private */
+function isTextureReady(texture) {
+  return !!texture && !texture.disposed && !!texture._glTexture;
+}
+
+export { WebGLPrograms };
@@ -0,0 +1,387 @@
+// ===============================================================
+// WebGLShadowMap.js — Shadow Map Rendering for WebGLRenderer
+// ===============================================================
+//
+// Core purpose:
+//  • Renders a depth map for every visible shadow-casting light
+//    (directional, spot, point) from the meshes with castShadow.
+//  • Packs the per-light shadow data (maps, matrices, bias, radius,
+//    map size) into the uniform layout of the shadowmap_pars_fragment
+//    chunk and binds it for receiving materials.
+//
+// Depth storage:
+//  • WebGL2 with EXT_color_buffer_float — float depth (NEAREST).
+//  • Otherwise — RGBA8 with RGBADepthPacking.
+//  • VSMShadowMap — half-float depth moments, blurred by radius;
+//    needs float targets and falls back to PCF without them.
+//
+// Usage:
+//   renderer.shadowMap.enabled = true;
+//   renderer.shadowMap.type = PCFSoftShadowMap;
+//   light.castShadow = true;
+//   light.shadow.mapSize.set(1024, 1024);
+//   mesh.castShadow = floor.receiveShadow = true;
+//
+// ===============================================================
+
+import { RenderTarget } from './RenderTarget.js';
+import { Texture } from '../core/Texture.js';
+import { ShaderMaterial } from '../materials/ShaderMaterial.js';
+import { FullScreenQuad } from '../postprocessing/Pass.js';
+import { Frustum } from '../math/Frustum.js';
+import { ShadowDepthShader, VSMBlurShader } from './shaders/ShadowShader.js';
+import { MAX_DIRECTIONAL_SHADOWS, MAX_SPOT_SHADOWS, MAX_POINT_SHADOWS } from './shaders/ShaderChunk.js';
+import {
+  PCFShadowMap, VSMShadowMap, UnsignedByteType, HalfFloatType, FloatType
+} from '../constants/Constants.js';
+
+// Encoding written by the depth shader (its `depthMode` uniform)
+const DEPTH_PACKED = 0;
+const DEPTH_FLOAT = 1;
+const DEPTH_VSM = 2;
+
+class WebGLShadowMap {
+  /**
+   * @param {WebGLRenderer} renderer
+   */
+  constructor(renderer) {
+    /** @type {WebGLRenderer} */
+    this.renderer = renderer;
+
+    /** @type {boolean} Render and sample shadow maps. */
+    this.enabled = false;
+
+    /** @type {number} Filter mode (`*ShadowMap` constant). */
+    this.type = PCFShadowMap;
+
+    /** @type {boolean} Re-render maps every frame. */
+    this.autoUpdate = true;
+
+    /** @type {boolean} Re-render maps on the next frame when autoUpdate is off. */
+    this.needsUpdate = false;
+
+    /**
+     * Shadow data per light type, rebuilt every frame. `lights` lists the
+     * shadowed lights in uniform order; light uniforms must put them first.
+     * @type {Object.<string, {lights: Object3D[], maps: MaterialTexture[], matrix: Float32Array, params: Float32Array, nearFar?: Float32Array}>}
+     */
+    this.uniforms = {
+      directional: createUniformGroup(MAX_DIRECTIONAL_SHADOWS),
+      spot: createUniformGroup(MAX_SPOT_SHADOWS),
+      point: createUniformGroup(MAX_POINT_SHADOWS, true)
+    };
+
+    /** @private Whether float color targets can be rendered (resolved on first render). */
+    this._floatSupported = null;
+
+    /** @private Depth encoding each light's map was created with. */
+    this._mapModes = new WeakMap();
+
+    /** @private */
+    this._depthMaterial = null;
+    this._depthMaterialInstanced = null;
+    this._blurQuad = null;
+
+    /** @private */
+    this._frustum = new Frustum();
+    this._viewProjection = new Float32Array(16);
+    this._lightPosition = [0, 0, 0];
+    this._nearFar = [0, 1];
+  }
+
+  // --------------------------------------------------
+  // Capabilities
+  // --------------------------------------------------
+
+  /**
+   * Filter mode actually used: VSM needs float targets and becomes PCF without them.
+   * @returns {number}
+   */
+  getEffectiveType() {
+    if (this.type === VSMShadowMap && !this._isFloatSupported()) return PCFShadowMap;
+    return this.type;
+  }
+
+  /**
+   * Whether maps store float depth instead of RGBA-packed depth.
+   * @returns {boolean}
+   */
+  usesFloatDepth() {
+    return this._isFloatSupported();
+  }
+
+  /** @private */
+  _isFloatSupported() {
+    if (this._floatSupported === null) {
+      const renderer = this.renderer;
+      this._floatSupported = renderer.isWebGL2 && !!renderer.gl.getExtension('EXT_color_buffer_float');
+    }
+    return this._floatSupported;
+  }
+
+  // --------------------------------------------------
+  // Rendering
+  // --------------------------------------------------
+
+  /**
+   * Renders the maps of the given lights and rebuilds the shadow uniforms.
+   * Called by the renderer before the main draw loop.
+   * @param {Object3D[]} lights - Visible lights with castShadow and a `shadow`.
+   * @param {Mesh[]} casters - Visible meshes with castShadow.
+   */
+  render(lights, casters) {
+    for (const group of Object.values(this.uniforms)) group.lights.length = group.maps.length = 0;
+    if (!this.enabled || lights.length === 0) return;
+
+    const renderer = this.renderer;
+    const gl = renderer.gl;
+    const previousTarget = renderer.getRenderTarget();
+    const update = this.autoUpdate || this.needsUpdate;
+
+    for (const light of lights) {
+      const group = light.isPointLight ? this.uniforms.point
+        : light.isSpotLight ? this.uniforms.spot
+        : light.isDirectionalLight ? this.uniforms.directional
+        : null;
+      if (!group || group.lights.length >= group.matrix.length / 16) continue;
+
+      const shadow = light.shadow;
+      const mode = this._getDepthMode(light);
+      this._setupMap(shadow, mode);
+
+      if (update || shadow.needsUpdate) {
+        renderer.setRenderTarget(shadow.map);
+        gl.clearColor(1, 1, 1, 1);
+        renderer.clear();
+
+        for (let face = 0; face < shadow.viewportCount; face++) {
+          shadow.updateMatrices(light, face);
+          const [x, y, width, height] = shadow.getViewport(face);
+          gl.viewport(x, y, width, height);
+          this._renderCasters(light, shadow, casters, mode);
+        }
+
+        if (mode === DEPTH_VSM) this._blurMap(shadow);
+        shadow.needsUpdate = false;
+      }
+
+      this._writeUniforms(group, light, shadow);
+    }
+
+    gl.clearColor(...renderer.clearColor);
+    renderer.setRenderTarget(previousTarget);
+    this.needsUpdate = false;
+  }
+
+  /**
+   * Depth encoding for a light's map. Point lights never use VSM.
+   * @private
+   */
+  _getDepthMode(light) {
+    if (!this._isFloatSupported()) return DEPTH_PACKED;
+    return this.type === VSMShadowMap && !light.isPointLight ? DEPTH_VSM : DEPTH_FLOAT;
+  }
+
+  /**
+   * Creates (or recreates after a mode change) and sizes the map of a shadow.
+   * @private
+   */
+  _setupMap(shadow, mode) {
+    if (shadow.map && this._mapModes.get(shadow) !== mode) shadow.dispose();
+
+    const { width, height } = shadow.getMapSize();
+
+    if (!shadow.map) {
+      const filter = mode === DEPTH_VSM ? Texture.LINEAR : Texture.NEAREST;
+      const options = {
+        type: mode === DEPTH_VSM ? HalfFloatType : mode === DEPTH_FLOAT ? FloatType : UnsignedByteType,
+        minFilter: filter,
+        magFilter: filter
+      };
+      shadow.map = new RenderTarget(width, height, options);
+      if (mode === DEPTH_VSM) shadow.mapPass = new RenderTarget(width, height, { ...options, depthBuffer: false });
+      this._mapModes.set(shadow, mode);
+    }
+
+    shadow.map.setSize(width, height);
+    shadow.mapPass?.setSize(width, height);
+  }
+
+  /**
+   * Draws the casters inside the current shadow camera with the depth material.
+   * @private
+   */
+  _renderCasters(light, shadow, casters, mode) {
+    const renderer = this.renderer;
+    const viewProjection = shadow.getViewProjectionMatrix(this._viewProjection);
+    const frustum = this._frustum.setFromProjectionMatrix(viewProjection);
+
+    const e = light.matrixWorld.elements;
+    this._lightPosition[0] = e[12];
+    this._lightPosition[1] = e[13];
+    this._lightPosition[2] = e[14];
+    this._nearFar[0] = shadow.camera.near;
+    this._nearFar[1] = light.distance || shadow.camera.far;
+
+    for (const mesh of casters) {
+      if (mesh.frustumCulled !== false && !frustum.intersectsObject(mesh)) continue;
+
+      const material = this._getDepthMaterial(mesh);
+      material.uniforms.shadowViewProjection = viewProjection;
+      material.uniforms.depthMode = mode;
+      material.uniforms.distanceDepth = shadow.isPointLightShadow === true;
+      material.uniforms.lightPosition = this._lightPosition;
+      material.uniforms.nearFar = this._nearFar;
+      material.doubleSided = mesh.material?.doubleSided === true;
+
+      renderer.uploadGeometry(mesh.geometry);
+      renderer.uploadMaterial(material);
+      renderer.drawMesh(mesh, material);
+    }
+  }
+
+  /**
+   * Returns the shared depth material (instanced variant for InstancedMesh).
+   * @private
+   */
+  _getDepthMaterial(mesh) {
+    if (mesh.isInstancedMesh) {
+      this._depthMaterialInstanced ??= createDepthMaterial('#define INSTANCED\n');
+      return this._depthMaterialInstanced;
+    }
+    this._depthMaterial ??= createDepthMaterial('');
+    return this._depthMaterial;
+  }
+
+  /**
+   * Separable blur of the VSM moments: map → mapPass (horizontal) → map (vertical).
+   * @private
+   */
+  _blurMap(shadow) {
+    const renderer = this.renderer;
+
+    if (!this._blurQuad) {
+      const material = new ShaderMaterial({ ...VSMBlurShader, depthTest: false, depthWrite: false });
+      this._blurQuad = new FullScreenQuad(material);
+    }
+
+    const material = this._blurQuad.material;
+    material.uniforms.resolution = [shadow.map.width, shadow.map.height];
+    material.uniforms.radius = shadow.radius;
+
+    material.uniforms.direction = [1, 0];
+    material.textures.shadowPass = shadow.map.texture;
+    renderer.setRenderTarget(shadow.mapPass);
+    this._blurQuad.render(renderer);
+
+    material.uniforms.direction = [0, 1];
+    material.textures.shadowPass = shadow.mapPass.texture;
+    renderer.setRenderTarget(shadow.map);
+    this._blurQuad.render(renderer);
+  }
+
+  /**
+   * Appends a light's map, matrix and parameters to its uniform group.
+   * @private
+   */
+  _writeUniforms(group, light, shadow) {
+    const i = group.lights.length;
+    group.lights.push(light);
+    group.maps.push(shadow.map.texture);
+    group.matrix.set(shadow.matrix, i * 16);
+    group.params.set([shadow.bias, shadow.normalBias, shadow.radius, shadow.mapSize.x], i * 4);
+    if (group.nearFar) group.nearFar.set([shadow.camera.near, light.distance || shadow.camera.far], i * 2);
+  }
+
+  // --------------------------------------------------
+  // Uniform Binding
+  // --------------------------------------------------
+
+  /**
+   * Uploads shadow uniforms for a draw. Programs without the shadow
+   * chunk are skipped. Maps are bound to the texture units following the
+   * program's own textures.
+   * @param {WebGLRenderingContext} gl
+   * @param {ShaderMaterial} program - Bound program.
+   * @param {Mesh} mesh
+   * @param {Material} [material=program] - Material drawn (for built-in programs).
+   * @returns {number} First texture unit left free.
+   */
+  setUniforms(gl, program, mesh, material = program) {
+    const uniforms = program.programInfo?.uniforms;
+    let unit = Object.keys(program.textures ?? {}).length;
+    if (!uniforms?.receiveShadow) return unit;
+
+    const receive = this.enabled && (mesh.receiveShadow === true || material.receiveShadow === true);
+    gl.uniform1i(uniforms.receiveShadow.location, receive ? 1 : 0);
+    if (!receive) return unit;
+
+    setInt(gl, uniforms.shadowMapType, this.getEffectiveType());
+    setInt(gl, uniforms.shadowFloatDepth, this.usesFloatDepth() ? 1 : 0);
+
+    for (const [type, group] of Object.entries(this.uniforms)) {
+      const count = group.lights.length;
+      setInt(gl, uniforms[`${type}ShadowCount`], count);
+      if (count === 0) continue;
+
+      // Unused slots point at the unit after the last map; they are never sampled
+      const units = new Int32Array(group.matrix.length / 16).fill(unit + count);
+      group.maps.forEach((texture, i) => {
+        texture.activate(gl, unit + i);
+        units[i] = unit + i;
+      });
+      unit += count;
+
+      const map = uniforms[`${type}ShadowMap`];
+      if (map) gl.uniform1iv(map.location, units);
+      const matrix = uniforms[`${type}ShadowMatrix`];
+      if (matrix) gl.uniformMatrix4fv(matrix.location, false, group.matrix);
+      const params = uniforms[`${type}ShadowParams`];
+      if (params) gl.uniform4fv(params.location, group.params);
+      const nearFar = uniforms[`${type}ShadowNearFar`];
+      if (nearFar) gl.uniform2fv(nearFar.location, group.nearFar);
+    }
+    return unit;
+  }
+
+  // --------------------------------------------------
+  // Cleanup
+  // --------------------------------------------------
+
+  /** Releases the depth and blur materials (light maps belong to their shadows). */
+  dispose() {
+    const gl = this.renderer.gl;
+    this._depthMaterial?.dispose(gl);
+    this._depthMaterialInstanced?.dispose(gl);
+    this._blurQuad?.material.dispose(gl);
+    this._depthMaterial = this._depthMaterialInstanced = this._blurQuad = null;
+  }
+}
+
+/** @private */
+function createUniformGroup(max, withNearFar = false) {
+  return {
+    lights: [],
+    maps: [],
+    matrix: new Float32Array(max * 16),
+    params: new Float32Array(max * 4),
+    nearFar: withNearFar ? new Float32Array(max * 2) : undefined
+  };
+}
+
+/** @private */
+function createDepthMaterial(prefix) {
+  return new ShaderMaterial({
+    ...ShadowDepthShader,
+    name: 'ShadowDepthMaterial',
+    vertexShader: prefix + ShadowDepthShader.vertexShader,
+    lit: false
+  });
+}
+
+/** @private */
+function setInt(gl, info, value) {
+  if (info) gl.uniform1i(info.location, value);
+}
+
+export { WebGLShadowMap };
@@ -0,0 +1,312 @@
+// ===============================================================
+// WebGLState.js — Cached GL Render State Layer
+// ===============================================================
+//
+// Core purpose:
+//  • Translates engine enums (Constants.js) into raw GL state calls.
+//  • Applies per-material render state: depth, face culling, blending.
+//  • Remembers the last value sent to GL so redundant calls are skipped,
+//    keeping material switches cheap in large scenes.
+//
+// Usage:
+//   const state = new WebGLState(gl);
+//   state.setMaterial(material);   // before each draw
+//   state.reset();                 // after foreign code touched GL state
+//
+// ===============================================================
+
+import {
+  CullFaceNone, CullFaceBack, CullFaceFront, CullFaceFrontBack,
+  NoBlending, NormalBlending, AdditiveBlending, SubtractiveBlending, MultiplyBlending, CustomBlending,
+  AddEquation, SubtractEquation, ReverseSubtractEquation, MinEquation, MaxEquation,
+  ZeroFactor, OneFactor, SrcColorFactor, OneMinusSrcColorFactor, SrcAlphaFactor, OneMinusSrcAlphaFactor,
+  DstAlphaFactor, OneMinusDstAlphaFactor, DstColorFactor, OneMinusDstColorFactor, SrcAlphaSaturateFactor,
+  ConstantColorFactor, OneMinusConstantColorFactor, ConstantAlphaFactor, OneMinusConstantAlphaFactor,
+  NeverDepth, AlwaysDepth, LessDepth, LessEqualDepth, EqualDepth, GreaterEqualDepth, GreaterDepth, NotEqualDepth
+} from '../constants/Constants.js';
+
+/**
+ * Legacy string names accepted in `Material.blending`.
+ * @type {Object.<string, number>}
+ */
+const BLENDING_NAMES = {
+  None: NoBlending,
+  Normal: NormalBlending,
+  Additive: AdditiveBlending,
+  Subtractive: SubtractiveBlending,
+  Multiply: MultiplyBlending,
+  Custom: CustomBlending
+};
+
+// GL enum values for MIN/MAX (WebGL2 core, EXT_blend_minmax on WebGL1)
+const GL_MIN = 0x8007;
+const GL_MAX = 0x8008;
+
+class WebGLState {
+  /**
+   * @param {WebGLRenderingContext|WebGL2RenderingContext} gl
+   */
+  constructor(gl) {
+    /** @type {WebGLRenderingContext} */
+    this.gl = gl;
+
+    // WebGL1 needs the extension to be enabled before MIN/MAX are valid
+    if (!(typeof WebGL2RenderingContext !== 'undefined' && gl instanceof WebGL2RenderingContext)) {
+      gl.getExtension('EXT_blend_minmax');
+    }
+
+    this._equations = {
+      [AddEquation]: gl.FUNC_ADD,
+      [SubtractEquation]: gl.FUNC_SUBTRACT,
+      [ReverseSubtractEquation]: gl.FUNC_REVERSE_SUBTRACT,
+      [MinEquation]: GL_MIN,
+      [MaxEquation]: GL_MAX
+    };
+
+    this._factors = {
+      [ZeroFactor]: gl.ZERO,
+      [OneFactor]: gl.ONE,
+      [SrcColorFactor]: gl.SRC_COLOR,
+      [OneMinusSrcColorFactor]: gl.ONE_MINUS_SRC_COLOR,
+      [SrcAlphaFactor]: gl.SRC_ALPHA,
+      [OneMinusSrcAlphaFactor]: gl.ONE_MINUS_SRC_ALPHA,
+      [DstAlphaFactor]: gl.DST_ALPHA,
+      [OneMinusDstAlphaFactor]: gl.ONE_MINUS_DST_ALPHA,
+      [DstColorFactor]: gl.DST_COLOR,
+      [OneMinusDstColorFactor]: gl.ONE_MINUS_DST_COLOR,
+      [SrcAlphaSaturateFactor]: gl.SRC_ALPHA_SATURATE,
+      [ConstantColorFactor]: gl.CONSTANT_COLOR,
+      [OneMinusConstantColorFactor]: gl.ONE_MINUS_CONSTANT_COLOR,
+      [ConstantAlphaFactor]: gl.CONSTANT_ALPHA,
+      [OneMinusConstantAlphaFactor]: gl.ONE_MINUS_CONSTANT_ALPHA
+    };
+
+    this._depthFuncs = {
+      [NeverDepth]: gl.NEVER,
+      [AlwaysDepth]: gl.ALWAYS,
+      [LessDepth]: gl.LESS,
+      [LessEqualDepth]: gl.LEQUAL,
+      [EqualDepth]: gl.EQUAL,
+      [GreaterEqualDepth]: gl.GEQUAL,
+      [GreaterDepth]: gl.GREATER,
+      [NotEqualDepth]: gl.NOTEQUAL
+    };
+
+    this._cullFaces = {
+      [CullFaceBack]: gl.BACK,
+      [CullFaceFront]: gl.FRONT,
+      [CullFaceFrontBack]: gl.FRONT_AND_BACK
+    };
+
+    this.reset();
+  }
+
+  // --------------------------------------------------
+  // Capabilities
+  // --------------------------------------------------
+
+  /** Enables a GL capability if not already enabled. */
+  enable(cap) {
+    if (this._capabilities.get(cap) === true) return;
+    this.gl.enable(cap);
+    this._capabilities.set(cap, true);
+  }
+
+  /** Disables a GL capability if not already disabled. */
+  disable(cap) {
+    if (this._capabilities.get(cap) === false) return;
+    this.gl.disable(cap);
+    this._capabilities.set(cap, false);
+  }
+
+  // --------------------------------------------------
+  // Depth
+  // --------------------------------------------------
+
+  /** @param {boolean} enabled */
+  setDepthTest(enabled) {
+    if (enabled) this.enable(this.gl.DEPTH_TEST);
+    else this.disable(this.gl.DEPTH_TEST);
+  }
+
+  /** @param {boolean} write */
+  setDepthMask(write) {
+    if (this._depthMask === write) return;
+    this.gl.depthMask(write);
+    this._depthMask = write;
+  }
+
+  /** @param {number} depthFunc - One of the `*Depth` constants. */
+  setDepthFunc(depthFunc) {
+    if (this._depthFunc === depthFunc) return;
+    this.gl.depthFunc(this._depthFuncs[depthFunc] ?? this.gl.LEQUAL);
+    this._depthFunc = depthFunc;
+  }
+
+  // --------------------------------------------------
+  // Face Culling
+  // --------------------------------------------------
+
+  /** @param {number} cullFace - One of the `CullFace*` constants. */
+  setCullFace(cullFace) {
+    const gl = this.gl;
+    if (cullFace === CullFaceNone) {
+      this.disable(gl.CULL_FACE);
+      return;
+    }
+
+    this.enable(gl.CULL_FACE);
+    if (this._cullFace === cullFace) return;
+    gl.cullFace(this._cullFaces[cullFace] ?? gl.BACK);
+    this._cullFace = cullFace;
+  }
+
+  // --------------------------------------------------
+  // Blending
+  // --------------------------------------------------
+
+  /**
+   * Applies a blending preset, or explicit equation/factors for CustomBlending.
+   *
+   * @param {number|string} blending - `*Blending` constant or legacy name ('Normal', 'Additive', ...).
+   * @param {number} [equation] - `*Equation` constant (CustomBlending only).
+   * @param {number} [src] - `*Factor` constant (CustomBlending only).
+   * @param {number} [dst] - `*Factor` constant (CustomBlending only).
+   * @param {number} [equationAlpha] - Defaults to `equation`.
+   * @param {number} [srcAlpha] - Defaults to `src`.
+   * @param {number} [dstAlpha] - Defaults to `dst`.
+   */
+  setBlending(blending, equation, src, dst, equationAlpha, srcAlpha, dstAlpha) {
+    const gl = this.gl;
+    const mode = typeof blending === 'string' ? (BLENDING_NAMES[blending] ?? NormalBlending) : blending;
+
+    if (mode === NoBlending) {
+      this.disable(gl.BLEND);
+      this._blending = NoBlending;
+      return;
+    }
+
+    this.enable(gl.BLEND);
+
+    if (mode !== CustomBlending) {
+      if (this._blending === mode) return;
+
+      switch (mode) {
+        case AdditiveBlending:
+          this._setBlendEquation(AddEquation, AddEquation);
+          this._setBlendFunc(SrcAlphaFactor, OneFactor, SrcAlphaFactor, OneFactor);
+          break;
+        case SubtractiveBlending:
+          this._setBlendEquation(AddEquation, AddEquation);
+          this._setBlendFunc(ZeroFactor, OneMinusSrcColorFactor, ZeroFactor, OneFactor);
+          break;
+        case MultiplyBlending:
+          this._setBlendEquation(AddEquation, AddEquation);
+          this._setBlendFunc(ZeroFactor, SrcColorFactor, ZeroFactor, SrcAlphaFactor);
+          break;
+        default: // NormalBlending
+          this._setBlendEquation(AddEquation, AddEquation);
+          this._setBlendFunc(SrcAlphaFactor, OneMinusSrcAlphaFactor, OneFactor, OneMinusSrcAlphaFactor);
+          break;
+      }
+
+      this._blending = mode;
+      return;
+    }
+
+    this._setBlendEquation(equation ?? AddEquation, equationAlpha ?? equation ?? AddEquation);
+    this._setBlendFunc(
+      src ?? SrcAlphaFactor,
+      dst ?? OneMinusSrcAlphaFactor,
+      srcAlpha ?? src ?? SrcAlphaFactor,
+      dstAlpha ?? dst ?? OneMinusSrcAlphaFactor
+    );
+    this._blending = CustomBlending;
+  }
+
+  /** @private */
+  _setBlendEquation(equation, equationAlpha) {
+    if (this._blendEquation === equation && this._blendEquationAlpha === equationAlpha) return;
+    this.gl.blendEquationSeparate(this._equations[equation], this._equations[equationAlpha]);
+    this._blendEquation = equation;
+    this._blendEquationAlpha = equationAlpha;
+  }
+
+  /** @private */
+  _setBlendFunc(src, dst, srcAlpha, dstAlpha) {
+    if (this._blendSrc === src && this._blendDst === dst &&
+        this._blendSrcAlpha === srcAlpha && this._blendDstAlpha === dstAlpha) return;
+    const f = this._factors;
+    this.gl.blendFuncSeparate(f[src], f[dst], f[srcAlpha], f[dstAlpha]);
+    this._blendSrc = src;
+    this._blendDst = dst;
+    this._blendSrcAlpha = srcAlpha;
+    this._blendDstAlpha = dstAlpha;
+  }
+
+  // --------------------------------------------------
+  // Material
+  // --------------------------------------------------
+
+  /**
+   * Applies all render state carried by a material.
+   * Normal blending only takes effect on transparent materials; the other
+   * presets are applied regardless, matching their additive/multiplicative intent.
+   *
+   * @param {Material} material
+   */
+  setMaterial(material) {
+    this.setCullFace(material.doubleSided ? CullFaceNone : CullFaceBack);
+
+    this.setDepthTest(material.depthTest !== false);
+    this.setDepthMask(material.depthWrite !== false);
+    this.setDepthFunc(material.depthFunc ?? LessEqualDepth);
+
+    const blending = typeof material.blending === 'string'
+      ? (BLENDING_NAMES[material.blending] ?? NormalBlending)
+      : (material.blending ?? NormalBlending);
+    const transparent = material.transparent === true || material.opacity < 1;
+
+    if (blending === NormalBlending && !transparent) {
+      this.setBlending(NoBlending);
+    } else {
+      this.setBlending(
+        blending,
+        material.blendEquation, material.blendSrc, material.blendDst,
+        material.blendEquationAlpha, material.blendSrcAlpha, material.blendDstAlpha
+      );
+    }
+  }
+
+  // --------------------------------------------------
+  // Reset
+  // --------------------------------------------------
+
+  /**
+   * Forgets all cached values and restores the renderer's default state
+   * (depth test on, LEQUAL, back-face culling, no blending).
+   */
+  reset() {
+    const gl = this.gl;
+
+    this._capabilities = new Map();
+    this._depthMask = null;
+    this._depthFunc = null;
+    this._cullFace = null;
+    this._blending = null;
+    this._blendEquation = null;
+    this._blendEquationAlpha = null;
+    this._blendSrc = null;
+    this._blendDst = null;
+    this._blendSrcAlpha = null;
+    this._blendDstAlpha = null;
+
+    this.setDepthTest(true);
+    this.setDepthMask(true);
+    this.setDepthFunc(LessEqualDepth);
+    this.setCullFace(CullFaceBack);
+    this.setBlending(NoBlending);
+  }
+}
+
+export { WebGLState, BLENDING_NAMES };
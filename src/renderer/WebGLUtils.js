@@ -0,0 +1,172 @@
+// ===============================================================
+// WebGLUtils.js — Engine Data → GL Enum Conversions
+// ===============================================================
+//
+// Core purpose:
+//  • Maps typed arrays and engine constants onto raw GL enums.
+//  • Keeps conversion tables out of the renderer's draw path.
+//
+// ===============================================================
+
+import {
+  UnsignedByteType, ByteType, ShortType, UnsignedShortType, IntType, UnsignedIntType,
+  FloatType, HalfFloatType, UnsignedShort4444Type, UnsignedShort5551Type, UnsignedInt248Type,
+  AlphaFormat, RGBFormat, RGBAFormat, DepthFormat, DepthStencilFormat,
+  RedFormat, RedIntegerFormat, RGFormat, RGIntegerFormat, RGBIntegerFormat, RGBAIntegerFormat
+} from '../constants/Constants.js';
+
+/**
+ * Returns the GL component type matching a typed array. INT and
+ * UNSIGNED_INT (Int32Array / Uint32Array) are vertex types on WebGL2 only.
+ *
+ * @param {WebGLRenderingContext} gl
+ * @param {TypedArray} array
+ * @returns {number} gl.FLOAT, gl.UNSIGNED_BYTE, gl.SHORT, ...
+ */
+function getComponentType(gl, array) {
+  if (array instanceof Float32Array) return gl.FLOAT;
+  if (array instanceof Uint8Array || array instanceof Uint8ClampedArray) return gl.UNSIGNED_BYTE;
+  if (array instanceof Int8Array) return gl.BYTE;
+  if (array instanceof Uint16Array) return gl.UNSIGNED_SHORT;
+  if (array instanceof Int16Array) return gl.SHORT;
+  if (array instanceof Uint32Array) return gl.UNSIGNED_INT;
+  if (array instanceof Int32Array) return gl.INT;
+  return gl.FLOAT;
+}
+
+/**
+ * Whether a reflected attribute type is an integer input (int/ivec/uint/uvec),
+ * which must be fed with vertexAttribIPointer on WebGL2.
+ *
+ * @param {WebGL2RenderingContext} gl
+ * @param {number} type - Type reported by getActiveAttrib.
+ * @returns {boolean}
+ */
+function isIntegerAttributeType(gl, type) {
+  return type === gl.INT || type === gl.INT_VEC2 || type === gl.INT_VEC3 || type === gl.INT_VEC4 ||
+         type === gl.UNSIGNED_INT || type === gl.UNSIGNED_INT_VEC2 ||
+         type === gl.UNSIGNED_INT_VEC3 || type === gl.UNSIGNED_INT_VEC4;
+}
+
+/**
+ * Converts a `*Type` constant into the GL pixel type.
+ * WebGL1 half-float and packed depth-stencil types come from extensions.
+ *
+ * @param {WebGLRenderingContext} gl
+ * @param {boolean} isWebGL2
+ * @param {number} type - UnsignedByteType, HalfFloatType, FloatType, ...
+ * @returns {number}
+ */
+function convertType(gl, isWebGL2, type) {
+  switch (type) {
+    case ByteType: return gl.BYTE;
+    case ShortType: return gl.SHORT;
+    case UnsignedShortType: return gl.UNSIGNED_SHORT;
+    case IntType: return gl.INT;
+    case UnsignedIntType: return gl.UNSIGNED_INT;
+    case FloatType: return gl.FLOAT;
+    case UnsignedShort4444Type: return gl.UNSIGNED_SHORT_4_4_4_4;
+    case UnsignedShort5551Type: return gl.UNSIGNED_SHORT_5_5_5_1;
+    case HalfFloatType:
+      return isWebGL2 ? gl.HALF_FLOAT : gl.getExtension('OES_texture_half_float')?.HALF_FLOAT_OES;
+    case UnsignedInt248Type:
+      return isWebGL2 ? gl.UNSIGNED_INT_24_8 : gl.getExtension('WEBGL_depth_texture')?.UNSIGNED_INT_24_8_WEBGL;
+    default: return gl.UNSIGNED_BYTE; // UnsignedByteType
+  }
+}
+
+/**
+ * Converts a `*Format` constant into the GL pixel format.
+ *
+ * @param {WebGLRenderingContext} gl
+ * @param {number} format - RGBAFormat, RedFormat, DepthFormat, ...
+ * @returns {number}
+ */
+function convertFormat(gl, format) {
+  switch (format) {
+    case AlphaFormat: return gl.ALPHA;
+    case RGBFormat: return gl.RGB;
+    case DepthFormat: return gl.DEPTH_COMPONENT;
+    case DepthStencilFormat: return gl.DEPTH_STENCIL;
+    case RedFormat: return gl.RED;
+    case RedIntegerFormat: return gl.RED_INTEGER;
+    case RGFormat: return gl.RG;
+    case RGIntegerFormat: return gl.RG_INTEGER;
+    case RGBIntegerFormat: return gl.RGB_INTEGER;
+    case RGBAIntegerFormat: return gl.RGBA_INTEGER;
+    default: return gl.RGBA; // RGBAFormat
+  }
+}
+
+/**
+ * Resolves the (internalFormat, format, type) triple for texImage2D.
+ * WebGL2 needs sized internal formats for float and depth textures;
+ * WebGL1 takes the unsized format for both.
+ *
+ * @param {WebGLRenderingContext} gl
+ * @param {boolean} isWebGL2
+ * @param {number} format - `*Format` constant.
+ * @param {number} type - `*Type` constant.
+ * @returns {{internalFormat: number, format: number, type: number}}
+ */
+function getTextureFormats(gl, isWebGL2, format, type) {
+  const glFormat = convertFormat(gl, format);
+  const glType = convertType(gl, isWebGL2, type);
+  if (!isWebGL2) return { internalFormat: glFormat, format: glFormat, type: glType };
+
+  let internalFormat = glFormat;
+  const sized = {
+    [RGBAFormat]: ['RGBA8', 'RGBA16F', 'RGBA32F'],
+    [RGBFormat]: ['RGB8', 'RGB16F', 'RGB32F'],
+    [RGFormat]: ['RG8', 'RG16F', 'RG32F'],
+    [RedFormat]: ['R8', 'R16F', 'R32F']
+  }[format];
+
+  if (sized) {
+    const index = type === HalfFloatType ? 1 : type === FloatType ? 2 : 0;
+    internalFormat = gl[sized[index]];
+  } else if (format === DepthFormat) {
+    internalFormat = type === FloatType ? gl.DEPTH_COMPONENT32F
+      : type === UnsignedShortType ? gl.DEPTH_COMPONENT16
+      : gl.DEPTH_COMPONENT24;
+  } else if (format === DepthStencilFormat) {
+    internalFormat = gl.DEPTH24_STENCIL8;
+  }
+
+  return { internalFormat, format: glFormat, type: glType };
+}
+
+/**
+ * Estimated GPU size in bytes of a texture: every layer (6 for cube maps)
+ * and, with mipmaps, the whole chain (about 4/3 of level 0).
+ *
+ * @param {number} width
+ * @param {number} height
+ * @param {number} format - `*Format` constant.
+ * @param {number} type - `*Type` constant.
+ * @param {boolean} [mipmaps=false]
+ * @param {number} [layers=1]
+ * @returns {number}
+ */
+function getTextureByteSize(width, height, format, type, mipmaps = false, layers = 1) {
+  let bytesPerPixel;
+  if (type === UnsignedShort4444Type || type === UnsignedShort5551Type) {
+    bytesPerPixel = 2;
+  } else if (type === UnsignedInt248Type) {
+    bytesPerPixel = 4;
+  } else {
+    const components = {
+      [AlphaFormat]: 1, [RedFormat]: 1, [RedIntegerFormat]: 1, [DepthFormat]: 1, [DepthStencilFormat]: 1,
+      [RGFormat]: 2, [RGIntegerFormat]: 2, [RGBFormat]: 3, [RGBIntegerFormat]: 3
+    }[format] ?? 4;
+    const componentBytes = type === ByteType || type === UnsignedByteType ? 1
+      : type === ShortType || type === UnsignedShortType || type === HalfFloatType ? 2
+      : 4;
+    bytesPerPixel = components * componentBytes;
+  }
+
+  const level0 = width * height * bytesPerPixel * layers;
+  return mipmaps ? Math.round(level0 * 4 / 3) : level0;
+}
+
+export { getComponentType, isIntegerAttributeType, convertType, convertFormat, getTextureFormats, getTextureByteSize };
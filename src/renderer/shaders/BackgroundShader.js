@@ -0,0 +1,101 @@
+// ===============================================================
+// BackgroundShader.js — Scene Background Program
+// ===============================================================
+//
+// Core purpose:
+//  • Draws Scene.background behind everything on a full-screen
+//    triangle. The defines below select the source:
+//      BACKGROUND_PLANE   — 2D texture stretched over the screen
+//      BACKGROUND_EQUIRECT — equirect skybox
+//      BACKGROUND_CUBE    — cube map skybox
+//      BACKGROUND_BLURRED — skybox read from the prefiltered
+//                           environment atlas at `blurriness`
+//      MAP_SRGB, MAP_FLIP_Y — decode sRGB / image rows top-down
+//  • Skyboxes rebuild the view ray of each pixel from the camera's
+//    projection and world rotation, so no cube mesh is needed.
+//
+// Output is linear, scaled by `backgroundIntensity`.
+//
+// ===============================================================
+
+import { ShaderChunk } from './ShaderChunk.js';
+
+const BackgroundShader = {
+  uniforms: {
+    backgroundIntensity: 1.0,
+    blurriness: 0.0,
+    projectionParams: [1, 1, 0, 0],
+    cameraRotation: new Float32Array([1, 0, 0, 0, 1, 0, 0, 0, 1]),
+    backgroundRotation: new Float32Array([1, 0, 0, 0, 1, 0, 0, 0, 1])
+  },
+
+  vertexShader: `
+    attribute vec3 position;
+    attribute vec2 uv;
+    varying vec2 vUv;
+    void main() {
+      vUv = uv;
+      gl_Position = vec4(position.xy, 1.0, 1.0);
+    }
+  `,
+
+  fragmentShader: `
+    precision highp float;
+    uniform float backgroundIntensity;
+    uniform float blurriness;
+    uniform vec4 projectionParams; // projection[0], [5], [8], [9]
+    uniform mat3 cameraRotation;
+    uniform mat3 backgroundRotation;
+    varying vec2 vUv;
+
+    #if defined(BACKGROUND_CUBE)
+    uniform samplerCube map;
+    #elif !defined(BACKGROUND_BLURRED)
+    uniform sampler2D map;
+    #endif
+
+    ${ShaderChunk.colorspace_pars_fragment}
+    ${ShaderChunk.equirect_pars}
+
+    #ifdef BACKGROUND_BLURRED
+    ${ShaderChunk.envmap_pars_fragment}
+    #endif
+
+    void main() {
+      #ifdef BACKGROUND_PLANE
+      vec2 uv = vUv;
+      #ifdef MAP_FLIP_Y
+      uv.y = 1.0 - uv.y;
+      #endif
+      vec4 texel = texture2D(map, uv);
+      #else
+
+      // View ray of this pixel (perspective camera), in world space
+      vec2 ndc = vUv * 2.0 - 1.0;
+      vec3 viewRay = vec3((ndc + projectionParams.zw) / projectionParams.xy, -1.0);
+      vec3 direction = normalize(cameraRotation * viewRay);
+
+      #if defined(BACKGROUND_BLURRED)
+      vec4 texel = vec4(getIBLRadiance(direction, blurriness), 1.0);
+      #elif defined(BACKGROUND_CUBE)
+      direction = backgroundRotation * direction;
+      vec4 texel = textureCube(map, vec3(-direction.x, direction.y, direction.z));
+      #else
+      vec2 uv = equirectUv(backgroundRotation * direction);
+      #ifdef MAP_FLIP_Y
+      uv.y = 1.0 - uv.y;
+      #endif
+      vec4 texel = texture2D(map, uv);
+      #endif
+      #endif
+
+      #ifdef MAP_SRGB
+      texel = sRGBToLinear(texel);
+      #endif
+
+      gl_FragColor = vec4(texel.rgb * backgroundIntensity, 1.0);
+    }
+  `
+};
+
+export { BackgroundShader };
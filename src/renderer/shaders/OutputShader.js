@@ -0,0 +1,49 @@
+// ===============================================================
+// OutputShader.js — Final Tone Mapping + Color Space Conversion
+// ===============================================================
+//
+// Core purpose:
+//  • Converts a linear HDR image into displayable output: applies
+//    the renderer's tone mapping and exposure, then encodes to the
+//    output color space.
+//  • Used by OutputPass and by WebGLRenderer when it renders to the
+//    canvas through its internal HDR target.
+//
+// ===============================================================
+
+import { ShaderChunk } from './ShaderChunk.js';
+import { NoToneMapping } from '../../constants/Constants.js';
+
+const OutputShader = {
+  uniforms: {
+    toneMappingExposure: 1.0,
+    toneMappingMode: NoToneMapping,
+    outputSRGB: false
+  },
+
+  vertexShader: `
+    attribute vec3 position;
+    attribute vec2 uv;
+    varying vec2 vUv;
+    void main() {
+      vUv = uv;
+      gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+  `,
+
+  fragmentShader: `
+    precision highp float;
+    uniform sampler2D tDiffuse;
+    varying vec2 vUv;
+
+    ${ShaderChunk.tonemapping_pars_fragment}
+    ${ShaderChunk.colorspace_pars_fragment}
+
+    void main() {
+      vec4 texel = texture2D(tDiffuse, vUv);
+      gl_FragColor = linearToOutputTexel(vec4(toneMapping(texel.rgb), texel.a));
+    }
+  `
+};
+
+export { OutputShader };
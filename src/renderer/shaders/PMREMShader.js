@@ -0,0 +1,172 @@
+// ===============================================================
+// PMREMShader.js — Environment Prefiltering Programs
+// ===============================================================
+//
+// Core purpose:
+//  • EquirectConvertShader resamples an environment (equirect 2D
+//    texture, or cube map with `#define SOURCE_CUBE`) into one
+//    equirect image, decoding sRGB sources to linear.
+//  • GGXFilterShader blurs an equirect image with a GGX lobe
+//    (N = V = R), importance sampled. Run on each level in turn with
+//    the incremental roughness, so every sample reads an already
+//    smooth image.
+//  • IrradianceShader convolves radiance with a cosine lobe for
+//    diffuse lighting.
+//
+// All three are run by PMREMGenerator on a full-screen triangle
+// whose `vUv` spans the level being written.
+//
+// ===============================================================
+
+import { ShaderChunk } from './ShaderChunk.js';
+
+const vertexShader = `
+  attribute vec3 position;
+  attribute vec2 uv;
+  varying vec2 vUv;
+  void main() {
+    vUv = uv;
+    gl_Position = vec4(position.xy, 0.0, 1.0);
+  }
+`;
+
+/** Low-discrepancy sample i of n (Hammersley, radical inverse without bit ops). */
+const hammersley = `
+vec2 hammersley(float i, float n) {
+  float bits = i;
+  float scale = 0.5;
+  float inverse = 0.0;
+  for (int b = 0; b < 10; b++) {
+    inverse += mod(bits, 2.0) * scale;
+    bits = floor(bits * 0.5);
+    scale *= 0.5;
+  }
+  return vec2(i / n, inverse);
+}
+
+mat3 tangentFrame(vec3 normal) {
+  vec3 up = abs(normal.y) < 0.999 ? vec3(0.0, 1.0, 0.0) : vec3(1.0, 0.0, 0.0);
+  vec3 tangent = normalize(cross(up, normal));
+  return mat3(tangent, cross(normal, tangent), normal);
+}
+`;
+
+const EquirectConvertShader = {
+  uniforms: {},
+
+  vertexShader,
+
+  fragmentShader: `
+    precision highp float;
+    #ifdef SOURCE_CUBE
+    uniform samplerCube envSource;
+    #else
+    uniform sampler2D envSource;
+    #endif
+    varying vec2 vUv;
+
+    ${ShaderChunk.colorspace_pars_fragment}
+    ${ShaderChunk.equirect_pars}
+
+    void main() {
+      vec3 direction = equirectDirection(vUv);
+
+      #ifdef SOURCE_CUBE
+      // cube maps are authored for a viewer inside the cube: mirror x
+      vec4 texel = textureCube(envSource, vec3(-direction.x, direction.y, direction.z));
+      #else
+      vec2 uv = equirectUv(direction);
+      #ifdef SOURCE_FLIP_Y
+      uv.y = 1.0 - uv.y; // image rows start at the top (the sky)
+      #endif
+      vec4 texel = texture2D(envSource, uv);
+      #endif
+
+      #ifdef SOURCE_SRGB
+      texel = sRGBToLinear(texel);
+      #endif
+
+      gl_FragColor = vec4(texel.rgb, 1.0);
+    }
+  `
+};
+
+const GGXFilterShader = {
+  uniforms: {
+    alpha: 0.0
+  },
+
+  vertexShader,
+
+  fragmentShader: `
+    precision highp float;
+    uniform sampler2D envSource;
+    uniform float alpha;
+    varying vec2 vUv;
+
+    ${ShaderChunk.equirect_pars}
+    ${hammersley}
+
+    const int SAMPLES = 64;
+
+    void main() {
+      vec3 normal = equirectDirection(vUv);
+      mat3 frame = tangentFrame(normal);
+      float a2 = alpha * alpha;
+
+      vec3 radiance = vec3(0.0);
+      float weight = 0.0;
+      for (int i = 0; i < SAMPLES; i++) {
+        vec2 xi = hammersley(float(i), float(SAMPLES));
+        float phi = 6.283185307179586 * xi.x;
+        float cosTheta = sqrt((1.0 - xi.y) / (1.0 + (a2 - 1.0) * xi.y));
+        float sinTheta = sqrt(1.0 - cosTheta * cosTheta);
+        vec3 halfDir = frame * vec3(cos(phi) * sinTheta, sin(phi) * sinTheta, cosTheta);
+        vec3 lightDir = reflect(-normal, halfDir);
+
+        float dotNL = dot(normal, lightDir);
+        if (dotNL <= 0.0) continue;
+        radiance += texture2D(envSource, equirectUv(lightDir)).rgb * dotNL;
+        weight += dotNL;
+      }
+
+      gl_FragColor = vec4(radiance / max(weight, 0.0001), 1.0);
+    }
+  `
+};
+
+const IrradianceShader = {
+  uniforms: {},
+
+  vertexShader,
+
+  fragmentShader: `
+    precision highp float;
+    uniform sampler2D envSource;
+    varying vec2 vUv;
+
+    ${ShaderChunk.equirect_pars}
+    ${hammersley}
+
+    const int SAMPLES = 128;
+
+    void main() {
+      vec3 normal = equirectDirection(vUv);
+      mat3 frame = tangentFrame(normal);
+
+      // Cosine-weighted hemisphere: the plain average is irradiance / π
+      vec3 radiance = vec3(0.0);
+      for (int i = 0; i < SAMPLES; i++) {
+        vec2 xi = hammersley(float(i), float(SAMPLES));
+        float phi = 6.283185307179586 * xi.x;
+        float sinTheta = sqrt(xi.y);
+        vec3 direction = frame * vec3(cos(phi) * sinTheta, sin(phi) * sinTheta, sqrt(1.0 - xi.y));
+        radiance += texture2D(envSource, equirectUv(direction)).rgb;
+      }
+
+      gl_FragColor = vec4(radiance / float(SAMPLES), 1.0);
+    }
+  `
+};
+
+export { EquirectConvertShader, GGXFilterShader, IrradianceShader };
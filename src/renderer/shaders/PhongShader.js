@@ -0,0 +1,301 @@
+// ===============================================================
+// PhongShader.js — Built-in Program for StandardMaterial
+// ===============================================================
+//
+// Core purpose:
+//  • Blinn-Phong shading of StandardMaterial with the scene lights,
+//    shadows, every texture slot and vertex colors.
+//  • Compiled by WebGLRenderer per feature combination; the defines
+//    below select the variant:
+//      USE_MAP, USE_SPECULARMAP, USE_NORMALMAP, USE_EMISSIONMAP,
+//      USE_AOMAP           — texture slots present
+//      MAP_SRGB, EMISSIONMAP_SRGB — decode sRGB color textures
+//      USE_COLOR           — vertexColors with a `color` attribute
+//      USE_INSTANCING, USE_INSTANCING_COLOR — InstancedMesh
+//      LIT                 — lighting on (material.lit)
+//      USE_ENVMAP          — scene.environment lighting (with LIT)
+//      USE_FOG, FOG_EXP2   — scene fog, linear or exponential
+//      PHONG               — per-pixel lighting; otherwise lighting
+//                            is evaluated per vertex (Gouraud), which
+//                            skips normal maps and shadows
+//      DOUBLE_SIDED        — flip normals on back faces
+//
+// Lighting happens in world space. Output is linear; tone mapping
+// and sRGB encoding are applied by the renderer's output pass.
+//
+// ===============================================================
+
+import { ShaderChunk } from './ShaderChunk.js';
+
+/**
+ * Blinn-Phong accumulation over all scene lights. Indirect light
+ * (ambient + hemisphere) is kept apart so ambient occlusion only
+ * darkens it. Shadow factors resolve to 1 in the vertex stage.
+ */
+const phong_lighting = `
+void addPhongLight(IncidentLight light, vec3 normal, vec3 viewDir, float shininess, inout vec3 diffuse, inout vec3 specular) {
+  float dotNL = max(dot(normal, light.direction), 0.0);
+  vec3 irradiance = light.color * dotNL;
+  diffuse += irradiance;
+  vec3 halfDir = normalize(light.direction + viewDir);
+  specular += irradiance * pow(max(dot(normal, halfDir), 0.0), shininess);
+}
+
+void computePhongLighting(vec3 position, vec3 normal, vec3 viewDir, float shininess,
+                          out vec3 indirect, out vec3 diffuse, out vec3 specular) {
+  indirect = ambientLightColor;
+  diffuse = vec3(0.0);
+  specular = vec3(0.0);
+
+  for (int i = 0; i < MAX_HEMISPHERE_LIGHTS; i++) {
+    if (i >= hemisphereLightCount) break;
+    indirect += getHemisphereLightIrradiance(hemisphereLightSkyColor[i], hemisphereLightGroundColor[i],
+      hemisphereLightDirection[i], normal);
+  }
+
+  for (int i = 0; i < MAX_DIRECTIONAL_LIGHTS; i++) {
+    if (i >= directionalLightCount) break;
+    IncidentLight light = getDirectionalLight(directionalLightColor[i], directionalLightDirection[i]);
+    light.color *= getDirectionalShadowFactor(i);
+    addPhongLight(light, normal, viewDir, shininess, diffuse, specular);
+  }
+
+  for (int i = 0; i < MAX_POINT_LIGHTS; i++) {
+    if (i >= pointLightCount) break;
+    IncidentLight light = getPointLight(pointLightPosition[i], pointLightColor[i], pointLightDistanceDecay[i], position);
+    light.color *= getPointShadowFactor(i);
+    addPhongLight(light, normal, viewDir, shininess, diffuse, specular);
+  }
+
+  for (int i = 0; i < MAX_SPOT_LIGHTS; i++) {
+    if (i >= spotLightCount) break;
+    IncidentLight light = getSpotLight(spotLightPosition[i], spotLightDirection[i], spotLightColor[i],
+      spotLightDistanceDecay[i], spotLightCone[i], position);
+    light.color *= getSpotShadowFactor(i);
+    addPhongLight(light, normal, viewDir, shininess, diffuse, specular);
+  }
+}
+`;
+
+const PhongShader = {
+  vertexShader: `
+    attribute vec3 position;
+    attribute vec3 normal;
+    attribute vec2 uv;
+    #ifdef USE_COLOR
+    attribute vec4 color;
+    #endif
+    #ifdef USE_INSTANCING
+    attribute mat4 instanceMatrix;
+    #endif
+    #ifdef USE_INSTANCING_COLOR
+    attribute vec3 instanceColor;
+    #endif
+
+    uniform mat4 modelMatrix;
+    uniform mat4 viewMatrix;
+    uniform mat4 projectionMatrix;
+    uniform mat3 normalMatrix;
+    uniform vec3 cameraPosition;
+
+    varying vec2 vUv;
+    varying vec3 vWorldPosition;
+    varying vec3 vWorldNormal;
+    varying vec4 vColor;
+
+    #if defined(LIT) && !defined(PHONG)
+    uniform float uShininess;
+    varying vec3 vIndirect;
+    varying vec3 vDiffuse;
+    varying vec3 vSpecular;
+
+    #define getDirectionalShadowFactor(i) 1.0
+    #define getPointShadowFactor(i) 1.0
+    #define getSpotShadowFactor(i) 1.0
+
+    ${ShaderChunk.lights_pars_begin}
+    ${phong_lighting}
+    #endif
+
+    void main() {
+      vec4 local = vec4(position, 1.0);
+      vec3 localNormal = normal;
+      #ifdef USE_INSTANCING
+      local = instanceMatrix * local;
+      localNormal = mat3(instanceMatrix[0].xyz, instanceMatrix[1].xyz, instanceMatrix[2].xyz) * localNormal;
+      #endif
+
+      vec4 world = modelMatrix * local;
+      vWorldPosition = world.xyz;
+      vWorldNormal = normalize(normalMatrix * localNormal);
+      vUv = uv;
+
+      vColor = vec4(1.0);
+      #ifdef USE_COLOR
+      vColor *= color;
+      #endif
+      #ifdef USE_INSTANCING_COLOR
+      vColor.rgb *= instanceColor;
+      #endif
+
+      #if defined(LIT) && !defined(PHONG)
+      vec3 viewDir = normalize(cameraPosition - vWorldPosition);
+      computePhongLighting(vWorldPosition, vWorldNormal, viewDir, uShininess, vIndirect, vDiffuse, vSpecular);
+      #endif
+
+      gl_Position = projectionMatrix * viewMatrix * world;
+    }
+  `,
+
+  fragmentShader: `
+    #if defined(USE_NORMALMAP) && defined(PHONG)
+    #extension GL_OES_standard_derivatives : enable
+    #endif
+    precision highp float;
+
+    uniform vec3 uDiffuseColor;
+    uniform float uOpacity;
+    uniform vec3 uSpecularColor;
+    uniform float uShininess;
+    uniform vec3 uEmissiveColor;
+    uniform float uEmissionIntensity;
+    uniform float uAOIntensity;
+    uniform float uReflectivity;
+    uniform vec3 cameraPosition;
+
+    #ifdef USE_MAP
+    uniform sampler2D map;
+    #endif
+    #ifdef USE_SPECULARMAP
+    uniform sampler2D specularMap;
+    #endif
+    #ifdef USE_NORMALMAP
+    uniform sampler2D normalMap;
+    #endif
+    #ifdef USE_EMISSIONMAP
+    uniform sampler2D emissionMap;
+    #endif
+    #ifdef USE_AOMAP
+    uniform sampler2D aoMap;
+    #endif
+
+    varying vec2 vUv;
+    varying vec3 vWorldPosition;
+    varying vec3 vWorldNormal;
+    varying vec4 vColor;
+
+    ${ShaderChunk.colorspace_pars_fragment}
+
+    #ifdef USE_FOG
+    ${ShaderChunk.fog_pars_fragment}
+    #endif
+
+    #ifdef USE_ENVMAP
+    ${ShaderChunk.equirect_pars}
+    ${ShaderChunk.envmap_pars_fragment}
+    #endif
+
+    #ifdef LIT
+    #ifdef PHONG
+    ${ShaderChunk.packing}
+    ${ShaderChunk.shadowmap_pars_fragment}
+    ${ShaderChunk.lights_pars_begin}
+    ${phong_lighting}
+    #else
+    varying vec3 vIndirect;
+    varying vec3 vDiffuse;
+    varying vec3 vSpecular;
+    #endif
+    #endif
+
+    #if defined(USE_NORMALMAP) && defined(PHONG)
+    ${ShaderChunk.normalmap_pars_fragment}
+    #endif
+
+    void main() {
+      vec4 diffuseColor = vec4(uDiffuseColor, uOpacity) * vColor;
+
+      #ifdef USE_MAP
+      vec4 texel = texture2D(map, vUv);
+      #ifdef MAP_SRGB
+      texel = sRGBToLinear(texel);
+      #endif
+      diffuseColor *= texel;
+      #endif
+
+      vec3 emissive = uEmissiveColor * uEmissionIntensity;
+      #ifdef USE_EMISSIONMAP
+      vec4 emissiveTexel = texture2D(emissionMap, vUv);
+      #ifdef EMISSIONMAP_SRGB
+      emissiveTexel = sRGBToLinear(emissiveTexel);
+      #endif
+      emissive *= emissiveTexel.rgb;
+      #endif
+
+      #ifndef LIT
+      gl_FragColor = vec4(diffuseColor.rgb + emissive, diffuseColor.a);
+      #else
+
+      float specularStrength = 1.0;
+      #ifdef USE_SPECULARMAP
+      specularStrength = texture2D(specularMap, vUv).r;
+      #endif
+
+      vec3 indirect;
+      vec3 directDiffuse;
+      vec3 directSpecular;
+
+      #ifdef PHONG
+      vec3 normal = normalize(vWorldNormal);
+      #ifdef DOUBLE_SIDED
+      normal *= gl_FrontFacing ? 1.0 : -1.0;
+      #endif
+      #ifdef USE_NORMALMAP
+      normal = perturbNormal(vWorldPosition, normal, vUv, texture2D(normalMap, vUv).xyz * 2.0 - 1.0);
+      #endif
+
+      computeShadows(vWorldPosition, normal);
+      vec3 viewDir = normalize(cameraPosition - vWorldPosition);
+      computePhongLighting(vWorldPosition, normal, viewDir, uShininess, indirect, directDiffuse, directSpecular);
+      #else
+      indirect = vIndirect;
+      directDiffuse = vDiffuse;
+      directSpecular = vSpecular;
+      #ifdef USE_ENVMAP
+      vec3 normal = normalize(vWorldNormal);
+      #ifdef DOUBLE_SIDED
+      normal *= gl_FrontFacing ? 1.0 : -1.0;
+      #endif
+      vec3 viewDir = normalize(cameraPosition - vWorldPosition);
+      #endif
+      #endif
+
+      float ambientOcclusion = 1.0;
+      #ifdef USE_AOMAP
+      ambientOcclusion = (texture2D(aoMap, vUv).r - 1.0) * uAOIntensity + 1.0;
+      #endif
+
+      vec3 envSpecular = vec3(0.0);
+      #ifdef USE_ENVMAP
+      indirect += getIBLIrradiance(normal);
+      // Blinn-Phong exponent → GGX roughness of the matching highlight
+      float envRoughness = pow(2.0 / (uShininess + 2.0), 0.25);
+      envSpecular = getIBLRadiance(reflect(-viewDir, normal), envRoughness) * uReflectivity * ambientOcclusion;
+      #endif
+      indirect *= ambientOcclusion;
+
+      vec3 outgoing = diffuseColor.rgb * (indirect + directDiffuse)
+        + uSpecularColor * directSpecular * specularStrength
+        + envSpecular * specularStrength
+        + emissive;
+      gl_FragColor = vec4(outgoing, diffuseColor.a);
+      #endif
+
+      #ifdef USE_FOG
+      gl_FragColor.rgb = applyFog(gl_FragColor.rgb, distance(cameraPosition, vWorldPosition));
+      #endif
+    }
+  `
+};
+
+export { PhongShader };
@@ -0,0 +1,340 @@
+// ===============================================================
+// PhysicalShader.js — Built-in Program for PhysicalMaterial
+// ===============================================================
+//
+// Core purpose:
+//  • Metallic-roughness PBR following the glTF 2.0 reference BRDF:
+//    Lambert diffuse plus Cook-Torrance specular (GGX distribution,
+//    height-correlated Smith visibility, Schlick Fresnel).
+//  • Optional clearcoat layer: a second GGX lobe (F0 = 0.04) on the
+//    geometric normal that attenuates the base layer by its Fresnel.
+//  • Compiled by WebGLRenderer per feature combination; the defines
+//    below select the variant:
+//      USE_MAP, USE_METALNESSMAP, USE_ROUGHNESSMAP, USE_NORMALMAP,
+//      USE_AOMAP           — texture slots present
+//      MAP_SRGB            — decode an sRGB base color texture
+//      USE_COLOR           — vertexColors with a `color` attribute
+//      USE_INSTANCING, USE_INSTANCING_COLOR — InstancedMesh
+//      LIT                 — lighting on (material.lit)
+//      USE_ENVMAP          — scene.environment lighting (with LIT)
+//      USE_FOG, FOG_EXP2   — scene fog, linear or exponential
+//      DOUBLE_SIDED        — flip normals on back faces
+//
+// Texture channels follow glTF: metalness is read from blue and
+// roughness from green (a packed metallicRoughness texture can be
+// assigned to both slots), occlusion from red.
+//
+// Lighting happens in world space. Output is linear; tone mapping
+// and sRGB encoding are applied by the renderer's output pass.
+//
+// ===============================================================
+
+import { ShaderChunk } from './ShaderChunk.js';
+
+/**
+ * Microfacet BRDF terms and the per-light accumulation. Direct light
+ * uses the glTF conventions: radiance × N·L × (diffuse / π + specular).
+ */
+const physical_lighting = `
+#define RECIPROCAL_PI 0.3183098861837907
+
+struct PhysicalSurface {
+  vec3 diffuseColor;
+  vec3 specularColor; // F0
+  float roughness;    // perceptual, clamped
+  float clearcoat;
+  float clearcoatRoughness;
+};
+
+vec3 F_Schlick(vec3 f0, float dotVH) {
+  float fresnel = pow(1.0 - dotVH, 5.0);
+  return f0 + (1.0 - f0) * fresnel;
+}
+
+float V_GGX_SmithCorrelated(float alpha, float dotNL, float dotNV) {
+  float a2 = alpha * alpha;
+  float ggxV = dotNL * sqrt(a2 + (1.0 - a2) * dotNV * dotNV);
+  float ggxL = dotNV * sqrt(a2 + (1.0 - a2) * dotNL * dotNL);
+  return 0.5 / max(ggxV + ggxL, 1e-6);
+}
+
+float D_GGX(float alpha, float dotNH) {
+  float a2 = alpha * alpha;
+  float denom = dotNH * dotNH * (a2 - 1.0) + 1.0;
+  return RECIPROCAL_PI * a2 / (denom * denom);
+}
+
+vec3 BRDF_GGX(vec3 lightDir, vec3 viewDir, vec3 normal, vec3 f0, float roughness) {
+  float alpha = roughness * roughness;
+  vec3 halfDir = normalize(lightDir + viewDir);
+  float dotNL = clamp(dot(normal, lightDir), 0.0, 1.0);
+  float dotNV = clamp(dot(normal, viewDir), 0.0, 1.0);
+  float dotNH = clamp(dot(normal, halfDir), 0.0, 1.0);
+  float dotVH = clamp(dot(viewDir, halfDir), 0.0, 1.0);
+  return F_Schlick(f0, dotVH) * V_GGX_SmithCorrelated(alpha, dotNL, dotNV) * D_GGX(alpha, dotNH);
+}
+
+// Split-sum environment BRDF, analytic fit (Karis, "Physically Based Shading on Mobile")
+vec3 EnvBRDFApprox(vec3 f0, float roughness, float dotNV) {
+  const vec4 c0 = vec4(-1.0, -0.0275, -0.572, 0.022);
+  const vec4 c1 = vec4(1.0, 0.0425, 1.04, -0.04);
+  vec4 r = roughness * c0 + c1;
+  float a004 = min(r.x * r.x, exp2(-9.28 * dotNV)) * r.x + r.y;
+  vec2 scaleBias = vec2(-1.04, 1.04) * a004 + r.zw;
+  return f0 * scaleBias.x + scaleBias.y;
+}
+
+void addPhysicalLight(IncidentLight light, PhysicalSurface surface, vec3 normal, vec3 clearcoatNormal, vec3 viewDir,
+                      inout vec3 diffuse, inout vec3 specular, inout vec3 clearcoatSpecular) {
+  vec3 irradiance = light.color * clamp(dot(normal, light.direction), 0.0, 1.0);
+  diffuse += irradiance * RECIPROCAL_PI * surface.diffuseColor;
+  specular += irradiance * BRDF_GGX(light.direction, viewDir, normal, surface.specularColor, surface.roughness);
+
+  if (surface.clearcoat > 0.0) {
+    vec3 clearcoatIrradiance = light.color * clamp(dot(clearcoatNormal, light.direction), 0.0, 1.0);
+    clearcoatSpecular += clearcoatIrradiance
+      * BRDF_GGX(light.direction, viewDir, clearcoatNormal, vec3(0.04), surface.clearcoatRoughness);
+  }
+}
+
+void computePhysicalLighting(vec3 position, vec3 normal, vec3 clearcoatNormal, vec3 viewDir, PhysicalSurface surface,
+                             out vec3 indirectDiffuse, out vec3 diffuse, out vec3 specular, out vec3 clearcoatSpecular) {
+  vec3 irradiance = ambientLightColor;
+  diffuse = vec3(0.0);
+  specular = vec3(0.0);
+  clearcoatSpecular = vec3(0.0);
+
+  for (int i = 0; i < MAX_HEMISPHERE_LIGHTS; i++) {
+    if (i >= hemisphereLightCount) break;
+    irradiance += getHemisphereLightIrradiance(hemisphereLightSkyColor[i], hemisphereLightGroundColor[i],
+      hemisphereLightDirection[i], normal);
+  }
+  indirectDiffuse = irradiance * RECIPROCAL_PI * surface.diffuseColor;
+
+  for (int i = 0; i < MAX_DIRECTIONAL_LIGHTS; i++) {
+    if (i >= directionalLightCount) break;
+    IncidentLight light = getDirectionalLight(directionalLightColor[i], directionalLightDirection[i]);
+    light.color *= getDirectionalShadowFactor(i);
+    addPhysicalLight(light, surface, normal, clearcoatNormal, viewDir, diffuse, specular, clearcoatSpecular);
+  }
+
+  for (int i = 0; i < MAX_POINT_LIGHTS; i++) {
+    if (i >= pointLightCount) break;
+    IncidentLight light = getPointLight(pointLightPosition[i], pointLightColor[i], pointLightDistanceDecay[i], position);
+    light.color *= getPointShadowFactor(i);
+    addPhysicalLight(light, surface, normal, clearcoatNormal, viewDir, diffuse, specular, clearcoatSpecular);
+  }
+
+  for (int i = 0; i < MAX_SPOT_LIGHTS; i++) {
+    if (i >= spotLightCount) break;
+    IncidentLight light = getSpotLight(spotLightPosition[i], spotLightDirection[i], spotLightColor[i],
+      spotLightDistanceDecay[i], spotLightCone[i], position);
+    light.color *= getSpotShadowFactor(i);
+    addPhysicalLight(light, surface, normal, clearcoatNormal, viewDir, diffuse, specular, clearcoatSpecular);
+  }
+}
+`;
+
+const PhysicalShader = {
+  vertexShader: `
+    attribute vec3 position;
+    attribute vec3 normal;
+    attribute vec2 uv;
+    #ifdef USE_COLOR
+    attribute vec4 color;
+    #endif
+    #ifdef USE_INSTANCING
+    attribute mat4 instanceMatrix;
+    #endif
+    #ifdef USE_INSTANCING_COLOR
+    attribute vec3 instanceColor;
+    #endif
+
+    uniform mat4 modelMatrix;
+    uniform mat4 viewMatrix;
+    uniform mat4 projectionMatrix;
+    uniform mat3 normalMatrix;
+
+    varying vec2 vUv;
+    varying vec3 vWorldPosition;
+    varying vec3 vWorldNormal;
+    varying vec4 vColor;
+
+    void main() {
+      vec4 local = vec4(position, 1.0);
+      vec3 localNormal = normal;
+      #ifdef USE_INSTANCING
+      local = instanceMatrix * local;
+      localNormal = mat3(instanceMatrix[0].xyz, instanceMatrix[1].xyz, instanceMatrix[2].xyz) * localNormal;
+      #endif
+
+      vec4 world = modelMatrix * local;
+      vWorldPosition = world.xyz;
+      vWorldNormal = normalize(normalMatrix * localNormal);
+      vUv = uv;
+
+      vColor = vec4(1.0);
+      #ifdef USE_COLOR
+      vColor *= color;
+      #endif
+      #ifdef USE_INSTANCING_COLOR
+      vColor.rgb *= instanceColor;
+      #endif
+
+      gl_Position = projectionMatrix * viewMatrix * world;
+    }
+  `,
+
+  fragmentShader: `
+    #ifdef USE_NORMALMAP
+    #extension GL_OES_standard_derivatives : enable
+    #endif
+    precision highp float;
+
+    uniform vec3 uColor;
+    uniform float uOpacity;
+    uniform float uMetalness;
+    uniform float uRoughness;
+    uniform float uClearcoat;
+    uniform float uClearcoatRoughness;
+    uniform float uReflectivity;
+    uniform float uEnvIntensity;
+    uniform vec3 cameraPosition;
+
+    #ifdef USE_MAP
+    uniform sampler2D map;
+    #endif
+    #ifdef USE_METALNESSMAP
+    uniform sampler2D metalnessMap;
+    #endif
+    #ifdef USE_ROUGHNESSMAP
+    uniform sampler2D roughnessMap;
+    #endif
+    #ifdef USE_NORMALMAP
+    uniform sampler2D normalMap;
+    #endif
+    #ifdef USE_AOMAP
+    uniform sampler2D aoMap;
+    #endif
+
+    varying vec2 vUv;
+    varying vec3 vWorldPosition;
+    varying vec3 vWorldNormal;
+    varying vec4 vColor;
+
+    ${ShaderChunk.colorspace_pars_fragment}
+
+    #ifdef USE_FOG
+    ${ShaderChunk.fog_pars_fragment}
+    #endif
+
+    #ifdef USE_ENVMAP
+    ${ShaderChunk.equirect_pars}
+    ${ShaderChunk.envmap_pars_fragment}
+    #endif
+
+    #ifdef LIT
+    ${ShaderChunk.packing}
+    ${ShaderChunk.shadowmap_pars_fragment}
+    ${ShaderChunk.lights_pars_begin}
+    ${physical_lighting}
+    #endif
+
+    #ifdef USE_NORMALMAP
+    ${ShaderChunk.normalmap_pars_fragment}
+    #endif
+
+    void main() {
+      vec4 baseColor = vec4(uColor, uOpacity) * vColor;
+
+      #ifdef USE_MAP
+      vec4 texel = texture2D(map, vUv);
+      #ifdef MAP_SRGB
+      texel = sRGBToLinear(texel);
+      #endif
+      baseColor *= texel;
+      #endif
+
+      #ifndef LIT
+      gl_FragColor = baseColor;
+      #else
+
+      float metalness = uMetalness;
+      #ifdef USE_METALNESSMAP
+      metalness *= texture2D(metalnessMap, vUv).b;
+      #endif
+
+      float roughness = uRoughness;
+      #ifdef USE_ROUGHNESSMAP
+      roughness *= texture2D(roughnessMap, vUv).g;
+      #endif
+
+      // Dielectric F0 from reflectivity: 0.5 gives the glTF default of 0.04
+      float dielectricF0 = 0.16 * uReflectivity * uReflectivity;
+
+      PhysicalSurface surface;
+      surface.diffuseColor = baseColor.rgb * (1.0 - metalness);
+      surface.specularColor = mix(vec3(dielectricF0), baseColor.rgb, metalness);
+      surface.roughness = clamp(roughness, 0.0525, 1.0);
+      surface.clearcoat = clamp(uClearcoat, 0.0, 1.0);
+      surface.clearcoatRoughness = clamp(uClearcoatRoughness, 0.0525, 1.0);
+
+      vec3 geometryNormal = normalize(vWorldNormal);
+      #ifdef DOUBLE_SIDED
+      geometryNormal *= gl_FrontFacing ? 1.0 : -1.0;
+      #endif
+      vec3 normal = geometryNormal;
+      #ifdef USE_NORMALMAP
+      normal = perturbNormal(vWorldPosition, normal, vUv, texture2D(normalMap, vUv).xyz * 2.0 - 1.0);
+      #endif
+
+      computeShadows(vWorldPosition, geometryNormal);
+      vec3 viewDir = normalize(cameraPosition - vWorldPosition);
+
+      vec3 indirectDiffuse;
+      vec3 directDiffuse;
+      vec3 directSpecular;
+      vec3 clearcoatSpecular;
+      computePhysicalLighting(vWorldPosition, normal, geometryNormal, viewDir, surface,
+        indirectDiffuse, directDiffuse, directSpecular, clearcoatSpecular);
+
+      vec3 indirectSpecular = vec3(0.0);
+      vec3 clearcoatIndirect = vec3(0.0);
+      #ifdef USE_ENVMAP
+      float envDotNV = clamp(dot(normal, viewDir), 0.0, 1.0);
+      indirectDiffuse += getIBLIrradiance(normal) * surface.diffuseColor * uEnvIntensity;
+      indirectSpecular = getIBLRadiance(reflect(-viewDir, normal), surface.roughness)
+        * EnvBRDFApprox(surface.specularColor, surface.roughness, envDotNV) * uEnvIntensity;
+      if (surface.clearcoat > 0.0) {
+        float clearcoatDotNV = clamp(dot(geometryNormal, viewDir), 0.0, 1.0);
+        clearcoatIndirect = getIBLRadiance(reflect(-viewDir, geometryNormal), surface.clearcoatRoughness)
+          * EnvBRDFApprox(vec3(0.04), surface.clearcoatRoughness, clearcoatDotNV) * uEnvIntensity;
+      }
+      #endif
+
+      #ifdef USE_AOMAP
+      float ambientOcclusion = texture2D(aoMap, vUv).r;
+      indirectDiffuse *= ambientOcclusion;
+      indirectSpecular *= ambientOcclusion;
+      #endif
+
+      vec3 outgoing = indirectDiffuse + indirectSpecular + directDiffuse + directSpecular;
+
+      if (surface.clearcoat > 0.0) {
+        float dotNV = clamp(dot(geometryNormal, viewDir), 0.0, 1.0);
+        vec3 clearcoatFresnel = F_Schlick(vec3(0.04), dotNV);
+        outgoing = outgoing * (1.0 - surface.clearcoat * clearcoatFresnel)
+          + surface.clearcoat * (clearcoatSpecular + clearcoatIndirect);
+      }
+
+      gl_FragColor = vec4(outgoing, baseColor.a);
+      #endif
+
+      #ifdef USE_FOG
+      gl_FragColor.rgb = applyFog(gl_FragColor.rgb, distance(cameraPosition, vWorldPosition));
+      #endif
+    }
+  `
+};
+
+export { PhysicalShader };
@@ -0,0 +1,81 @@
+// ===============================================================
+// PickShader.js — GPU Picking Program
+// ===============================================================
+//
+// Core purpose:
+//  • Writes what lies under each pixel instead of its color, for
+//    WebGLPicker. `pickMode` selects the pass:
+//      0 — object id: `pickColor`, the id packed into RGB by the CPU
+//      1 — instance id: instanceIndex + 1 packed into RGB (0 = none;
+//          non-instanced meshes write `pickColor` = black)
+//      2 — window depth (gl_FragCoord.z) packed with RGBADepthPacking
+//  • PICK_INSTANCE compiles in the per-instance `instanceIndex`
+//    attribute the renderer supplies for InstancedMesh.
+//
+// The fragment stage also runs behind a ShaderMaterial's own vertex
+// shader, so meshes displaced on the GPU are picked where they draw.
+//
+// ===============================================================
+
+import { ShaderChunk } from './ShaderChunk.js';
+
+const PickShader = {
+  uniforms: {
+    pickMode: 0,
+    pickColor: [0, 0, 0]
+  },
+
+  vertexShader: `
+    attribute vec3 position;
+    #ifdef INSTANCED
+    attribute mat4 instanceMatrix;
+    #endif
+    #ifdef PICK_INSTANCE
+    attribute float instanceIndex;
+    varying float vInstanceIndex;
+    #endif
+    uniform mat4 modelMatrix;
+    uniform mat4 viewMatrix;
+    uniform mat4 projectionMatrix;
+    void main() {
+      vec4 local = vec4(position, 1.0);
+      #ifdef INSTANCED
+      local = instanceMatrix * local;
+      #endif
+      #ifdef PICK_INSTANCE
+      vInstanceIndex = instanceIndex;
+      #endif
+      gl_Position = projectionMatrix * viewMatrix * modelMatrix * local;
+    }
+  `,
+
+  fragmentShader: `
+    precision highp float;
+    uniform int pickMode;
+    uniform vec3 pickColor;
+    #ifdef PICK_INSTANCE
+    varying float vInstanceIndex;
+    #endif
+
+    ${ShaderChunk.packing}
+
+    // 24-bit id → RGB bytes (exact: highp floats hold integers up to 2^24)
+    vec3 packId(float id) {
+      return vec3(floor(id / 65536.0), mod(floor(id / 256.0), 256.0), mod(id, 256.0)) / 255.0;
+    }
+
+    void main() {
+      if (pickMode == 2) {
+        gl_FragColor = packDepthToRGBA(gl_FragCoord.z);
+      #ifdef PICK_INSTANCE
+      } else if (pickMode == 1) {
+        gl_FragColor = vec4(packId(floor(vInstanceIndex + 0.5) + 1.0), 1.0);
+      #endif
+      } else {
+        gl_FragColor = vec4(pickColor, 1.0);
+      }
+    }
+  `
+};
+
+export { PickShader };
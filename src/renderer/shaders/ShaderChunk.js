@@ -0,0 +1,616 @@
+// ===============================================================
+// ShaderChunk.js — Reusable GLSL Snippets
+// ===============================================================
+//
+// Core purpose:
+//  • Collects GLSL fragments shared by the built-in shaders and
+//    post-processing passes, so each formula exists once.
+//  • Snippets are GLSL ES 1.00 and compile on WebGL1 and WebGL2.
+//
+// Usage:
+//   const fragmentShader = `
+//     precision highp float;
+//     ${ShaderChunk.tonemapping_pars_fragment}
+//     ${ShaderChunk.colorspace_pars_fragment}
+//     void main() { ... gl_FragColor = linearToOutputTexel(color); }
+//   `;
+//
+// ===============================================================
+
+import {
+  LinearToneMapping, ReinhardToneMapping, CineonToneMapping,
+  ACESFilmicToneMapping, AgXToneMapping, NeutralToneMapping,
+  PCFShadowMap, PCFSoftShadowMap, VSMShadowMap
+} from '../../constants/Constants.js';
+
+/** Lights per type supported by the built-in shaders. */
+const MAX_DIRECTIONAL_LIGHTS = 4;
+const MAX_POINT_LIGHTS = 8;
+const MAX_SPOT_LIGHTS = 4;
+const MAX_HEMISPHERE_LIGHTS = 2;
+
+/** Shadowed lights per type supported by the built-in shaders. */
+const MAX_DIRECTIONAL_SHADOWS = 2;
+const MAX_SPOT_SHADOWS = 2;
+const MAX_POINT_SHADOWS = 2;
+
+/** Roughness levels of a prefiltered environment, and the width of each level (height is half). */
+const ENVMAP_LEVELS = 6;
+const ENVMAP_SIZE = 256;
+
+/**
+ * Tone mapping operators selected at runtime by `toneMappingMode`
+ * (one of the `*ToneMapping` constants), scaled by `toneMappingExposure`.
+ * Compresses HDR radiance into [0, 1] instead of clipping it.
+ */
+const tonemapping_pars_fragment = `
+uniform float toneMappingExposure;
+uniform int toneMappingMode;
+
+vec3 LinearToneMapping(vec3 color) {
+  return clamp(toneMappingExposure * color, 0.0, 1.0);
+}
+
+vec3 ReinhardToneMapping(vec3 color) {
+  color *= toneMappingExposure;
+  return clamp(color / (vec3(1.0) + color), 0.0, 1.0);
+}
+
+// Optimized filmic operator by Jim Hejl and Richard Burgess-Dawson
+vec3 CineonToneMapping(vec3 color) {
+  color *= toneMappingExposure;
+  color = max(vec3(0.0), color - 0.004);
+  return pow((color * (6.2 * color + 0.5)) / (color * (6.2 * color + 1.7) + 0.06), vec3(2.2));
+}
+
+// ACES fit by Stephen Hill (RRT + ODT)
+vec3 RRTAndODTFit(vec3 v) {
+  vec3 a = v * (v + 0.0245786) - 0.000090537;
+  vec3 b = v * (0.983729 * v + 0.4329510) + 0.238081;
+  return a / b;
+}
+
+vec3 ACESFilmicToneMapping(vec3 color) {
+  const mat3 ACESInputMat = mat3(
+    vec3(0.59719, 0.07600, 0.02840),
+    vec3(0.35458, 0.90834, 0.13383),
+    vec3(0.04823, 0.01566, 0.83777)
+  );
+  const mat3 ACESOutputMat = mat3(
+    vec3( 1.60475, -0.10208, -0.00327),
+    vec3(-0.53108,  1.10813, -0.07276),
+    vec3(-0.07367, -0.00605,  1.07602)
+  );
+  color *= toneMappingExposure / 0.6;
+  color = ACESInputMat * color;
+  color = RRTAndODTFit(color);
+  color = ACESOutputMat * color;
+  return clamp(color, 0.0, 1.0);
+}
+
+// AgX (Troy Sobotka), polynomial contrast fit
+vec3 agxDefaultContrastApprox(vec3 x) {
+  vec3 x2 = x * x;
+  vec3 x4 = x2 * x2;
+  return 15.5 * x4 * x2 - 40.14 * x4 * x + 31.96 * x4
+    - 6.868 * x2 * x + 0.4298 * x2 + 0.1191 * x - 0.00232;
+}
+
+vec3 AgXToneMapping(vec3 color) {
+  const mat3 LinearSRGBToRec2020 = mat3(
+    vec3(0.6274, 0.0691, 0.0164),
+    vec3(0.3293, 0.9195, 0.0880),
+    vec3(0.0433, 0.0113, 0.8956)
+  );
+  const mat3 Rec2020ToLinearSRGB = mat3(
+    vec3( 1.6605, -0.1246, -0.0182),
+    vec3(-0.5876,  1.1329, -0.1006),
+    vec3(-0.0728, -0.0083,  1.1187)
+  );
+  const mat3 AgXInsetMatrix = mat3(
+    vec3(0.856627153315983, 0.137318972929847, 0.11189821299995),
+    vec3(0.0951212405381588, 0.761241990602591, 0.0767994186031903),
+    vec3(0.0482516061458583, 0.101439036467562, 0.811302368396859)
+  );
+  const mat3 AgXOutsetMatrix = mat3(
+    vec3( 1.1271005818144368, -0.1413297634984383, -0.14132976349843826),
+    vec3(-0.11060664309660323, 1.157823702216272, -0.11060664309660294),
+    vec3(-0.016493938717834573, -0.016493938717834257, 1.2519364065950405)
+  );
+  const float AgxMinEv = -12.47393;
+  const float AgxMaxEv = 4.026069;
+
+  color *= toneMappingExposure;
+  color = LinearSRGBToRec2020 * color;
+  color = AgXInsetMatrix * color;
+  color = log2(max(color, 1e-10));
+  color = clamp((color - AgxMinEv) / (AgxMaxEv - AgxMinEv), 0.0, 1.0);
+  color = agxDefaultContrastApprox(color);
+  color = AgXOutsetMatrix * color;
+  color = pow(max(vec3(0.0), color), vec3(2.2));
+  color = Rec2020ToLinearSRGB * color;
+  return clamp(color, 0.0, 1.0);
+}
+
+// Khronos PBR Neutral: keeps base colors faithful, only compresses highlights
+vec3 NeutralToneMapping(vec3 color) {
+  const float StartCompression = 0.8 - 0.04;
+  const float Desaturation = 0.15;
+
+  color *= toneMappingExposure;
+  float x = min(color.r, min(color.g, color.b));
+  float offset = x < 0.08 ? x - 6.25 * x * x : 0.04;
+  color -= offset;
+
+  float peak = max(color.r, max(color.g, color.b));
+  if (peak < StartCompression) return color;
+
+  float d = 1.0 - StartCompression;
+  float newPeak = 1.0 - d * d / (peak + d - StartCompression);
+  color *= newPeak / peak;
+
+  float g = 1.0 - 1.0 / (Desaturation * (peak - newPeak) + 1.0);
+  return mix(color, vec3(newPeak), g);
+}
+
+vec3 toneMapping(vec3 color) {
+  if (toneMappingMode == ${LinearToneMapping}) return LinearToneMapping(color);
+  if (toneMappingMode == ${ReinhardToneMapping}) return ReinhardToneMapping(color);
+  if (toneMappingMode == ${CineonToneMapping}) return CineonToneMapping(color);
+  if (toneMappingMode == ${ACESFilmicToneMapping}) return ACESFilmicToneMapping(color);
+  if (toneMappingMode == ${AgXToneMapping}) return AgXToneMapping(color);
+  if (toneMappingMode == ${NeutralToneMapping}) return NeutralToneMapping(color);
+  return color;
+}
+`;
+
+/**
+ * Linear ↔ sRGB transfer functions. `outputSRGB` selects the encoding
+ * applied by linearToOutputTexel() when writing the final image.
+ */
+const colorspace_pars_fragment = `
+uniform bool outputSRGB;
+
+vec4 sRGBToLinear(vec4 value) {
+  vec3 low = value.rgb * 0.0773993808;
+  vec3 high = pow(value.rgb * 0.9478672986 + vec3(0.0521327014), vec3(2.4));
+  return vec4(mix(high, low, vec3(lessThanEqual(value.rgb, vec3(0.04045)))), value.a);
+}
+
+vec4 LinearTosRGB(vec4 value) {
+  vec3 low = value.rgb * 12.92;
+  vec3 high = pow(value.rgb, vec3(0.41666)) * 1.055 - vec3(0.055);
+  return vec4(mix(high, low, vec3(lessThanEqual(value.rgb, vec3(0.0031308)))), value.a);
+}
+
+vec4 linearToOutputTexel(vec4 value) {
+  return outputSRGB ? LinearTosRGB(value) : value;
+}
+`;
+
+/**
+ * Packs a [0, 1) depth into 8-bit RGBA channels (RGBADepthPacking) for
+ * devices that cannot render to float targets, and unpacks it again.
+ */
+const packing = `
+const float PackUpscale = 256.0 / 255.0;
+const float UnpackDownscale = 255.0 / 256.0;
+const vec3 PackFactors = vec3(256.0 * 256.0 * 256.0, 256.0 * 256.0, 256.0);
+const vec4 UnpackFactors = UnpackDownscale / vec4(PackFactors, 1.0);
+const float ShiftRight8 = 1.0 / 256.0;
+
+vec4 packDepthToRGBA(float v) {
+  vec4 r = vec4(fract(v * PackFactors), v);
+  r.yzw -= r.xyz * ShiftRight8;
+  return r * PackUpscale;
+}
+
+float unpackRGBAToDepth(vec4 v) {
+  return dot(v, UnpackFactors);
+}
+`;
+
+/**
+ * Shadow map lookups for up to MAX_*_SHADOWS shadowed lights per type.
+ * Call computeShadows(worldPosition, worldNormal) once, then read
+ * directionalShadows[i] / spotShadows[i] / pointShadows[i] (1 = lit, 0 = shadowed)
+ * for the i-th shadow-casting light of each type (casters come first in the
+ * light uniform arrays). Requires the packing chunk.
+ *
+ * Per-light params: x = bias, y = normalBias, z = radius, w = map size (px).
+ */
+const shadowmap_pars_fragment = `
+#define MAX_DIRECTIONAL_SHADOWS ${MAX_DIRECTIONAL_SHADOWS}
+#define MAX_SPOT_SHADOWS ${MAX_SPOT_SHADOWS}
+#define MAX_POINT_SHADOWS ${MAX_POINT_SHADOWS}
+
+uniform bool receiveShadow;
+uniform int shadowMapType;
+uniform bool shadowFloatDepth;
+
+uniform int directionalShadowCount;
+uniform sampler2D directionalShadowMap[MAX_DIRECTIONAL_SHADOWS];
+uniform mat4 directionalShadowMatrix[MAX_DIRECTIONAL_SHADOWS];
+uniform vec4 directionalShadowParams[MAX_DIRECTIONAL_SHADOWS];
+
+uniform int spotShadowCount;
+uniform sampler2D spotShadowMap[MAX_SPOT_SHADOWS];
+uniform mat4 spotShadowMatrix[MAX_SPOT_SHADOWS];
+uniform vec4 spotShadowParams[MAX_SPOT_SHADOWS];
+
+uniform int pointShadowCount;
+uniform sampler2D pointShadowMap[MAX_POINT_SHADOWS];
+uniform mat4 pointShadowMatrix[MAX_POINT_SHADOWS];
+uniform vec4 pointShadowParams[MAX_POINT_SHADOWS];
+uniform vec2 pointShadowNearFar[MAX_POINT_SHADOWS];
+
+float directionalShadows[MAX_DIRECTIONAL_SHADOWS];
+float spotShadows[MAX_SPOT_SHADOWS];
+float pointShadows[MAX_POINT_SHADOWS];
+
+float shadowDepth(sampler2D map, vec2 uv) {
+  vec4 texel = texture2D(map, uv);
+  return shadowFloatDepth ? texel.r : unpackRGBAToDepth(texel);
+}
+
+float shadowCompare(sampler2D map, vec2 uv, float compare) {
+  return step(compare, shadowDepth(map, uv));
+}
+
+// Bilinear interpolation of four depth comparisons (PCFSoftShadowMap)
+float shadowCompareLerp(sampler2D map, vec2 size, vec2 uv, float compare) {
+  vec2 texel = 1.0 / size;
+  vec2 centroid = (floor(uv * size - 0.5) + 0.5) * texel;
+  float lb = shadowCompare(map, centroid, compare);
+  float lt = shadowCompare(map, centroid + vec2(0.0, texel.y), compare);
+  float rb = shadowCompare(map, centroid + vec2(texel.x, 0.0), compare);
+  float rt = shadowCompare(map, centroid + texel, compare);
+  vec2 f = fract(uv * size + 0.5);
+  return mix(mix(lb, lt, f.y), mix(rb, rt, f.y), f.x);
+}
+
+// Chebyshev upper bound on the blurred depth moments (VSMShadowMap)
+float shadowVSM(sampler2D map, vec2 uv, float compare) {
+  vec2 moments = texture2D(map, uv).rg;
+  float hard = step(compare, moments.x);
+  if (hard == 1.0) return 1.0;
+  float variance = max(0.000001, moments.y - moments.x * moments.x);
+  float d = compare - moments.x;
+  float p = variance / (variance + d * d);
+  p = clamp((p - 0.3) / 0.65, 0.0, 1.0); // light-bleeding reduction
+  return max(hard, p);
+}
+
+float getShadow(sampler2D map, vec4 params, vec4 coord) {
+  coord.xyz /= coord.w;
+  coord.z += params.x;
+
+  // Outside the shadow camera: treat as lit
+  if (any(lessThan(coord.xyz, vec3(0.0))) || any(greaterThan(coord.xyz, vec3(1.0)))) return 1.0;
+
+  vec2 size = vec2(params.w);
+  vec2 d = params.z / size;
+
+  if (shadowMapType == ${VSMShadowMap}) return shadowVSM(map, coord.xy, coord.z);
+
+  if (shadowMapType == ${PCFShadowMap} || shadowMapType == ${PCFSoftShadowMap}) {
+    float sum = 0.0;
+    for (int x = -1; x <= 1; x++) {
+      for (int y = -1; y <= 1; y++) {
+        vec2 uv = coord.xy + vec2(float(x), float(y)) * d;
+        sum += shadowMapType == ${PCFSoftShadowMap}
+          ? shadowCompareLerp(map, size, uv, coord.z)
+          : shadowCompare(map, uv, coord.z);
+      }
+    }
+    return sum / 9.0;
+  }
+
+  return shadowCompare(map, coord.xy, coord.z);
+}
+
+// Direction → UV inside the 4×2 cube face atlas of a point light shadow
+vec2 cubeToUV(vec3 v, float texelSizeY) {
+  vec3 absV = abs(v);
+  float scaleToCube = 1.0 / max(absV.x, max(absV.y, absV.z));
+  absV *= scaleToCube;
+  v *= scaleToCube * (1.0 - 2.0 * texelSizeY); // keep away from face seams
+
+  vec2 planar = v.xy;
+  float almostOne = 1.0 - 1.5 * texelSizeY;
+
+  if (absV.z >= almostOne) {
+    if (v.z > 0.0) planar.x = 4.0 - v.x;
+  } else if (absV.x >= almostOne) {
+    float signX = sign(v.x);
+    planar.x = v.z * signX + 2.0 * signX;
+  } else if (absV.y >= almostOne) {
+    float signY = sign(v.y);
+    planar.x = v.x + 2.0 * signY + 2.0;
+    planar.y = v.z * signY - 2.0;
+  }
+
+  return vec2(0.125, 0.25) * planar + vec2(0.375, 0.75);
+}
+
+float getPointShadow(sampler2D map, vec4 params, vec2 nearFar, vec4 coord) {
+  vec3 lightToPosition = coord.xyz;
+  float dp = (length(lightToPosition) - nearFar.x) / (nearFar.y - nearFar.x) + params.x;
+  if (dp > 1.0) return 1.0;
+
+  float texelSizeY = 1.0 / (params.w * 2.0);
+  vec3 direction = normalize(lightToPosition);
+
+  if (shadowMapType == ${PCFShadowMap} || shadowMapType == ${PCFSoftShadowMap} || shadowMapType == ${VSMShadowMap}) {
+    vec2 offset = vec2(-1.0, 1.0) * params.z * texelSizeY;
+    return (
+      shadowCompare(map, cubeToUV(direction + offset.xyy, texelSizeY), dp) +
+      shadowCompare(map, cubeToUV(direction + offset.yyy, texelSizeY), dp) +
+      shadowCompare(map, cubeToUV(direction + offset.xyx, texelSizeY), dp) +
+      shadowCompare(map, cubeToUV(direction + offset.yyx, texelSizeY), dp) +
+      shadowCompare(map, cubeToUV(direction, texelSizeY), dp) +
+      shadowCompare(map, cubeToUV(direction + offset.xxy, texelSizeY), dp) +
+      shadowCompare(map, cubeToUV(direction + offset.yxy, texelSizeY), dp) +
+      shadowCompare(map, cubeToUV(direction + offset.xxx, texelSizeY), dp) +
+      shadowCompare(map, cubeToUV(direction + offset.yxx, texelSizeY), dp)
+    ) / 9.0;
+  }
+
+  return shadowCompare(map, cubeToUV(direction, texelSizeY), dp);
+}
+
+// Shadow factor of the i-th light of a type (1 when it has no shadow).
+// The loops keep array indices constant-index expressions (GLSL ES 1.00).
+float getDirectionalShadowFactor(int i) {
+  for (int j = 0; j < MAX_DIRECTIONAL_SHADOWS; j++) if (j == i) return directionalShadows[j];
+  return 1.0;
+}
+
+float getSpotShadowFactor(int i) {
+  for (int j = 0; j < MAX_SPOT_SHADOWS; j++) if (j == i) return spotShadows[j];
+  return 1.0;
+}
+
+float getPointShadowFactor(int i) {
+  for (int j = 0; j < MAX_POINT_SHADOWS; j++) if (j == i) return pointShadows[j];
+  return 1.0;
+}
+
+void computeShadows(vec3 worldPosition, vec3 worldNormal) {
+  for (int i = 0; i < MAX_DIRECTIONAL_SHADOWS; i++) {
+    directionalShadows[i] = 1.0;
+    if (!receiveShadow || i >= directionalShadowCount) continue;
+    vec4 params = directionalShadowParams[i];
+    vec4 coord = directionalShadowMatrix[i] * vec4(worldPosition + worldNormal * params.y, 1.0);
+    directionalShadows[i] = getShadow(directionalShadowMap[i], params, coord);
+  }
+
+  for (int i = 0; i < MAX_SPOT_SHADOWS; i++) {
+    spotShadows[i] = 1.0;
+    if (!receiveShadow || i >= spotShadowCount) continue;
+    vec4 params = spotShadowParams[i];
+    vec4 coord = spotShadowMatrix[i] * vec4(worldPosition + worldNormal * params.y, 1.0);
+    spotShadows[i] = getShadow(spotShadowMap[i], params, coord);
+  }
+
+  for (int i = 0; i < MAX_POINT_SHADOWS; i++) {
+    pointShadows[i] = 1.0;
+    if (!receiveShadow || i >= pointShadowCount) continue;
+    vec4 params = pointShadowParams[i];
+    vec4 coord = pointShadowMatrix[i] * vec4(worldPosition + worldNormal * params.y, 1.0);
+    pointShadows[i] = getPointShadow(pointShadowMap[i], params, pointShadowNearFar[i], coord);
+  }
+}
+`;
+
+/**
+ * Scene light uniforms uploaded by WebGLRenderer, in world space.
+ * Directions point from the surface towards the light; colors are
+ * premultiplied by intensity. Shadow-casting lights come first in each
+ * array, so light i of a type uses shadow i (see getDirectionalShadowFactor()).
+ *
+ * Loop over a type with a constant bound and break on its count:
+ *   for (int i = 0; i < MAX_POINT_LIGHTS; i++) {
+ *     if (i >= pointLightCount) break;
+ *     IncidentLight light = getPointLight(pointLightPosition[i], pointLightColor[i],
+ *       pointLightDistanceDecay[i], worldPosition);
+ *     ...
+ *   }
+ */
+const lights_pars_begin = `
+#define MAX_DIRECTIONAL_LIGHTS ${MAX_DIRECTIONAL_LIGHTS}
+#define MAX_POINT_LIGHTS ${MAX_POINT_LIGHTS}
+#define MAX_SPOT_LIGHTS ${MAX_SPOT_LIGHTS}
+#define MAX_HEMISPHERE_LIGHTS ${MAX_HEMISPHERE_LIGHTS}
+
+uniform vec3 ambientLightColor;
+
+uniform int directionalLightCount;
+uniform vec3 directionalLightColor[MAX_DIRECTIONAL_LIGHTS];
+uniform vec3 directionalLightDirection[MAX_DIRECTIONAL_LIGHTS];
+
+uniform int pointLightCount;
+uniform vec3 pointLightColor[MAX_POINT_LIGHTS];
+uniform vec3 pointLightPosition[MAX_POINT_LIGHTS];
+uniform vec2 pointLightDistanceDecay[MAX_POINT_LIGHTS];
+
+uniform int spotLightCount;
+uniform vec3 spotLightColor[MAX_SPOT_LIGHTS];
+uniform vec3 spotLightPosition[MAX_SPOT_LIGHTS];
+uniform vec3 spotLightDirection[MAX_SPOT_LIGHTS];
+uniform vec2 spotLightDistanceDecay[MAX_SPOT_LIGHTS];
+uniform vec2 spotLightCone[MAX_SPOT_LIGHTS]; // cos(angle), cos(angle * (1 - penumbra))
+
+uniform int hemisphereLightCount;
+uniform vec3 hemisphereLightSkyColor[MAX_HEMISPHERE_LIGHTS];
+uniform vec3 hemisphereLightGroundColor[MAX_HEMISPHERE_LIGHTS];
+uniform vec3 hemisphereLightDirection[MAX_HEMISPHERE_LIGHTS];
+
+struct IncidentLight {
+  vec3 color;     // radiance reaching the surface
+  vec3 direction; // surface → light, normalized
+};
+
+// Inverse-power falloff, smoothly windowed to zero at the cut-off distance
+float getDistanceAttenuation(float lightDistance, float cutoffDistance, float decay) {
+  float falloff = 1.0 / max(pow(lightDistance, decay), 0.01);
+  if (cutoffDistance > 0.0) {
+    float window = clamp(1.0 - pow(lightDistance / cutoffDistance, 4.0), 0.0, 1.0);
+    falloff *= window * window;
+  }
+  return falloff;
+}
+
+IncidentLight getDirectionalLight(vec3 color, vec3 direction) {
+  return IncidentLight(color, direction);
+}
+
+IncidentLight getPointLight(vec3 position, vec3 color, vec2 distanceDecay, vec3 worldPosition) {
+  vec3 toLight = position - worldPosition;
+  float lightDistance = length(toLight);
+  float attenuation = getDistanceAttenuation(lightDistance, distanceDecay.x, distanceDecay.y);
+  return IncidentLight(color * attenuation, toLight / max(lightDistance, 0.0001));
+}
+
+IncidentLight getSpotLight(vec3 position, vec3 direction, vec3 color, vec2 distanceDecay, vec2 cone, vec3 worldPosition) {
+  IncidentLight light = getPointLight(position, color, distanceDecay, worldPosition);
+  float angleCos = dot(light.direction, direction);
+  light.color *= smoothstep(cone.x, cone.y, angleCos);
+  return light;
+}
+
+vec3 getHemisphereLightIrradiance(vec3 skyColor, vec3 groundColor, vec3 direction, vec3 normal) {
+  float weight = 0.5 * dot(normal, direction) + 0.5;
+  return mix(groundColor, skyColor, weight);
+}
+`;
+
+/**
+ * Tangent-space normal mapping without a tangent attribute: the tangent
+ * frame is rebuilt from screen-space derivatives of position and uv.
+ * Needs GL_OES_standard_derivatives on WebGL1.
+ */
+const normalmap_pars_fragment = `
+vec3 perturbNormal(vec3 position, vec3 normal, vec2 uv, vec3 mapN) {
+  vec3 q0 = dFdx(position);
+  vec3 q1 = dFdy(position);
+  vec2 st0 = dFdx(uv);
+  vec2 st1 = dFdy(uv);
+  vec3 q1perp = cross(q1, normal);
+  vec3 q0perp = cross(normal, q0);
+  vec3 T = q1perp * st0.x + q0perp * st1.x;
+  vec3 B = q1perp * st0.y + q0perp * st1.y;
+  float det = max(dot(T, T), dot(B, B));
+  float scale = det == 0.0 ? 0.0 : inversesqrt(det);
+  return normalize(T * (mapN.x * scale) + B * (mapN.y * scale) + normal * mapN.z);
+}
+`;
+
+/**
+ * Direction ↔ uv mapping of equirectangular (latitude-longitude) images:
+ * u follows the azimuth around +Y, v the elevation (v = 1 looks up).
+ */
+const equirect_pars = `
+vec2 equirectUv(vec3 direction) {
+  float u = atan(direction.z, direction.x) * 0.15915494309189535 + 0.5;
+  float v = asin(clamp(direction.y, -1.0, 1.0)) * 0.3183098861837907 + 0.5;
+  return vec2(u, v);
+}
+
+vec3 equirectDirection(vec2 uv) {
+  float phi = (uv.x - 0.5) * 6.283185307179586;
+  float theta = (uv.y - 0.5) * 3.141592653589793;
+  return vec3(cos(theta) * cos(phi), sin(theta), cos(theta) * sin(phi));
+}
+`;
+
+/**
+ * Image-based lighting from a prefiltered environment (see PMREMGenerator).
+ * `envMap` stacks ENVMAP_LEVELS equirect images of increasing roughness
+ * bottom to top; `envMapIrradiance` holds cosine-convolved radiance
+ * (irradiance / π). Both are sampled in the environment's own frame,
+ * reached through `envMapRotation`. Include equirect_pars first.
+ */
+const envmap_pars_fragment = `
+#define ENVMAP_LEVELS ${ENVMAP_LEVELS.toFixed(1)}
+#define ENVMAP_WIDTH ${ENVMAP_SIZE.toFixed(1)}
+#define ENVMAP_HEIGHT ${(ENVMAP_SIZE / 2).toFixed(1)}
+
+uniform sampler2D envMap;
+uniform sampler2D envMapIrradiance;
+uniform float envMapIntensity;
+uniform mat3 envMapRotation;
+
+vec3 sampleEnvLevel(vec2 uv, float level) {
+  // keep bilinear taps inside the level's band
+  float v = clamp(uv.y, 0.5 / ENVMAP_HEIGHT, 1.0 - 0.5 / ENVMAP_HEIGHT);
+  float y = (level + v) / ENVMAP_LEVELS;
+
+  // The atlas clamps at its sides (it is not a power of two, so WebGL1
+  // cannot repeat it): across the u seam, blend the last and first columns
+  float x = fract(uv.x) * ENVMAP_WIDTH - 0.5;
+  if (x < 0.0 || x > ENVMAP_WIDTH - 1.0) {
+    vec3 last = texture2D(envMap, vec2(1.0 - 0.5 / ENVMAP_WIDTH, y)).rgb;
+    vec3 first = texture2D(envMap, vec2(0.5 / ENVMAP_WIDTH, y)).rgb;
+    return mix(last, first, fract(x));
+  }
+  return texture2D(envMap, vec2(uv.x, y)).rgb;
+}
+
+// Radiance reflected along a direction, blurred for a perceptual roughness
+vec3 getIBLRadiance(vec3 direction, float roughness) {
+  vec2 uv = equirectUv(envMapRotation * direction);
+  float level = clamp(roughness, 0.0, 1.0) * (ENVMAP_LEVELS - 1.0);
+  float lower = floor(level);
+  float upper = min(lower + 1.0, ENVMAP_LEVELS - 1.0);
+  return mix(sampleEnvLevel(uv, lower), sampleEnvLevel(uv, upper), level - lower) * envMapIntensity;
+}
+
+// Diffuse irradiance / π around a normal
+vec3 getIBLIrradiance(vec3 normal) {
+  return texture2D(envMapIrradiance, equirectUv(envMapRotation * normal)).rgb * envMapIntensity;
+}
+`;
+
+/**
+ * Scene fog (Fog / FogExp2), blended over the shaded color by distance
+ * from the camera. Linear by default; `#define FOG_EXP2` for exponential
+ * squared fog with `fogDensity`.
+ */
+const fog_pars_fragment = `
+uniform vec3 fogColor;
+#ifdef FOG_EXP2
+uniform float fogDensity;
+#else
+uniform float fogNear;
+uniform float fogFar;
+#endif
+
+vec3 applyFog(vec3 color, float fogDistance) {
+  #ifdef FOG_EXP2
+  float fogFactor = 1.0 - exp(-fogDensity * fogDensity * fogDistance * fogDistance);
+  #else
+  float fogFactor = clamp((fogDistance - fogNear) / (fogFar - fogNear), 0.0, 1.0);
+  #endif
+  return mix(color, fogColor, fogFactor);
+}
+`;
+
+const ShaderChunk = {
+  tonemapping_pars_fragment,
+  colorspace_pars_fragment,
+  packing,
+  shadowmap_pars_fragment,
+  lights_pars_begin,
+  normalmap_pars_fragment,
+  equirect_pars,
+  envmap_pars_fragment,
+  fog_pars_fragment
+};
+
+export {
+  ShaderChunk,
+  MAX_DIRECTIONAL_LIGHTS, MAX_POINT_LIGHTS, MAX_SPOT_LIGHTS, MAX_HEMISPHERE_LIGHTS,
+  MAX_DIRECTIONAL_SHADOWS, MAX_SPOT_SHADOWS, MAX_POINT_SHADOWS,
+  ENVMAP_LEVELS, ENVMAP_SIZE
+};
@@ -0,0 +1,117 @@
+// ===============================================================
+// ShadowShader.js — Shadow Map Depth + VSM Blur Programs
+// ===============================================================
+//
+// Core purpose:
+//  • ShadowDepthShader writes each caster's depth as seen from a
+//    light. `depthMode` selects the encoding:
+//      0 — RGBA8 packed depth (RGBADepthPacking, no float targets)
+//      1 — raw float depth in the red channel
+//      2 — depth moments (d, d²) for variance shadow maps
+//    Point lights set `distanceDepth` and store the normalized
+//    distance to `lightPosition` instead of projected depth.
+//  • VSMBlurShader is a separable box blur over the moments map,
+//    run once horizontally and once vertically.
+//
+// Both are used by WebGLShadowMap; the depth shader is compiled with
+// `#define INSTANCED` for InstancedMesh casters.
+//
+// ===============================================================
+
+import { ShaderChunk } from './ShaderChunk.js';
+
+const ShadowDepthShader = {
+  uniforms: {
+    shadowViewProjection: null,
+    depthMode: 0,
+    distanceDepth: false,
+    lightPosition: [0, 0, 0],
+    nearFar: [0.5, 500]
+  },
+
+  vertexShader: `
+    attribute vec3 position;
+    #ifdef INSTANCED
+    attribute mat4 instanceMatrix;
+    #endif
+    uniform mat4 modelMatrix;
+    uniform mat4 shadowViewProjection;
+    varying vec3 vWorldPosition;
+    varying vec2 vClipZW;
+    void main() {
+      vec4 local = vec4(position, 1.0);
+      #ifdef INSTANCED
+      local = instanceMatrix * local;
+      #endif
+      vec4 world = modelMatrix * local;
+      vWorldPosition = world.xyz;
+      gl_Position = shadowViewProjection * world;
+      vClipZW = gl_Position.zw;
+    }
+  `,
+
+  fragmentShader: `
+    precision highp float;
+    uniform int depthMode;
+    uniform bool distanceDepth;
+    uniform vec3 lightPosition;
+    uniform vec2 nearFar;
+    varying vec3 vWorldPosition;
+    varying vec2 vClipZW;
+
+    ${ShaderChunk.packing}
+
+    void main() {
+      float depth = distanceDepth
+        ? (length(vWorldPosition - lightPosition) - nearFar.x) / (nearFar.y - nearFar.x)
+        : 0.5 * vClipZW.x / vClipZW.y + 0.5;
+      depth = clamp(depth, 0.0, 1.0);
+
+      if (depthMode == 0) gl_FragColor = packDepthToRGBA(depth);
+      else if (depthMode == 2) gl_FragColor = vec4(depth, depth * depth, 0.0, 1.0);
+      else gl_FragColor = vec4(depth, 0.0, 0.0, 1.0);
+    }
+  `
+};
+
+const VSMBlurShader = {
+  uniforms: {
+    direction: [1, 0],
+    resolution: [512, 512],
+    radius: 1
+  },
+
+  vertexShader: `
+    attribute vec3 position;
+    attribute vec2 uv;
+    varying vec2 vUv;
+    void main() {
+      vUv = uv;
+      gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+  `,
+
+  fragmentShader: `
+    precision highp float;
+    uniform sampler2D shadowPass;
+    uniform vec2 direction;
+    uniform vec2 resolution;
+    uniform float radius;
+    varying vec2 vUv;
+
+    const float SAMPLES = 8.0;
+
+    void main() {
+      vec2 texelStep = direction * radius / resolution;
+      vec2 moments = vec2(0.0);
+      for (float i = 0.0; i <= SAMPLES; i++) {
+        vec2 offset = texelStep * (i / SAMPLES * 2.0 - 1.0);
+        moments += texture2D(shadowPass, vUv + offset).rg;
+      }
+      moments /= SAMPLES + 1.0;
+      gl_FragColor = vec4(moments, 0.0, 1.0);
+    }
+  `
+};
+
+export { ShadowDepthShader, VSMBlurShader };